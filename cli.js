@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+
+/**
+ * @file cli.js
+ * @version 1.0.0
+ * @description Командная строка установщика Husky
+ * @module cli
+ *
+ * @overview
+ * Разбирает команду и флаги и вызывает соответствующий метод
+ * AdvancedHuskyInstaller. Без команды выполняется установка.
+ *
+ * @example
+ * // npx setup-advanced-husky --type=vite --yes
+ * // npx setup-advanced-husky --template=./team/husky.template.js
+ * // npx setup-advanced-husky update --dry-run
+ * // npx setup-advanced-husky run pre-commit
+ * // npx setup-advanced-husky print-config --env=ci
+ * // npx setup-advanced-husky print-config --json > husky-config.json
+ * // npx setup-advanced-husky validate
+ *
+ * @requires ./install
+ * @requires ./scripts/installer/wizard
+ */
+
+const AdvancedHuskyInstaller = require("./install");
+const { PROJECT_TYPES } = require("./scripts/installer/wizard");
+const { CLI_NAME } = AdvancedHuskyInstaller;
+
+/**
+ * Команды и их описание для справки
+ * @constant
+ * @type {Object<string, {usage: string, description: string}>}
+ */
+const COMMANDS = {
+  install: {
+    usage: "install",
+    description: "Установить и настроить Husky (команда по умолчанию)",
+  },
+  update: {
+    usage: "update",
+    description: "Обновить файлы в .husky, сохранив ваши изменения",
+  },
+  uninstall: {
+    usage: "uninstall",
+    description: "Удалить конфигурацию по манифесту установки",
+  },
+  doctor: {
+    usage: "doctor",
+    description: "Проверить установку и подсказать исправления",
+  },
+  run: {
+    usage: "run <hook> [args...]",
+    description: "Запустить хук без git (pre-commit, commit-msg, pre-push)",
+  },
+  "print-config": {
+    usage: "print-config",
+    description: "Вывести итоговую конфигурацию и источник каждого значения",
+  },
+  validate: {
+    usage: "validate",
+    description: "Проверить конфигурацию хуков (код 1 при ошибках, для CI)",
+  },
+};
+
+/**
+ * Флаги: имя в командной строке → параметр установщика
+ * @constant
+ * @type {Object<string, {option: string, value?: string, alias?: string, description: string}>}
+ */
+const FLAGS = {
+  force: {
+    option: "force",
+    description: "Переустановить поверх существующей установки",
+  },
+  type: {
+    option: "type",
+    value: "<тип>",
+    description: `Тип проекта вместо автоопределения: ${PROJECT_TYPES.join(
+      ", "
+    )}`,
+  },
+  template: {
+    option: "template",
+    value: "<имя>",
+    description:
+      "Шаблон настроек: strict, relaxed, library, app, путь или npm-пакет",
+  },
+  "skip-deps": {
+    option: "skipDeps",
+    description: "Не устанавливать инструменты пресета (eslint, prettier...)",
+  },
+  "dry-run": {
+    option: "dryRun",
+    description: "Показать план изменений, ничего не записывая",
+  },
+  yes: {
+    option: "yes",
+    alias: "y",
+    description: "Не задавать вопросов (без мастера настройки)",
+  },
+  verbose: {
+    option: "verbose",
+    description: "Подробный вывод (HUSKY_VERBOSE=true)",
+  },
+  "package-manager": {
+    option: "packageManager",
+    value: "<pm>",
+    description: "Менеджер пакетов: npm, pnpm, yarn или bun",
+  },
+  env: {
+    option: "env",
+    value: "<окружение>",
+    description: "Окружение (HUSKY_ENV) для run, print-config и validate",
+  },
+  json: {
+    option: "json",
+    description: "Вывод print-config в JSON: { config, sources }",
+  },
+  help: {
+    option: "help",
+    alias: "h",
+    description: "Показать эту справку",
+  },
+};
+
+/**
+ * Команды, вывод которых не должен содержать заголовок
+ * @constant
+ * @type {string[]}
+ */
+const QUIET_COMMANDS = ["run", "print-config"];
+
+/**
+ * Находит описание флага по имени или короткому псевдониму
+ * @param {string} name - Имя без дефисов
+ * @returns {Array|undefined} [имя, описание]
+ */
+function findFlag(name) {
+  return Object.entries(FLAGS).find(
+    ([flag, spec]) => flag === name || spec.alias === name
+  );
+}
+
+/**
+ * Разбирает аргументы командной строки
+ * @param {string[]} argv - Аргументы (без node и имени скрипта)
+ * @returns {{command: string, args: string[], options: Object}}
+ * @throws {Error} Неизвестная команда или флаг, флаг без значения,
+ * лишние аргументы, недопустимый тип проекта
+ *
+ * @description
+ * Флаги со значением принимаются в виде --flag=value и --flag value.
+ * Аргументы после -- передаются команде без разбора.
+ *
+ * @example
+ * parseArgs(["update", "--dry-run"]);
+ * // { command: "update", args: [], options: { dryRun: true } }
+ * parseArgs(["run", "commit-msg", ".git/COMMIT_EDITMSG"]);
+ * // { command: "run", args: ["commit-msg", ".git/COMMIT_EDITMSG"], options: {} }
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith("-") || arg === "-") {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inlineValue] = arg.replace(/^--?/, "").split(/=(.*)/s);
+    const flag = findFlag(name);
+    if (!flag) {
+      throw new Error(`Неизвестный флаг: ${arg}`);
+    }
+
+    const [flagName, spec] = flag;
+    if (!spec.value) {
+      if (inlineValue !== undefined) {
+        throw new Error(`Флаг --${flagName} не принимает значение`);
+      }
+      options[spec.option] = true;
+      continue;
+    }
+
+    const value =
+      inlineValue !== undefined
+        ? inlineValue
+        : argv[i + 1] && !argv[i + 1].startsWith("-")
+        ? argv[++i]
+        : undefined;
+    if (!value) {
+      throw new Error(`Флаг --${flagName} требует значение ${spec.value}`);
+    }
+    options[spec.option] = value;
+  }
+
+  const [command = "install", ...args] = positional;
+  if (!COMMANDS[command]) {
+    throw new Error(`Неизвестная команда: ${command}`);
+  }
+  if (command !== "run" && args.length > 0) {
+    throw new Error(`Лишние аргументы: ${args.join(" ")}`);
+  }
+
+  if (options.type && !PROJECT_TYPES.includes(options.type)) {
+    throw new Error(
+      `Неизвестный тип проекта: ${
+        options.type
+      }. Доступные: ${PROJECT_TYPES.join(", ")}`
+    );
+  }
+
+  return { command, args, options };
+}
+
+/**
+ * Выводит справку
+ */
+function printHelp() {
+  const pad = (value, width) => value.padEnd(width);
+
+  const commands = Object.values(COMMANDS).map(
+    ({ usage, description }) => `  ${pad(usage, 22)} ${description}`
+  );
+  const flags = Object.entries(FLAGS).map(([name, spec]) => {
+    const usage = `${spec.alias ? `-${spec.alias}, ` : "    "}--${name}${
+      spec.value ? `=${spec.value}` : ""
+    }`;
+    return `  ${pad(usage, 28)} ${spec.description}`;
+  });
+
+  console.log(`Использование: ${CLI_NAME} [команда] [флаги]
+
+Команды:
+${commands.join("\n")}
+
+Флаги:
+${flags.join("\n")}
+
+Примеры:
+  ${CLI_NAME} --type=nextjs --yes
+  ${CLI_NAME} --template=strict
+  ${CLI_NAME} update --dry-run
+  ${CLI_NAME} run commit-msg .git/COMMIT_EDITMSG
+  ${CLI_NAME} print-config --env=production
+`);
+}
+
+/**
+ * Выводит заголовок установщика
+ */
+function printBanner() {
+  console.log(`
+┌─────────────────────────────────────────┐
+│       Husky Configuration v1.0.0        │
+└─────────────────────────────────────────┘
+`);
+}
+
+/**
+ * Выполняет команду
+ * @async
+ * @param {string[]} argv - Аргументы (без node и имени скрипта)
+ * @returns {Promise<void>}
+ *
+ * @example
+ * await run(["doctor"]);
+ */
+async function run(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(`💡 Справка: ${CLI_NAME} --help`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const { command, args, options } = parsed;
+  if (options.help) {
+    printHelp();
+    return;
+  }
+
+  // Логгер хуков и установщика читает HUSKY_VERBOSE при загрузке
+  if (options.verbose) {
+    process.env.HUSKY_VERBOSE = "true";
+  }
+
+  // Окружение хуков (run) и print-config, как HUSKY_ENV
+  if (options.env) {
+    process.env.HUSKY_ENV = options.env;
+  }
+
+  if (!QUIET_COMMANDS.includes(command)) {
+    printBanner();
+  }
+
+  const installer = new AdvancedHuskyInstaller(options);
+
+  switch (command) {
+    case "update":
+      return installer.update();
+    case "uninstall":
+      return installer.uninstall();
+    case "doctor":
+      return installer.doctor();
+    case "run":
+      return installer.runHook(args[0], args.slice(1));
+    case "print-config":
+      return installer.printConfig();
+    case "validate":
+      return installer.validate();
+    default:
+      return installer.install();
+  }
+}
+
+module.exports = { COMMANDS, FLAGS, parseArgs, run };
+
+if (require.main === module) {
+  run(process.argv.slice(2));
+}
@@ -4,7 +4,9 @@
  * @version 2.0.0
  */
 
-// Базовый объект конфигурации (не функция!)
+// Базовый объект конфигурации (не функция!). Любое итоговое значение можно
+// переопределить на один запуск переменной HUSKY__<СЕКЦИЯ>__<КЛЮЧ>
+// (HUSKY__PRE_PUSH__TIMEOUT=300000), проверки отключаются HUSKY_SKIP=build,test
 const config = {
   // Общие настройки
   general: {
@@ -56,7 +58,10 @@ const config = {
     /** Таймаут выполнения в миллисекундах */
     timeout: 10000,
 
-    /** Паттерн для пропуска проверки */
+    /**
+     * Паттерн для пропуска проверки: RegExp, "/re/flags", { regex, flags }
+     * или список glob (["wip*", "fixup! *"]), см. scripts/utils/patterns.js
+     */
     skipPattern: /^wip:|^fixup!|^squash!|^draft:/i,
 
     /** Запускать ли проверку в CI окружении */
@@ -99,8 +104,11 @@ const config = {
     /** Таймаут выполнения в миллисекундах */
     timeout: 120000,
 
-    /** Ветки для пропуска проверки */
-    skipBranches: ["main", "master", "develop", "release/*"],
+    /**
+     * Ветки для пропуска проверки (glob-паттерны). Политика prePush
+     * из секции branches для ветки важнее этого списка
+     */
+    skipBranches: ["main", "master", "develop"],
   },
 
   // Настройки для commit-msg (используются в hooks-config.js)
@@ -128,12 +136,65 @@ const config = {
     allowSquash: false,
   },
 
+  // Инструменты для правил lint-staged (пресет проекта дополняет список)
+  dependencies: {
+    eslint: "^8.57.0",
+    prettier: "^3.0.0",
+    "eslint-config-prettier": "^9.1.0",
+  },
+
+  // Конфиг Prettier (.prettierrc), создается, если в проекте нет своего
+  prettierConfig: {
+    semi: true,
+    singleQuote: false,
+    trailingComma: "es5",
+    printWidth: 80,
+    tabWidth: 2,
+    endOfLine: "lf",
+  },
+
+  // Паттерны .prettierignore (пресет проекта дополняет список)
+  prettierIgnore: [
+    "coverage/",
+    "dist/",
+    ".husky-cache/",
+    "package-lock.json",
+    "pnpm-lock.yaml",
+    "yarn.lock",
+  ],
+
+  // ESLint конфиг в формате .eslintrc (пресет проекта заменяет его целиком)
+  eslintConfig: {
+    extends: ["eslint:recommended"],
+    env: { browser: true, node: true, es2022: true },
+    parserOptions: { ecmaVersion: "latest", sourceType: "module" },
+  },
+
+  // Правила lint-staged (пресет проекта заменяет их целиком)
+  lintStaged: {
+    "**/*.{js,jsx,ts,tsx}": [
+      "prettier --write",
+      "eslint --fix --max-warnings=0",
+    ],
+    "**/*.{css,scss}": ["prettier --write"],
+    "**/*.{md,json}": ["prettier --write"],
+  },
+
   // Настройки для переопределения в hooks-config.js (необязательные)
   preCommit: {},
   prePush: {},
   commitMsg: {},
 
-  // Настройки для разных окружений
+  // Политики веток: glob-паттерн → переопределения preCommit, prePush,
+  // commitMsg (block: true или текст запрещает коммит/push в ветку), например
+  // { "release/*": { prePush: { checks: [{ name: "test", critical: true }] } },
+  //   main: { prePush: { block: "Только через pull request" } } }
+  branches: {},
+
+  // Настройки для разных окружений. Окружение выбирается HUSKY_ENV (--env)
+  // или определяется по CI и NODE_ENV. Пресеты, шаблоны и пользовательский
+  // конфиг могут объявлять свои окружения с условием detect, например
+  // { staging: { detect: { DEPLOY_ENV: "staging" }, prePush: { enabled: true } } }
   environments: {
     /** Настройки для development окружения */
     development: {
@@ -171,6 +232,20 @@ const config = {
       },
     },
 
+    /** Настройки для test окружения (NODE_ENV=test) */
+    test: {
+      general: {
+        verbose: false,
+        autoFix: false,
+      },
+      preCommit: {
+        timeout: 30000,
+      },
+      prePush: {
+        enabled: false,
+      },
+    },
+
     /** Настройки для CI окружения */
     ci: {
       general: {
@@ -198,27 +273,28 @@ module.exports = config;
 module.exports.default = config;
 module.exports.utils = {
   /**
-   * Определяет текущее окружение
+   * Определяет текущее окружение (HUSKY_ENV, detect окружений,
+   * CI и NODE_ENV - см. scripts/utils/environments.js)
    * @returns {string}
    */
-  getEnvironment: () => {
-    if (process.env.CI === "true" || process.env.GITHUB_ACTIONS === "true") {
-      return "ci";
-    }
-    if (process.env.NODE_ENV === "production") {
-      return "production";
-    }
-    return "development";
-  },
+  getEnvironment: () =>
+    require("../scripts/utils/environments").resolveEnvironment(
+      config.environments
+    ),
 
   /**
    * Проверяет, является ли сообщение коммита WIP/fixup/squash
    * @param {string} commitMessage - Сообщение коммита
-   * @param {RegExp} [skipPattern] - Паттерн для пропуска
+   * @param {RegExp|string|Object|string[]} [skipPattern] - Паттерн для
+   * пропуска (см. scripts/utils/patterns.js)
    * @returns {boolean}
    */
   isSkipCommit: (commitMessage, skipPattern) => {
-    const pattern = skipPattern || config.preCommitDefaults.skipPattern;
+    const { toRegExp } = require("../scripts/utils/patterns");
+    const pattern = toRegExp(
+      skipPattern || config.preCommitDefaults.skipPattern,
+      { flags: "i" }
+    );
     return pattern.test(commitMessage.trim());
   },
 
@@ -238,13 +314,10 @@ module.exports.utils = {
         return false;
       }
 
-      return skipBranches.some((pattern) => {
-        if (pattern.includes("*")) {
-          const regex = new RegExp("^" + pattern.replace(/\*/g, ".*") + "$");
-          return regex.test(currentBranch);
-        }
-        return currentBranch === pattern;
-      });
+      return require("../scripts/utils/branches").matchesAny(
+        currentBranch,
+        skipBranches
+      );
     } catch {
       return false;
     }
@@ -6,6 +6,14 @@
  *
  * @param {string} [projectType="common"] - Тип проекта
  * @param {Object} [userConfig={}] - Пользовательские настройки
+ * @param {Object} [options={}] - Параметры сборки
+ * @param {string} [options.environment] - Окружение вместо HUSKY_ENV
+ * и автоопределения (development, production, test, ci или объявленное
+ * в секции environments)
+ * @param {string} [options.userConfigFile] - Файл пользовательского
+ * конфига (для traceConfig)
+ * @param {string} [options.branch] - Текущая ветка: к хукам применяются
+ * переопределения из секции branches, паттерны которых ей соответствуют
  * @returns {Object} Полная конфигурация Husky
  *
  * @example
@@ -18,27 +26,43 @@
  * });
  */
 const path = require("path");
+const {
+  resolveEnvironment,
+  getEnvironmentConfig,
+  listEnvironments,
+} = require("../scripts/utils/environments");
+const { isPatternObject } = require("../scripts/utils/patterns");
 
 /**
  * Глубокое слияние объектов с поддержкой массивов
  * @param {Object} target - Целевой объект
  * @param {Object} source - Источник для слияния
  * @returns {Object} Результат слияния
+ *
+ * @description
+ * Списки объединяются с учетом директив (см. mergeArrays), значение
+ * вида { $replace: значение } заменяет прежнее целиком. Паттерны
+ * (RegExp, { regex, flags }) заменяются, а не сливаются.
  */
 function deepMerge(target, source) {
   const output = { ...target };
 
   if (isObject(target) && isObject(source)) {
     Object.keys(source).forEach((key) => {
-      if (isObject(source[key])) {
+      if (isReplace(source[key])) {
+        const value = source[key].$replace;
+        output[key] = Array.isArray(value) ? mergeArrays([], value) : value;
+      } else if (isObject(source[key]) && !isPatternObject(source[key])) {
         if (!(key in target)) {
           output[key] = source[key];
         } else {
           output[key] = deepMerge(target[key], source[key]);
         }
-      } else if (Array.isArray(source[key]) && Array.isArray(target[key])) {
-        // Для массивов - объединяем, убирая дубликаты
-        output[key] = mergeArrays(target[key], source[key]);
+      } else if (Array.isArray(source[key])) {
+        output[key] = mergeArrays(
+          Array.isArray(target[key]) ? target[key] : [],
+          source[key]
+        );
       } else {
         output[key] = source[key];
       }
@@ -49,25 +73,169 @@ function deepMerge(target, source) {
 }
 
 /**
- * Объединение массивов с уникальными элементами
- * @param {Array} arr1 - Первый массив
- * @param {Array} arr2 - Второй массив
- * @returns {Array} Объединенный массив
+ * Объединение списков с учетом директив слияния
+ * @param {Array} arr1 - Список предыдущих слоев
+ * @param {Array} arr2 - Список следующего слоя
+ * @returns {Array} Объединенный список
+ * @throws {Error} Если $before/$after ссылается на отсутствующий элемент
+ *
+ * @description
+ * Элементы с name (проверки) сопоставляются по имени: поля элемента
+ * с тем же именем глубоко сливаются с прежними, новый элемент
+ * добавляется в конец. Директивы элемента:
+ * - $remove: true - удалить элемент с этим именем;
+ * - $replace: true - заменить элемент целиком, без слияния полей;
+ * - $before / $after: "имя" - поставить элемент перед/после указанного.
+ *
+ * Остальные элементы добавляются без повторов, { $remove: значение }
+ * удаляет значение из списка. Список целиком заменяется значением
+ * { $replace: [...] } (см. deepMerge).
+ *
+ * @example
+ * mergeArrays(
+ *   [{ name: "typescript", enabled: true, critical: true }, { name: "build" }],
+ *   [
+ *     { name: "typescript", critical: false },
+ *     { name: "build", $remove: true },
+ *     { name: "lint-staged", enabled: true, $before: "typescript" },
+ *   ]
+ * );
+ * // [{ name: "lint-staged", enabled: true },
+ * //  { name: "typescript", enabled: true, critical: false }]
  */
 function mergeArrays(arr1, arr2) {
-  const combined = [...arr1, ...arr2];
-  const unique = new Map();
+  const result = [...arr1];
+
+  arr2.forEach((item) => {
+    if (isObject(item) && typeof item.name === "string") {
+      mergeNamedItem(result, item);
+      return;
+    }
+
+    if (isObject(item) && "$remove" in item) {
+      const removed = JSON.stringify(item.$remove);
+      for (let i = result.length - 1; i >= 0; i--) {
+        if (JSON.stringify(result[i]) === removed) result.splice(i, 1);
+      }
+      return;
+    }
+
+    const key = JSON.stringify(item);
+    if (!result.some((existing) => JSON.stringify(existing) === key)) {
+      result.push(item);
+    }
+  });
+
+  return result;
+}
 
-  // Для объектов проверяем уникальность по имени (если есть)
-  combined.forEach((item) => {
-    if (item && typeof item === "object" && item.name) {
-      unique.set(item.name, item);
+/**
+ * Применяет элемент с name к списку (см. директивы в mergeArrays)
+ * @param {Array<Object>} list - Список (изменяется)
+ * @param {Object} item - Элемент следующего слоя
+ * @throws {Error} Если $before/$after ссылается на отсутствующий элемент
+ */
+function mergeNamedItem(list, item) {
+  const { $remove, $replace, $before, $after, ...fields } = item;
+  const index = list.findIndex((existing) => existing?.name === item.name);
+
+  if ($remove) {
+    if (index !== -1) list.splice(index, 1);
+    return;
+  }
+
+  const merged =
+    index === -1 || $replace ? fields : deepMerge(list[index], fields);
+  const anchorName = $before || $after;
+
+  if (!anchorName) {
+    if (index === -1) {
+      list.push(merged);
     } else {
-      unique.set(JSON.stringify(item), item);
+      list[index] = merged;
     }
+    return;
+  }
+
+  if (index !== -1) list.splice(index, 1);
+  const anchor = list.findIndex((existing) => existing?.name === anchorName);
+  if (anchor === -1) {
+    throw new Error(
+      `${item.name}: ${
+        $before ? "$before" : "$after"
+      } ссылается на отсутствующий элемент ${anchorName}`
+    );
+  }
+  list.splice($before ? anchor : anchor + 1, 0, merged);
+}
+
+/**
+ * Объединяет списки проверок по имени
+ * @param {...(Array<Object>|{$replace: Array<Object>})} lists - Списки
+ * проверок (по возрастанию приоритета)
+ * @returns {Array<Object>} Проверки
+ *
+ * @description
+ * Списки применяются по очереди через mergeArrays: поля проверки с тем же
+ * именем переопределяют предыдущие, остальные поля (например, options)
+ * сохраняются, директивы $remove, $replace, $before и $after работают
+ * так же, как в слоях конфига.
+ *
+ * @example
+ * mergeChecks(
+ *   [{ name: "typescript", enabled: true, critical: true, options: {} }],
+ *   [{ name: "typescript", critical: false }]
+ * ); // [{ name: "typescript", enabled: true, critical: false, options: {} }]
+ */
+function mergeChecks(...lists) {
+  return lists.reduce(
+    (merged, list) =>
+      isReplace(list)
+        ? mergeArrays([], list.$replace)
+        : mergeArrays(merged, list || []),
+    []
+  );
+}
+
+/**
+ * Проверяет, является ли значение директивой { $replace: значение }
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isReplace(value) {
+  return isObject(value) && "$replace" in value;
+}
+
+/**
+ * Переносит preCommit.checks и prePush.checks слоя в preCommitDefaults
+ * и prePushDefaults, чтобы директивы слоя применялись к одному списку
+ * проверок независимо от секции, в которой они заданы
+ * @param {Object} layerConfig - Слой конфига
+ * @returns {Object} Слой с проверками в секциях *Defaults
+ */
+function foldChecks(layerConfig) {
+  const folded = { ...layerConfig };
+
+  ["preCommit", "prePush"].forEach((hook) => {
+    const checks = layerConfig[hook]?.checks;
+    if (checks === undefined) return;
+
+    const defaultsKey = `${hook}Defaults`;
+    const base = layerConfig[defaultsKey]?.checks || [];
+    folded[defaultsKey] = {
+      ...layerConfig[defaultsKey],
+      // Проверки секции применяются после проверок *Defaults того же слоя
+      checks: isReplace(checks)
+        ? checks
+        : isReplace(base)
+        ? { $replace: mergeArrays(base.$replace, checks) }
+        : [...base, ...checks],
+    };
+    folded[hook] = { ...layerConfig[hook] };
+    delete folded[hook].checks;
   });
 
-  return Array.from(unique.values());
+  return folded;
 }
 
 /**
@@ -76,7 +244,8 @@ function mergeArrays(arr1, arr2) {
  * @returns {boolean}
  */
 function isObject(item) {
-  return item && typeof item === "object" && !Array.isArray(item);
+  // RegExp и другие встроенные объекты сливаются как обычные значения
+  return Object.prototype.toString.call(item) === "[object Object]";
 }
 
 /**
@@ -113,53 +282,289 @@ function loadProjectConfig(projectType) {
 }
 
 /**
- * Определяет окружение выполнения
- * @returns {string} Окружение
+ * Загружает шаблон, указанный в пользовательском конфиге
+ * @param {Object} userConfig - Пользовательские настройки
+ * @param {string} [userConfig.template] - Имя шаблона, путь или npm-пакет
+ * @param {string} [userConfig.templatesDir] - Директория шаблонов команды
+ * @param {string} projectRoot - Корень проекта
+ * @returns {{name: (string|null), config: Object}} Настройки шаблона
+ * @throws {Error} Если шаблон не найден или не загружается
  */
-function getEnvironment() {
-  if (process.env.CI === "true" || process.env.GITHUB_ACTIONS === "true") {
-    return "ci";
+function loadTemplateConfig(userConfig, projectRoot) {
+  if (!userConfig.template) {
+    return { name: null, config: {} };
   }
-  if (process.env.NODE_ENV === "production") {
-    return "production";
-  }
-  if (process.env.NODE_ENV === "test") {
-    return "test";
-  }
-  return "development";
+
+  const { loadTemplate } = require("../scripts/utils/templates");
+  return loadTemplate(userConfig.template, {
+    projectRoot,
+    templatesDir: userConfig.templatesDir,
+  });
 }
 
-module.exports = function getConfig(projectType = "common", userConfig = {}) {
-  // Загружаем общую конфигурацию
+/**
+ * Загружает общие пресеты из поля extends пользовательского конфига
+ * @param {Object} userConfig - Пользовательские настройки
+ * @param {string|string[]} [userConfig.extends] - Пресеты: npm-пакеты
+ * или пути относительно корня проекта
+ * @param {string} projectRoot - Корень проекта
+ * @returns {{files: string[], items: Array<{file: string, config: Object}>}}
+ * Пути к пресетам (относительно проекта) и пресеты по порядку применения
+ * (каждый накладывается отдельным слоем, чтобы директивы слияния
+ * применялись к уже объединенным спискам)
+ * @throws {Error} Если пресет не найден, не загружается или extends
+ * содержит цикл
+ */
+function loadPresets(userConfig, projectRoot) {
+  if (!userConfig.extends) {
+    return { files: [], items: [] };
+  }
 
-  const commonConfig = require("./common.config");
-  // Определяем окружение
-  const environment = getEnvironment();
+  const { resolvePresets } = require("../scripts/utils/presets");
+  const presets = resolvePresets(userConfig.extends, { projectRoot });
 
-  // Загружаем конфигурацию проекта
-  const projectConfig = loadProjectConfig(projectType);
+  const items = presets.map(({ file, config }) => ({
+    file: path.relative(projectRoot, file),
+    config,
+  }));
 
-  // Получаем настройки для окружения
-  const envConfig = commonConfig.environments?.[environment] || {};
+  return {
+    files: items.map(({ file }) => file),
+    items,
+  };
+}
 
-  // 1. Сначала объединяем базовый конфиг с конфигом окружения
-  let mergedConfig = deepMerge(commonConfig, envConfig);
+/**
+ * Собирает секции environments всех слоев
+ * @param {...Object} layerConfigs - Слои по возрастанию приоритета
+ * @returns {Object<string, Object>} Окружения: встроенные из
+ * common.config.js и объявленные в пресетах, шаблоне, пользовательском
+ * конфиге (для выбора окружения достаточно имен и detect, настройки
+ * окружения накладываются вместе со своим слоем в applyLayer)
+ */
+function collectEnvironments(...layerConfigs) {
+  return layerConfigs.reduce((merged, layerConfig) => {
+    Object.entries(layerConfig?.environments || {}).forEach(
+      ([name, settings]) => {
+        merged[name] = { ...merged[name], ...settings };
+      }
+    );
+    return merged;
+  }, {});
+}
 
-  // 2. Удаляем environments, так как они уже применены
-  delete mergedConfig.environments;
+/**
+ * Загружает слои конфигурации под пользовательским конфигом
+ * @param {string} projectType - Тип проекта
+ * @param {Object} userConfig - Пользовательские настройки (extends, template)
+ * @param {string} projectRoot - Корень проекта
+ * @returns {{commonConfig: Object, presets: Object, projectConfig: Object, template: Object}}
+ * @throws {Error} Если пресет или шаблон не загружается
+ */
+function loadLayers(projectType, userConfig, projectRoot) {
+  return {
+    commonConfig: require("./common.config"),
+    // Общие пресеты из extends (от базовых к частным)
+    presets: loadPresets(userConfig, projectRoot),
+    projectConfig: loadProjectConfig(projectType),
+    // Шаблон (strict, relaxed, ...), если он выбран
+    template: loadTemplateConfig(userConfig, projectRoot),
+  };
+}
+
+/**
+ * Собирает окружения всех слоев в порядке их применения
+ * @param {Object} layers - Результат loadLayers
+ * @param {Object} userConfig - Пользовательские настройки
+ * @returns {Object<string, Object>} См. collectEnvironments
+ */
+function collectLayerEnvironments(layers, userConfig) {
+  return collectEnvironments(
+    layers.commonConfig,
+    ...layers.presets.items.map(({ config }) => config),
+    layers.projectConfig,
+    layers.template.config,
+    userConfig
+  );
+}
+
+/**
+ * Определяет окружение выполнения
+ * @param {Object} [userConfig={}] - Пользовательские настройки
+ * (могут объявлять свои окружения, в том числе через extends и template)
+ * @param {string} [explicit] - Явно заданное окружение, по умолчанию
+ * переменная HUSKY_ENV
+ * @param {string} [projectType] - Тип проекта, по умолчанию
+ * userConfig.projectType или common
+ * @returns {string} Окружение
+ * @throws {Error} Если явно задано неизвестное окружение
+ */
+function getEnvironment(userConfig = {}, explicit, projectType) {
+  const layers = loadLayers(
+    projectType || userConfig.projectType || "common",
+    userConfig,
+    process.env.HUSKY_PROJECT_ROOT || process.cwd()
+  );
+  return resolveEnvironment(collectLayerEnvironments(layers, userConfig), {
+    explicit,
+  });
+}
 
-  // 3. Объединяем с конфигом проекта
-  mergedConfig = deepMerge(mergedConfig, projectConfig);
+/**
+ * Накладывает слой и его настройки для окружения
+ * @param {Object} target - Уже объединенный конфиг
+ * @param {Object} layerConfig - Слой (может содержать environments)
+ * @param {string} environment - Текущее окружение
+ * @returns {Object} Результат слияния без секции environments
+ */
+function applyLayer(target, layerConfig, environment) {
+  const merged = deepMerge(
+    deepMerge(target, foldChecks(layerConfig)),
+    foldChecks(getEnvironmentConfig(layerConfig.environments, environment))
+  );
+  delete merged.environments;
+  return merged;
+}
+
+/**
+ * Возвращает путь к файлу слоя для вывода
+ * @param {string} file - Абсолютный путь
+ * @param {string} projectRoot - Корень проекта
+ * @returns {string} Путь относительно проекта (.husky/configs/...,
+ * шаблоны и пресеты проекта) или пакета (configs/..., templates/...)
+ */
+function displayPath(file, projectRoot) {
+  const inProject = !path.relative(projectRoot, file).startsWith("..");
+  return path.relative(
+    inProject ? projectRoot : path.join(__dirname, ".."),
+    file
+  );
+}
 
-  // 4. Объединяем с пользовательским конфигом (самый высокий приоритет)
-  mergedConfig = deepMerge(mergedConfig, userConfig);
+/**
+ * Собирает конфигурацию и список примененных слоев
+ * @param {string} projectType - Тип проекта
+ * @param {Object} userConfig - Пользовательские настройки
+ * @param {Object} options - См. getConfig
+ * @returns {{config: Object, layers: Array<{layer: string, file: string, config: Object}>}}
+ * layers - исходные слои в порядке применения (для traceConfig)
+ */
+function buildConfig(projectType, userConfig, options) {
+  // Корень проекта (директория с .husky), переданный хуком
+  const projectRoot = process.env.HUSKY_PROJECT_ROOT || process.cwd();
+
+  // Загружаем общую конфигурацию, пресеты, конфиг проекта и шаблон
+  const loaded = loadLayers(projectType, userConfig, projectRoot);
+  const { commonConfig, presets, projectConfig, template } = loaded;
+
+  // Определяем окружение (--env, HUSKY_ENV или автоопределение) среди
+  // встроенных и объявленных в слоях
+  const environment = resolveEnvironment(
+    collectLayerEnvironments(loaded, userConfig),
+    { explicit: options.environment }
+  );
+
+  // Каждый слой накладывается вместе со своими настройками окружения
+  // (environments.<окружение>), секция environments в итог не попадает
+
+  // 1. Базовый конфиг
+  let mergedConfig = applyLayer({}, commonConfig, environment);
+
+  // 2. Общие пресеты команды (extends)
+  mergedConfig = presets.items.reduce(
+    (merged, { config }) => applyLayer(merged, config, environment),
+    mergedConfig
+  );
+
+  // 3. Конфиг проекта
+  mergedConfig = applyLayer(mergedConfig, projectConfig, environment);
+
+  // 4. Шаблон поверх пресета проекта
+  mergedConfig = applyLayer(mergedConfig, template.config, environment);
+
+  // 5. Пользовательский конфиг (самый высокий приоритет)
+  mergedConfig = applyLayer(mergedConfig, userConfig, environment);
+
+  // 6. Переопределения для текущей ветки (секция branches) применяются
+  // к хукам последними, в порядке объявления паттернов
+  const policies = options.branch
+    ? require("../scripts/utils/branches").resolveBranchPolicies(
+        mergedConfig.branches,
+        options.branch
+      )
+    : [];
+  const branchOverrides = (hook) =>
+    policies.map(({ overrides }) => overrides[hook] || {});
+
+  const commonFile = displayPath(
+    path.join(__dirname, "common.config.js"),
+    projectRoot
+  );
+  const layers = [
+    {
+      layer: "defaults",
+      file: commonFile,
+      config: commonConfig,
+    },
+    ...presets.items.map(({ file, config }) => ({
+      layer: "extends",
+      file,
+      config,
+    })),
+    {
+      layer: `preset:${projectType}`,
+      file: displayPath(
+        path.join(__dirname, `${projectType}.config.js`),
+        projectRoot
+      ),
+      // advanced.project - копия пресета проекта
+      config: { ...projectConfig, advanced: { project: projectConfig } },
+    },
+    template.file && {
+      layer: `template:${template.name}`,
+      file: displayPath(template.file, projectRoot),
+      config: template.config,
+    },
+    {
+      layer: "user",
+      file: options.userConfigFile || "userConfig",
+      config: userConfig,
+    },
+  ]
+    .filter(Boolean)
+    // За слоем следуют его настройки для текущего окружения
+    .flatMap((item) => [
+      { ...item, config: { ...item.config, environments: undefined } },
+      item.config.environments?.[environment] && {
+        layer: `env:${environment}`,
+        file: item.file,
+        config: getEnvironmentConfig(item.config.environments, environment),
+      },
+    ])
+    .filter(Boolean);
+
+  // Политика ветки задана в том слое, который последним объявил паттерн
+  policies.forEach(({ pattern, overrides }) => {
+    const source = [...layers]
+      .reverse()
+      .find((layer) => layer.config?.branches?.[pattern]);
+    layers.push({
+      layer: `branch:${pattern}`,
+      file: source ? source.file : "branches",
+      config: overrides,
+    });
+  });
 
   // Формируем финальную структуру
-  return {
+  const config = {
     // Общая информация
     meta: {
       projectType,
+      template: template.name,
+      extends: presets.files,
       environment,
+      branch: options.branch || null,
+      branchPolicies: policies.map(({ pattern }) => pattern),
       configVersion: "1.0.0",
       generatedAt: new Date().toISOString(),
     },
@@ -167,7 +572,7 @@ module.exports = function getConfig(projectType = "common", userConfig = {}) {
     // Общие настройки
     general: {
       ...mergedConfig.general,
-      projectRoot: process.cwd(),
+      projectRoot,
       projectType,
       environment,
     },
@@ -176,13 +581,12 @@ module.exports = function getConfig(projectType = "common", userConfig = {}) {
     preCommit: {
       ...mergedConfig.preCommitDefaults,
       ...mergedConfig.preCommit,
-      checks: [
-        ...(mergedConfig.preCommitDefaults?.checks || []),
-        ...(mergedConfig.preCommit?.checks || []),
-      ].filter(
-        (check, index, self) =>
-          // Убираем дубликаты по имени
-          index === self.findIndex((c) => c.name === check.name)
+      ...Object.assign({}, ...branchOverrides("preCommit")),
+      // Проверки всех слоев собраны в preCommitDefaults (см. foldChecks),
+      // политики ветки применяются к ним теми же директивами
+      checks: mergeChecks(
+        mergedConfig.preCommitDefaults?.checks,
+        ...branchOverrides("preCommit").map(({ checks }) => checks)
       ),
     },
 
@@ -190,12 +594,10 @@ module.exports = function getConfig(projectType = "common", userConfig = {}) {
     prePush: {
       ...mergedConfig.prePushDefaults,
       ...mergedConfig.prePush,
-      checks: [
-        ...(mergedConfig.prePushDefaults?.checks || []),
-        ...(mergedConfig.prePush?.checks || []),
-      ].filter(
-        (check, index, self) =>
-          index === self.findIndex((c) => c.name === check.name)
+      ...Object.assign({}, ...branchOverrides("prePush")),
+      checks: mergeChecks(
+        mergedConfig.prePushDefaults?.checks,
+        ...branchOverrides("prePush").map(({ checks }) => checks)
       ),
     },
 
@@ -203,6 +605,42 @@ module.exports = function getConfig(projectType = "common", userConfig = {}) {
     commitMsg: {
       ...mergedConfig.commitMsgDefaults,
       ...mergedConfig.commitMsg,
+      ...Object.assign({}, ...branchOverrides("commitMsg")),
+    },
+
+    // Политики веток: glob-паттерн → переопределения хуков
+    branches: { ...mergedConfig.branches },
+
+    // Зависимости: общие инструменты, пресет проекта и пользовательский конфиг
+    dependencies: { ...mergedConfig.dependencies },
+
+    // ESLint конфиг (.eslintrc): пресет проекта заменяет общий целиком,
+    // пресеты extends, шаблон и пользовательский конфиг дополняют его
+    eslintConfig: [
+      ...presets.items.map(({ config }) => config.eslintConfig),
+      template.config.eslintConfig,
+      userConfig.eslintConfig,
+    ].reduce(
+      (eslintConfig, extra) => deepMerge(eslintConfig, extra || {}),
+      projectConfig.eslintConfig || commonConfig.eslintConfig || {}
+    ),
+
+    // Prettier: настройки и исключения общего конфига, пресета
+    // и пользовательского конфига (списки объединяются)
+    prettierConfig: { ...mergedConfig.prettierConfig },
+    prettierIgnore: [...(mergedConfig.prettierIgnore || [])],
+
+    // Правила lint-staged: пресет проекта заменяет общие правила целиком,
+    // пресеты extends, шаблон и пользовательский конфиг переопределяют
+    // отдельные glob-паттерны
+    lintStaged: {
+      ...(projectConfig.lintStaged || commonConfig.lintStaged),
+      ...Object.assign(
+        {},
+        ...presets.items.map(({ config }) => config.lintStaged)
+      ),
+      ...template.config.lintStaged,
+      ...userConfig.lintStaged,
     },
 
     // Расширенные настройки
@@ -220,19 +658,84 @@ module.exports = function getConfig(projectType = "common", userConfig = {}) {
       // Настройки кэширования
       cache: {
         enabled: mergedConfig.general?.cacheEnabled !== false,
-        directory: path.join(process.cwd(), ".husky-cache"),
+        directory: path.join(projectRoot, ".husky-cache"),
         ttl: 3600000, // 1 час
       },
     },
   };
+
+  // 7. Переопределения из переменных окружения (HUSKY__<ПУТЬ>, HUSKY_SKIP)
+  // накладываются на итоговую конфигурацию последними
+  const { applyEnvOverrides } = require("../scripts/utils/env-overrides");
+  const overrides = applyEnvOverrides(config);
+  overrides.applied.forEach(({ variable, layer }) =>
+    layers.push({ layer: "variable", file: variable, config: layer })
+  );
+
+  return {
+    config: {
+      ...overrides.config,
+      meta: {
+        ...overrides.config.meta,
+        envOverrides: overrides.applied.map(({ variable, path, value }) => ({
+          variable,
+          path,
+          value,
+        })),
+      },
+    },
+    layers,
+  };
+}
+
+module.exports = function getConfig(
+  projectType = "common",
+  userConfig = {},
+  options = {}
+) {
+  return buildConfig(projectType, userConfig, options).config;
+};
+
+/**
+ * Собирает конфигурацию и определяет, какой слой задал каждое значение
+ * @param {string} [projectType="common"] - Тип проекта
+ * @param {Object} [userConfig={}] - Пользовательские настройки
+ * @param {Object} [options={}] - См. getConfig
+ * @returns {{config: Object, sources: Object<string, {layer: string, file: string}>}}
+ * sources - источник для каждого значения по пути (prePush.enabled,
+ * preCommit.checks[0].critical)
+ *
+ * @example
+ * const { sources } = traceConfig('vite', {}, { environment: 'development' });
+ * sources['prePush.enabled']; // { layer: 'env:development', file: 'configs/common.config.js' }
+ */
+module.exports.traceConfig = function traceConfig(
+  projectType = "common",
+  userConfig = {},
+  options = {}
+) {
+  const { traceSources } = require("../scripts/utils/config-trace");
+  const { config, layers } = buildConfig(projectType, userConfig, options);
+
+  return {
+    config,
+    sources: traceSources(config, layers, {
+      layer: "computed",
+      file: displayPath(__filename, config.general.projectRoot),
+    }),
+  };
 };
 
 // Дополнительные экспорты для удобства
 module.exports.utils = {
   deepMerge,
   loadProjectConfig,
+  loadTemplateConfig,
+  loadPresets,
   getEnvironment,
+  collectEnvironments,
   mergeArrays,
+  mergeChecks,
 
   /**
    * Быстрое создание конфига с умолчаниями
@@ -255,6 +758,28 @@ module.exports.utils = {
     }
   },
 
+  /**
+   * Возвращает окружения: встроенные и объявленные во всех слоях
+   * (common.config.js, пресеты, конфиг проекта, шаблон, пользовательский
+   * конфиг)
+   * @param {Object} [userConfig={}] - Пользовательские настройки
+   * @param {string} [projectType] - Тип проекта, по умолчанию
+   * userConfig.projectType или common
+   * @returns {string[]}
+   * @throws {Error} Если пресет или шаблон не загружается
+   */
+  getAvailableEnvironments: (userConfig = {}, projectType) =>
+    listEnvironments(
+      collectLayerEnvironments(
+        loadLayers(
+          projectType || userConfig.projectType || "common",
+          userConfig,
+          process.env.HUSKY_PROJECT_ROOT || process.cwd()
+        ),
+        userConfig
+      )
+    ),
+
   /**
    * Возвращает список доступных типов конфигураций
    * @returns {string[]}
@@ -30,6 +30,9 @@ module.exports = {
     "**/*.{md,json}": ["prettier --write"],
   },
 
+  // Исключения Prettier для Next.js
+  prettierIgnore: [".next/", "out/", "next-env.d.ts"],
+
   // ESLint конфиг для Next.js
   eslintConfig: {
     extends: ["next/core-web-vitals"],
@@ -5,6 +5,7 @@ module.exports = {
     "@vitejs/plugin-react": "^4.0.0",
     "@typescript-eslint/eslint-plugin": "^6.0.0",
     "@typescript-eslint/parser": "^6.0.0",
+    "eslint-plugin-react-hooks": "^4.6.0",
   },
 
   // Дополнительные проверки для Vite
@@ -30,6 +31,9 @@ module.exports = {
     "**/*.{md,json}": ["prettier --write"],
   },
 
+  // Исключения Prettier для Vite
+  prettierIgnore: ["dist/", "dist-ssr/"],
+
   // ESLint конфиг для Vite
   eslintConfig: {
     extends: [
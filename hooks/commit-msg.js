@@ -22,32 +22,31 @@
 
 const fs = require("fs");
 const path = require("path");
+
+// Корень проекта - директория, в которой лежит .husky
+// (может не совпадать с корнем git, из которого git запускает хуки)
+process.env.HUSKY_PROJECT_ROOT =
+  process.env.HUSKY_PROJECT_ROOT || path.resolve(__dirname, "..");
+
 const configLoader = require("./scripts/utils/config-loader");
 const logger = require("./scripts/utils/logger");
+const { toRegExp } = require("./scripts/utils/patterns");
 
 /**
- * Преобразует строку с паттерном в RegExp
- * @param {string|RegExp} pattern - Паттерн из конфига
+ * Преобразует паттерн из конфига в RegExp
+ * @param {RegExp|string|{regex: string, flags: string}|string[]} [pattern] -
+ * Паттерн из конфига (см. scripts/utils/patterns.js), без флагов -
+ * без учета регистра
  * @returns {RegExp} Регулярное выражение
+ * @throws {Error} Если паттерн некорректен
  */
 function parsePattern(pattern) {
-  if (pattern instanceof RegExp) {
-    return pattern;
+  if (pattern === undefined || pattern === null) {
+    // Дефолтный паттерн
+    return /^(feat|fix|docs|style|refactor|test|chore|perf|build|ci|revert)(\(.+\))?: .+/i;
   }
 
-  if (typeof pattern === "string") {
-    // Убираем флаги из строки если есть
-    const match = pattern.match(/^\/(.*?)\/([gimuy]*)$/);
-    if (match) {
-      return new RegExp(match[1], match[2] || "i");
-    }
-
-    // Если строка без слешей, добавляем их
-    return new RegExp(pattern, "i");
-  }
-
-  // Дефолтный паттерн
-  return /^(feat|fix|docs|style|refactor|test|chore|perf|build|ci|revert)(\(.+\))?: .+/i;
+  return toRegExp(pattern, { flags: "i" });
 }
 
 /**
@@ -106,15 +105,17 @@ function parseCommitMessage(commitMessage, pattern) {
  * Проверяет scope на соответствие разрешенным
  * @param {string} scope - Scope из коммита
  * @param {string[]} allowedScopes - Разрешенные scopes из конфига
+ * @param {boolean} [requireScope] - Явная настройка requireScope из конфига
  * @returns {boolean}
  */
-function validateScope(scope, allowedScopes) {
+function validateScope(scope, allowedScopes, requireScope) {
   if (!allowedScopes || allowedScopes.length === 0) {
     return true; // Не проверяем если список пустой
   }
 
   if (!scope) {
-    return false; // Scope обязателен если есть allowedScopes
+    // Scope обязателен если есть allowedScopes (если не отключен явно)
+    return requireScope === false;
   }
 
   return allowedScopes.includes(scope);
@@ -140,7 +141,14 @@ function validateType(type, allowedTypes) {
  * @returns {Promise<boolean>} true если валидно, false если нет
  */
 async function validateCommitMessage() {
-  const config = configLoader.getConfig();
+  let config;
+  try {
+    config = configLoader.getConfig();
+  } catch (error) {
+    // Ошибки в конфигурации (схема, HUSKY_ENV, HUSKY__*, HUSKY_SKIP)
+    logger.error(`❌ ${error.message}`);
+    return false;
+  }
 
   // Отладочное логирование
   if (config.general?.verbose) {
@@ -270,7 +278,13 @@ async function validateCommitMessage() {
     }
 
     // Проверяем разрешенные области если заданы
-    if (!validateScope(parsed.scope, config.commitMsg.scopes)) {
+    if (
+      !validateScope(
+        parsed.scope,
+        config.commitMsg.scopes,
+        config.commitMsg.requireScope
+      )
+    ) {
       logger.error(
         `❌ Область изменений не в списке разрешенных: "${parsed.scope}"`
       );
@@ -316,24 +330,28 @@ async function validateCommitMessage() {
   }
 }
 
-// Запуск с обработкой необработанных исключений
-process.on("unhandledRejection", (error) => {
-  logger.error(`❌ Необработанное исключение: ${error.message}`);
-  if (process.env.DEBUG) {
-    console.error(error.stack);
-  }
-  process.exit(1);
-});
-
-// Запуск
-validateCommitMessage()
-  .then((isValid) => {
-    process.exit(isValid ? 0 : 1);
-  })
-  .catch((error) => {
-    logger.error(`❌ Непредвиденная ошибка: ${error.message}`);
+module.exports = { validateCommitMessage, parsePattern, parseCommitMessage };
+
+// Запуск только при вызове из git (не при require, например в самопроверке)
+if (require.main === module) {
+  // Обработка необработанных исключений
+  process.on("unhandledRejection", (error) => {
+    logger.error(`❌ Необработанное исключение: ${error.message}`);
     if (process.env.DEBUG) {
       console.error(error.stack);
     }
     process.exit(1);
   });
+
+  validateCommitMessage()
+    .then((isValid) => {
+      process.exit(isValid ? 0 : 1);
+    })
+    .catch((error) => {
+      logger.error(`❌ Непредвиденная ошибка: ${error.message}`);
+      if (process.env.DEBUG) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    });
+}
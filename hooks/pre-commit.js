@@ -1,12 +1,34 @@
 #!/usr/bin/env node
 /* eslint-disable @typescript-eslint/no-require-imports */
 // \hooks\pre-commit.js
+const path = require("path");
+
+// Корень проекта - директория, в которой лежит .husky
+// (может не совпадать с корнем git, из которого git запускает хуки)
+process.env.HUSKY_PROJECT_ROOT =
+  process.env.HUSKY_PROJECT_ROOT || path.resolve(__dirname, "..");
+
 const configLoader = require("./scripts/utils/config-loader");
 const logger = require("./scripts/utils/logger");
+const workspaces = require("./scripts/utils/workspaces");
+const branches = require("./scripts/utils/branches");
+const { toRegExp } = require("./scripts/utils/patterns");
 
 async function runPreCommitChecks() {
   const config = configLoader.getConfig();
 
+  // Политика ветки может запретить коммит (branches.<паттерн>.preCommit.block)
+  if (config.preCommit?.block) {
+    const reason =
+      typeof config.preCommit.block === "string"
+        ? `: ${config.preCommit.block}`
+        : "";
+    logger.error(
+      `🚫 Коммит в ветку ${branches.getCurrentBranch()} запрещен${reason}`
+    );
+    return false;
+  }
+
   // Проверяем, включена ли проверка
   if (!config.preCommit?.enabled) {
     logger.info("⏭️ Pre-commit проверки отключены");
@@ -14,17 +36,13 @@ async function runPreCommitChecks() {
   }
 
   // Пропускаем проверку по паттерну
-  const currentBranch = require("child_process")
-    .execSync("git branch --show-current", { encoding: "utf8" })
-    .trim();
-
   const commitMsg = require("child_process")
     .execSync("git log -1 --pretty=%B", { encoding: "utf8" })
     .trim();
 
   if (
     config.preCommit.skipPattern &&
-    config.preCommit.skipPattern.test(commitMsg)
+    toRegExp(config.preCommit.skipPattern, { flags: "i" }).test(commitMsg)
   ) {
     logger.info(`⏭️ Пропуск проверки по паттерну: ${commitMsg}`);
     return true;
@@ -32,30 +50,62 @@ async function runPreCommitChecks() {
 
   logger.info("🚀 Запуск pre-commit проверок...\n");
 
+  const { projectRoot, projectType } = config.general;
+  const gitRoot = workspaces.findGitRoot(projectRoot) || projectRoot;
+
+  // Файлы из индекса распределяются по пакетам монорепозитория
+  const changedFiles = workspaces.getStagedFiles(gitRoot);
+  const targets = workspaces.getCheckTargets(
+    projectRoot,
+    projectType,
+    changedFiles
+  );
+  const rootTarget = {
+    name: ".",
+    cwd: projectRoot,
+    projectType,
+    files: changedFiles,
+  };
+
   const results = [];
   const checks = config.preCommit.checks.filter((check) => check.enabled);
 
   for (const check of checks) {
-    logger.info(`🔍 ${check.name}...`);
-
-    try {
-      const checkModule = require(`./scripts/checks/${check.name}.js`);
-      await checkModule();
-
-      logger.success(`  ✅ ${check.name} - пройдено\n`);
-      results.push({ name: check.name, passed: true });
-    } catch (error) {
-      logger.error(`  ❌ ${check.name} - ошибка: ${error.message}\n`);
-      results.push({
-        name: check.name,
-        passed: false,
-        error,
-        critical: check.critical,
-      });
-
-      if (check.critical) {
-        logger.error("💥 Критическая проверка не пройдена, коммит отменен");
-        return false;
+    const contexts = workspaces.selectTargets(check, targets, rootTarget);
+
+    if (contexts.length === 0) {
+      logger.info(`⏭️ ${check.name}: нет затронутых пакетов\n`);
+      continue;
+    }
+
+    for (const context of contexts) {
+      const name =
+        context.name === "." ? check.name : `${check.name} (${context.name})`;
+      logger.info(`🔍 ${name}...`);
+
+      try {
+        // Проверки с command (например, перенесенные из shell-хуков)
+        // выполняются общим модулем command.js
+        const checkModule = require(`./scripts/checks/${
+          check.command ? "command" : check.name
+        }.js`);
+        await checkModule(context, check);
+
+        logger.success(`  ✅ ${name} - пройдено\n`);
+        results.push({ name, passed: true });
+      } catch (error) {
+        logger.error(`  ❌ ${name} - ошибка: ${error.message}\n`);
+        results.push({
+          name,
+          passed: false,
+          error,
+          critical: check.critical,
+        });
+
+        if (check.critical) {
+          logger.error("💥 Критическая проверка не пройдена, коммит отменен");
+          return false;
+        }
       }
     }
   }
@@ -93,13 +143,24 @@ async function runWithTimeout() {
   });
 
   try {
-    await Promise.race([runPreCommitChecks(), timeoutPromise]);
+    return await Promise.race([runPreCommitChecks(), timeoutPromise]);
   } catch (error) {
     logger.error(`\n❌ Pre-commit проверка не пройдена: ${error.message}`);
     process.exit(1);
   }
 }
 
-runWithTimeout().then((success) => {
-  process.exit(success ? 0 : 1);
-});
+module.exports = { runPreCommitChecks, runWithTimeout };
+
+// Запуск только при вызове из git (не при require, например в самопроверке)
+if (require.main === module) {
+  runWithTimeout()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      // Например, ошибки в конфигурации (см. config-loader validate)
+      logger.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
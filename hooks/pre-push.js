@@ -1,54 +1,111 @@
 #!/usr/bin/env node
 /* eslint-disable @typescript-eslint/no-require-imports */
 // \hooks\pre-push.js
+const path = require("path");
+
+// Корень проекта - директория, в которой лежит .husky
+// (может не совпадать с корнем git, из которого git запускает хуки)
+process.env.HUSKY_PROJECT_ROOT =
+  process.env.HUSKY_PROJECT_ROOT || path.resolve(__dirname, "..");
+
 const configLoader = require("./scripts/utils/config-loader");
 const logger = require("./scripts/utils/logger");
+const workspaces = require("./scripts/utils/workspaces");
+const branches = require("./scripts/utils/branches");
 
 async function runPrePushChecks() {
   const config = configLoader.getConfig();
 
+  // Политика ветки может запретить push (branches.<паттерн>.prePush.block)
+  const currentBranch = branches.getCurrentBranch();
+
+  if (config.prePush?.block) {
+    const reason =
+      typeof config.prePush.block === "string"
+        ? `: ${config.prePush.block}`
+        : "";
+    logger.error(`🚫 Push в ветку ${currentBranch} запрещен${reason}`);
+    return false;
+  }
+
   // Проверяем, включена ли проверка
   if (!config.prePush?.enabled) {
     logger.info("⏭️ Pre-push проверки отключены");
     return true;
   }
 
-  // Проверяем, нужно ли пропустить для текущей ветки
-  const currentBranch = require("child_process")
-    .execSync("git branch --show-current", { encoding: "utf8" })
-    .trim();
-
-  if (config.prePush.skipBranches?.includes(currentBranch)) {
+  // Проверяем, нужно ли пропустить для текущей ветки (glob-паттерны).
+  // Если для ветки задана политика prePush (branches), она важнее
+  const hasPolicy = (config.meta?.branchPolicies || []).some(
+    (pattern) => config.branches?.[pattern]?.prePush
+  );
+  if (
+    !hasPolicy &&
+    branches.matchesAny(currentBranch, config.prePush.skipBranches)
+  ) {
     logger.info(`⏭️ Пропуск проверки для ветки: ${currentBranch}`);
     return true;
   }
 
   logger.info("🚫 Запуск pre-push проверок...\n");
 
+  const { projectRoot, projectType } = config.general;
+  const gitRoot = workspaces.findGitRoot(projectRoot) || projectRoot;
+
+  // Файлы из неотправленных коммитов распределяются по пакетам
+  // (без upstream проверяются все пакеты)
+  const changedFiles = workspaces.getUnpushedFiles(gitRoot);
+  const targets = workspaces.getCheckTargets(
+    projectRoot,
+    projectType,
+    changedFiles
+  );
+  const rootTarget = {
+    name: ".",
+    cwd: projectRoot,
+    projectType,
+    files: changedFiles,
+  };
+
   const results = [];
   const checks = config.prePush.checks.filter((check) => check.enabled);
 
   for (const check of checks) {
-    logger.info(`🔍 ${check.name}...`);
-
-    try {
-      const checkModule = require(`./scripts/checks/${check.name}.js`);
-      await checkModule();
-
-      logger.success(`  ✅ ${check.name} - пройдено\n`);
-      results.push({ name: check.name, passed: true });
-    } catch (error) {
-      logger.error(`  ❌ ${check.name} - ошибка: ${error.message}\n`);
-      results.push({
-        name: check.name,
-        passed: false,
-        error,
-        critical: check.critical,
-      });
-
-      if (check.critical) {
-        logger.error("💥 Критическая проверка не пройдена, push отменен");
-        return false;
+    const contexts = workspaces.selectTargets(check, targets, rootTarget);
+
+    if (contexts.length === 0) {
+      logger.info(`⏭️ ${check.name}: нет затронутых пакетов\n`);
+      continue;
+    }
+
+    for (const context of contexts) {
+      const name =
+        context.name === "." ? check.name : `${check.name} (${context.name})`;
+      logger.info(`🔍 ${name}...`);
+
+      try {
+        // Проверки с command (например, перенесенные из shell-хуков)
+        // выполняются общим модулем command.js
+        const checkModule = require(`./scripts/checks/${
+          check.command ? "command" : check.name
+        }.js`);
+        await checkModule(context, check);
+
+        logger.success(`  ✅ ${name} - пройдено\n`);
+        results.push({ name, passed: true });
+      } catch (error) {
+        logger.error(`  ❌ ${name} - ошибка: ${error.message}\n`);
+        results.push({
+          name,
+          passed: false,
+          error,
+          critical: check.critical,
+        });
+
+        if (check.critical) {
+          logger.error("💥 Критическая проверка не пройдена, push отменен");
+          return false;
+        }
       }
     }
   }
@@ -86,13 +143,24 @@ async function runWithTimeout() {
   });
 
   try {
-    await Promise.race([runPrePushChecks(), timeoutPromise]);
+    return await Promise.race([runPrePushChecks(), timeoutPromise]);
   } catch (error) {
     logger.error(`\n❌ Pre-push проверка не пройдена: ${error.message}`);
     process.exit(1);
   }
 }
 
-runWithTimeout().then((success) => {
-  process.exit(success ? 0 : 1);
-});
+module.exports = { runPrePushChecks, runWithTimeout };
+
+// Запуск только при вызове из git (не при require, например в самопроверке)
+if (require.main === module) {
+  runWithTimeout()
+    .then((success) => {
+      process.exit(success ? 0 : 1);
+    })
+    .catch((error) => {
+      // Например, ошибки в конфигурации (см. config-loader validate)
+      logger.error(`❌ ${error.message}`);
+      process.exit(1);
+    });
+}
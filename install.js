@@ -25,13 +25,58 @@
 
 const fs = require("fs");
 const path = require("path");
-const { execSync } = require("child_process");
+const { execSync, spawnSync } = require("child_process");
+const lintStaged = require("./scripts/installer/lint-staged");
+const packageManager = require("./scripts/installer/package-manager");
+const InstallPlan = require("./scripts/installer/plan");
+const InstallManifest = require("./scripts/installer/manifest");
+const contentStore = require("./scripts/installer/content-store");
+const InstallTransaction = require("./scripts/installer/transaction");
+const husky = require("./scripts/installer/husky");
+const { runSelfTest } = require("./scripts/installer/self-test");
+const { mergeThreeWay } = require("./scripts/installer/merge");
+const dependencies = require("./scripts/installer/dependencies");
+const eslint = require("./scripts/installer/eslint");
+const prettier = require("./scripts/installer/prettier");
+const migrate = require("./scripts/installer/migrate");
+const workspaces = require("./scripts/utils/workspaces");
+const branches = require("./scripts/utils/branches");
+const templates = require("./scripts/utils/templates");
+const configSchema = require("./scripts/utils/config-schema");
+const { collectEntries } = require("./scripts/utils/config-trace");
+const { serializePattern } = require("./scripts/utils/patterns");
+const yaml = require("./scripts/utils/yaml");
+const wizard = require("./scripts/installer/wizard");
+const {
+  USER_CONFIG_FILE,
+  USER_CONFIG_FILES,
+  findUserConfig,
+  readUserConfig,
+  getUserConfigFormat,
+} = require("./scripts/utils/config-loader");
+const { version: PACKAGE_VERSION, bin } = require("./package.json");
 
-console.log(`
-┌─────────────────────────────────────────┐
-│       Husky Configuration v1.0.0        │
-└─────────────────────────────────────────┘
-`);
+/**
+ * Имя команды установщика (bin в package.json) для подсказок
+ * @constant
+ * @type {string}
+ */
+const CLI_NAME = Object.keys(bin)[0];
+
+/**
+ * Директории scripts/, которые нужны хукам во время работы
+ * (scripts/installer используется только установщиком и не копируется)
+ * @constant
+ * @type {string[]}
+ */
+const RUNTIME_SCRIPT_DIRS = ["utils", "checks"];
+
+/**
+ * Node-скрипты хуков (для каждого создается shell-обертка)
+ * @constant
+ * @type {string[]}
+ */
+const HOOK_FILES = ["pre-commit.js", "commit-msg.js", "pre-push.js"];
 
 /**
  * Временный логгер для использования до загрузки основного логгера из файла
@@ -67,8 +112,24 @@ class AdvancedHuskyInstaller {
   /**
    * Создает экземпляр AdvancedHuskyInstaller
    * @constructor
+   * @param {Object} [options={}] - Параметры установки
+   * @param {('npm'|'pnpm'|'yarn'|'bun')} [options.packageManager] - Явный выбор
+   * менеджера пакетов вместо автоопределения
+   * @param {boolean} [options.dryRun=false] - Только показать план установки,
+   * ничего не записывая на диск
+   * @param {boolean} [options.yes=false] - Не задавать вопросов (пропустить
+   * интерактивную настройку)
+   * @param {boolean} [options.skipDeps=false] - Не устанавливать инструменты
+   * из пресета (eslint, prettier, плагины), только Husky и lint-staged
+   * @param {boolean} [options.force=false] - Переустановить поверх
+   * существующей установки (файлы в .husky перезаписываются)
+   * @param {('nextjs'|'vite'|'react'|'common')} [options.type] - Тип проекта
+   * вместо автоопределения и projectType из .huskyrc.json
+   * @param {string} [options.template] - Шаблон настроек (strict, relaxed,
+   * library, app, путь к файлу шаблона или npm-пакет), сохраняется
+   * в .huskyrc.json
    */
-  constructor() {
+  constructor(options = {}) {
     /**
      * Корневая директория проекта (текущая рабочая директория)
      * @type {string}
@@ -76,12 +137,130 @@ class AdvancedHuskyInstaller {
      */
     this.projectRoot = process.cwd();
 
+    /**
+     * Корень git репозитория (может быть выше projectRoot, если проект
+     * лежит в поддиректории репозитория)
+     * @type {string}
+     * @public
+     */
+    this.gitRoot = workspaces.findGitRoot(this.projectRoot) || this.projectRoot;
+
     /**
      * Экземпляр логгера для вывода сообщений
      * @type {Object}
      * @public
      */
     this.logger = tempLogger; // Временный логгер
+
+    /**
+     * Параметры установки
+     * @type {Object}
+     * @public
+     */
+    this.options = options;
+
+    /**
+     * Менеджер пакетов проекта (определяется при установке)
+     * @type {Object|null}
+     * @public
+     */
+    this.packageManager = null;
+
+    /**
+     * План установки (только в режиме dryRun)
+     * @type {InstallPlan|null}
+     * @public
+     */
+    this.plan = options.dryRun ? new InstallPlan(this.projectRoot) : null;
+
+    /**
+     * Манифест текущей установки (создается в install)
+     * @type {InstallManifest|null}
+     * @public
+     */
+    this.manifest = null;
+
+    /**
+     * Снимок состояния для отката при ошибке (создается в install и update)
+     * @type {InstallTransaction|null}
+     * @public
+     */
+    this.transaction = null;
+
+    /**
+     * Устанавливаемая версия Husky (определяется в installDependencies)
+     * @type {string|null}
+     * @public
+     */
+    this.huskyVersion = null;
+
+    /**
+     * Пакеты workspace (определяются в detectPackages)
+     * @type {Array<Object>|null}
+     * @public
+     */
+    this.packages = null;
+
+    /**
+     * Результат разрешения зависимостей пресета (см. installDependencies)
+     * @type {Object|null}
+     * @public
+     */
+    this.dependencyReport = null;
+
+    /**
+     * Результат переноса существующих настроек хуков
+     * (см. migrateExistingSetup)
+     * @type {Object|null}
+     * @public
+     */
+    this.migrationReport = null;
+  }
+
+  /**
+   * Возвращает мажорную версию Husky, под которую настраивается проект
+   * @method
+   * @public
+   * @returns {number} 8 или 9 (и выше)
+   *
+   * @description
+   * Берется версия, устанавливаемая в installDependencies (HUSKY_VERSION
+   * или фиксированная), иначе версия из node_modules проекта.
+   *
+   * @example
+   * installer.getHuskyMajor(); // 9
+   */
+  getHuskyMajor() {
+    return husky.getMajorVersion(
+      this.huskyVersion || husky.getInstalledVersion(this.projectRoot)
+    );
+  }
+
+  /**
+   * Определяет менеджер пакетов проекта
+   * @method
+   * @public
+   * @returns {Object} Результат detectPackageManager
+   *
+   * @description
+   * Явно переданный options.packageManager имеет приоритет,
+   * затем поле packageManager в package.json, затем lock-файлы.
+   *
+   * @example
+   * const pm = installer.detectPackageManager();
+   * console.log(pm.name); // "pnpm"
+   */
+  detectPackageManager() {
+    if (!this.packageManager) {
+      this.packageManager = packageManager.detectPackageManager(
+        this.projectRoot,
+        this.options.packageManager
+      );
+      this.packageManager.warnings.forEach((warning) =>
+        this.logger.warn(`⚠️  ${warning}`)
+      );
+    }
+    return this.packageManager;
   }
 
   /**
@@ -113,26 +292,48 @@ class AdvancedHuskyInstaller {
    * Определяет тип проекта на основе конфигурационных файлов
    * @method
    * @public
-   * @returns {('nextjs'|'vite'|'common')} Тип проекта
+   * @returns {('nextjs'|'vite'|'react'|'common')} Тип проекта
    *
    * @description
-   * Анализирует файлы в корне проекта для определения фреймворка/сборщика.
-   * Проверяет наличие конфигурационных файлов Next.js или Vite.
+   * Анализирует файлы и зависимости в корне проекта для определения
+   * фреймворка/сборщика (см. workspaces.detectProjectType).
    *
    * @example
    * const type = installer.detectProjectType();
    * console.log(`Проект: ${type}`); // "nextjs", "vite" или "common"
    */
   detectProjectType() {
-    const files = fs.readdirSync(this.projectRoot);
+    return workspaces.detectProjectType(this.projectRoot);
+  }
 
-    if (files.some((f) => /^next\.config\.(js|ts|mjs)$/.test(f))) {
-      return "nextjs";
-    }
-    if (files.some((f) => /^vite\.config\.(js|ts|mjs)$/.test(f))) {
-      return "vite";
+  /**
+   * Находит пакеты workspace и определяет тип каждого из них
+   * @method
+   * @public
+   * @returns {Array<Object>} Результат workspaces.discoverPackages
+   *
+   * @example
+   * installer.detectPackages();
+   * // [{ name: 'web', relativeDir: 'apps/web', projectType: 'nextjs', ... }]
+   */
+  detectPackages() {
+    if (!this.packages) {
+      this.packages = workspaces.discoverPackages(this.projectRoot);
     }
-    return "common";
+    return this.packages;
+  }
+
+  /**
+   * Путь к .husky относительно корня git (в формате git config)
+   * @method
+   * @private
+   * @returns {string} ".husky" или, например, "frontend/.husky"
+   */
+  getHuskyDirFromGitRoot() {
+    return path
+      .relative(this.gitRoot, path.join(this.projectRoot, ".husky"))
+      .split(path.sep)
+      .join("/");
   }
 
   /**
@@ -148,6 +349,13 @@ class AdvancedHuskyInstaller {
    * 2. Установка зависимостей
    * 3. Настройка Husky
    * 4. Конфигурация package.json
+   * 5. Сохранение манифеста установки для команды uninstall
+   *
+   * В режиме dryRun все шаги только записываются в план (см. InstallPlan),
+   * который выводится в конце: зависимости, команды, файлы и diff.
+   *
+   * Если шаг завершился ошибкой, все изменения откатываются (package.json,
+   * lock-файлы, .husky/, core.hooksPath; см. rollback) до выхода с кодом 1.
    *
    * @throws {Error} Если произошла ошибка на любом этапе установки
    *
@@ -163,11 +371,72 @@ class AdvancedHuskyInstaller {
     try {
       await this.loadLogger(); // Загружаем логгер
 
-      const projectType = this.detectProjectType();
-      this.logger.info(`🎯 Проект: ${projectType.toUpperCase()}`);
+      let projectType = this.options.type || this.detectProjectType();
+      this.logger.info(
+        `🎯 Проект: ${projectType.toUpperCase()}${
+          this.options.type ? " (задан --type)" : ""
+        }`
+      );
+
+      if (this.gitRoot !== this.projectRoot) {
+        this.logger.info(
+          `📂 Проект в поддиректории репозитория: ${path.relative(
+            this.gitRoot,
+            this.projectRoot
+          )}`
+        );
+      }
+
+      const packages = this.detectPackages();
+      if (packages.length > 0) {
+        this.logger.info(`📦 Пакеты workspace: ${packages.length}`);
+        packages.forEach((pkg) =>
+          this.logger.info(
+            `   ${pkg.relativeDir}: ${pkg.projectType.toUpperCase()}`
+          )
+        );
+      }
+
+      if (InstallManifest.load(this.projectRoot)) {
+        if (!this.options.force) {
+          this.logger.warn(
+            `⚠️  Husky уже установлен (${InstallManifest.MANIFEST_FILE})`
+          );
+          this.logger.info(
+            `💡 Обновить с сохранением своих изменений: ${CLI_NAME} update`
+          );
+          this.logger.info(
+            `💡 Переустановить с перезаписью файлов в .husky: ${CLI_NAME} --force`
+          );
+          return;
+        }
+        this.logger.warn("⚠️  Повторная установка перезапишет файлы в .husky");
+      }
+
+      if (!this.plan) {
+        // Запоминаем исходное состояние для команды uninstall
+        this.manifest = new InstallManifest(this.projectRoot);
+        this.manifest.begin({ files: this.getLockfilePaths() });
+        this.beginTransaction();
+      }
+
+      // Переносим commitlint, simple-git-hooks и свои хуки в .huskyrc.json
+      // до того, как установка перезапишет .husky/
+      this.migrateExistingSetup();
+
+      // Шаблон из --template или .huskyrc.json (может задать тип проекта)
+      projectType = this.applyTemplate(projectType);
+
+      // Интерактивная настройка или тип проекта из .huskyrc.json
+      // (тип, заданный флагом --type, важнее сохраненного)
+      if (wizard.isInteractive(this.options)) {
+        projectType = await this.runWizard(projectType);
+      } else if (!this.options.type) {
+        projectType = this.readUserConfig().projectType || projectType;
+      }
 
       // 1. Устанавливаем зависимости
-      await this.installDependencies();
+      await this.installDependencies(projectType);
 
       // 2. Настраиваем Husky
       await this.setupHusky();
@@ -175,382 +444,2413 @@ class AdvancedHuskyInstaller {
       // 3. Настраиваем package.json
       await this.setupPackageJson(projectType);
 
+      if (this.plan) {
+        this.showMigrationReport();
+        this.plan.print();
+        return;
+      }
+
+      this.manifest.finish({
+        version: PACKAGE_VERSION,
+        projectType,
+        packageManager: this.detectPackageManager().name,
+      });
+      this.logger.info(
+        `✓ Манифест установки: ${InstallManifest.MANIFEST_FILE}`
+      );
+
       this.logger.success("\n✅ Husky настроен!");
+      this.showMigrationReport();
       this.showNextSteps(projectType);
     } catch (error) {
+      if (this.plan) {
+        // Показываем план до шага, на котором установка бы прервалась
+        this.plan.print();
+      }
       this.logger.error(`❌ Ошибка: ${error.message}`);
+      this.rollback();
       process.exit(1);
     }
   }
 
   /**
-   * Устанавливает необходимые зависимости (Husky и lint-staged)
+   * Удаляет все, что было установлено, по манифесту установки
    * @method
-   * @private
+   * @public
    * @async
    * @returns {Promise<void>}
    *
    * @description
-   * Устанавливает dev-зависимости через npm или yarn.
-   * При неудаче с npm пробует yarn.
-   *
-   * @throws {Error} Если не удалось установить зависимости ни через npm, ни через yarn
+   * Удаляет созданные файлы (хуки, .husky/configs, .husky/scripts),
+   * восстанавливает перезаписанные файлы и ключи package.json (prepare,
+   * lint-staged, devDependencies), удаляет или восстанавливает lock-файл,
+   * возвращает core.hooksPath и удаляет .husky-config.json. Файлы и ключи, измененные вручную после установки,
+   * сохраняются с предупреждением.
    *
    * @example
-   * // Установка с дефолтными версиями
-   * await installer.installDependencies();
-   *
-   * // Установка с кастомными версиями через переменные окружения
-   * process.env.HUSKY_VERSION = "9.0.0";
-   * process.env.LINT_STAGED_VERSION = "14.0.0";
-   * await installer.installDependencies();
+   * await installer.uninstall();
    */
-  async installDependencies() {
-    this.logger.info("📦 Устанавливаем Husky и lint-staged...");
+  async uninstall() {
+    await this.loadLogger();
 
-    /**
-     * Фиксированные версии зависимостей по умолчанию
-     * @constant
-     * @type {Object}
-     * @property {string} HUSKY - Версия Husky (8.0.3)
-     * @property {string} LINT_STAGED - Версия lint-staged (16.2.7)
-     */
-    const FIXED_VERSIONS = {
-      HUSKY: "8.0.3", // Последняя стабильная 8.x
-      LINT_STAGED: "16.2.7", // Последняя стабильная 13.x
-    };
+    const manifest = InstallManifest.load(this.projectRoot);
+    if (!manifest) {
+      this.logger.error(
+        `❌ Манифест установки не найден: ${InstallManifest.MANIFEST_FILE}`
+      );
+      this.logger.info(
+        "💡 Удаление возможно только для установок с манифестом"
+      );
+      process.exit(1);
+    }
 
-    /**
-     * Очищает версию от символов caret (^) и тильды (~)
-     * @private
-     * @param {string} envVar - Имя переменной окружения
-     * @param {string} fixed - Фиксированное значение по умолчанию
-     * @returns {string} Очищенная версия
-     */
-    const getCleanVersion = (envVar, fixed) => {
-      const version = process.env[envVar] || fixed;
-      // Убираем caret, тильду и другие диапазоны
-      return version.replace(/^[~^]/, "");
-    };
+    this.logger.info("🧹 Удаляем Husky конфигурацию...");
 
-    /**
-     * Конфигурация версий для установки
-     * @type {Object}
-     */
-    const CONFIG = {
-      versions: {
-        husky: getCleanVersion("HUSKY_VERSION", FIXED_VERSIONS.HUSKY),
-        lintStaged: getCleanVersion(
-          "LINT_STAGED_VERSION",
-          FIXED_VERSIONS.LINT_STAGED
-        ),
-      },
-    };
+    const report = InstallManifest.revert(this.projectRoot, manifest);
 
-    this.logger.info(`Устанавливаем фиксированные версии: 
-    husky@${CONFIG.versions.husky}, 
-    lint-staged@${CONFIG.versions.lintStaged}`);
+    report.removed.forEach((item) => this.logger.info(`✓ Удалено: ${item}`));
+    report.restored.forEach((item) =>
+      this.logger.info(`✓ Восстановлено: ${item}`)
+    );
+    report.kept.forEach((item) => this.logger.warn(`⚠️  Сохранено: ${item}`));
 
-    try {
-      execSync(
-        `npm install --save-dev husky@${CONFIG.versions.husky} lint-staged@${CONFIG.versions.lintStaged}`,
-        { stdio: "inherit" }
-      );
-    } catch (error) {
-      this.logger.warn("⚠️  Пробуем yarn...");
-      execSync(
-        `yarn add --dev husky@${CONFIG.versions.husky} lint-staged@${CONFIG.versions.lintStaged}`,
-        { stdio: "inherit" }
+    const dependencyKeys = ["dependencies", "devDependencies"];
+    const lockfiles = packageManager.LOCKFILES.map(({ file }) => file);
+    if (
+      manifest.packageJson.some((change) =>
+        dependencyKeys.includes(change.path[0])
+      ) ||
+      [...report.removed, ...report.restored].some((item) =>
+        lockfiles.includes(path.basename(item))
+      )
+    ) {
+      // node_modules не удаляется: install по восстановленным package.json
+      // и lock-файлу убирает пакеты, добавленные установщиком
+      const pm = this.detectPackageManager();
+      this.logger.info(
+        `💡 Зависимости в package.json восстановлены, выполните: ${pm.name} install`
       );
     }
+
+    this.logger.success("\n✅ Husky конфигурация удалена");
   }
 
   /**
-   * Настраивает Husky: инициализация и создание хуков
+   * Проверяет установку и окружение
    * @method
-   * @private
+   * @public
    * @async
    * @returns {Promise<void>}
    *
    * @description
-   * Выполняет:
-   * 1. Инициализацию Husky (npx husky init)
-   * 2. Создание кастомных хуков
-   * 3. Настройку прав доступа
-   * 4. Создание структуры директорий для скриптов
-   *
-   * @throws {Error} Если не удалось инициализировать Husky
+   * Проверяет git репозиторий, наличие Husky в node_modules, раскладку
+   * .husky и ее соответствие установленной версии, core.hooksPath,
+   * обертки хуков и загрузку установленных модулей (см. verifyInstall).
+   * Для каждой проблемы выводится подсказка. Если проблемы найдены,
+   * процесс завершается с кодом 1.
    *
    * @example
-   * await installer.setupHusky();
+   * await installer.doctor();
    */
-  async setupHusky() {
-    this.logger.info("🔧 Настраиваем Husky...");
-    try {
-      execSync("npx husky init", { stdio: "inherit" });
-      this.logger.success("✓ Husky инициализирован");
-    } catch (error) {
-      this.logger.error("❌ Не удалось инициализировать Husky");
-      this.logger.error(`Причина: ${error.message}`);
-      throw error;
-    }
+  async doctor() {
+    await this.loadLogger();
+    this.logger.info("🩺 Диагностика установки...");
+
+    const problems = [];
+    const check = (ok, message, hint) => {
+      if (ok) {
+        this.logger.info(`✓ ${message}`);
+        return;
+      }
+      problems.push(message);
+      this.logger.error(`❌ ${message}`);
+      if (hint) this.logger.info(`   💡 ${hint}`);
+    };
+
+    check(
+      workspaces.findGitRoot(this.projectRoot),
+      "Git репозиторий",
+      "Выполните: git init"
+    );
 
     const huskyDir = path.join(this.projectRoot, ".husky");
-    // Проверяем, что husky создал директорию
+    const installedVersion = husky.getInstalledVersion(this.projectRoot);
+    const pm = this.detectPackageManager();
+
+    check(
+      installedVersion,
+      installedVersion
+        ? `husky ${installedVersion} в node_modules`
+        : "husky не найден в node_modules",
+      `Выполните: ${pm.name} install`
+    );
+
     if (!fs.existsSync(huskyDir)) {
-      this.logger.error("❌ Директория .husky не создана");
-      throw new Error("Husky initialization failed - no .husky directory");
+      check(false, "Директория .husky не найдена", `Выполните: ${CLI_NAME}`);
+      this.showDoctorSummary(problems);
+      return;
     }
 
-    // 1. Копируем хуки (файлы напрямую в hooks/)
-    const hooks = ["pre-commit.js", "commit-msg.js", "pre-push.js"];
-    let hooksCopied = 0;
+    const layout = husky.detectLayout(huskyDir);
+    const installedMajor = installedVersion
+      ? husky.getMajorVersion(installedVersion)
+      : null;
 
-    hooks.forEach((hookFile) => {
-      // Копируем из hooks/ директории
-      const copied = this.copyFile(hookFile, huskyDir, "hooks");
+    check(
+      layout,
+      layout
+        ? `Раскладка .husky: v${layout}`
+        : "Служебная директория .husky/_ не найдена",
+      `Выполните: ${pm.name} run prepare`
+    );
 
-      if (copied) {
-        // Делаем исполняемым
-        const target = path.join(huskyDir, hookFile.replace(".js", ""));
-        try {
-          fs.chmodSync(target, "755");
-          hooksCopied++;
-          this.logger.info(`✓ Хук создан: .husky/${path.basename(target)}`);
-        } catch (chmodError) {
-          this.logger.warn(
-            `⚠️  Не удалось сделать хук исполняемым: ${chmodError.message}`
-          );
-        }
-      } else {
-        this.logger.warn(`⚠️  Не удалось скопировать хук: ${hookFile}`);
-      }
-    });
+    if (layout && installedMajor) {
+      check(
+        layout === installedMajor,
+        `Раскладка .husky соответствует husky ${installedMajor}`,
+        `Переустановите конфигурацию: ${CLI_NAME} --force`
+      );
+    }
 
-    if (hooksCopied === 0) {
-      this.logger.warn("⚠️  Не скопировано ни одного хука!");
-    } else {
-      this.logger.success(
-        `✓ Скопировано хуков: ${hooksCopied}/${hooks.length}`
+    const major = layout || installedMajor;
+    if (major) {
+      const expected = husky.getHooksPath(major, this.getHuskyDirFromGitRoot());
+      const current = husky.readHooksPath(this.projectRoot);
+      check(
+        current === expected,
+        `core.hooksPath = ${current || "(не задан)"}${
+          current === expected ? "" : `, ожидается ${expected}`
+        }`,
+        `Выполните: git config core.hooksPath ${expected}`
       );
     }
 
-    // 2. Создаем директории
-    const configsDir = path.join(huskyDir, "configs");
-    const scriptsDir = path.join(huskyDir, "scripts");
+    const hooks = HOOK_FILES.filter((file) =>
+      fs.existsSync(path.join(huskyDir, file))
+    );
+    HOOK_FILES.forEach((file) => {
+      const hookName = path.basename(file, ".js");
+      const wrapperPath = path.join(huskyDir, hookName);
 
-    [configsDir, scriptsDir].forEach((dir) => {
-      if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-        this.logger.info(
-          `✓ Директория создана: ${path.relative(this.projectRoot, dir)}`
+      if (!hooks.includes(file) || !fs.existsSync(wrapperPath)) {
+        check(
+          false,
+          `Хук ${hookName}: нет файла .husky/${
+            hooks.includes(file) ? hookName : file
+          }`,
+          `Восстановите файлы хуков: ${CLI_NAME} update`
         );
+        return;
       }
+
+      const executable = this.isExecutable(wrapperPath);
+      check(
+        executable,
+        `Хук ${hookName}${executable ? "" : ": обертка не исполняемая"}`,
+        `Выполните: chmod +x .husky/${hookName}`
+      );
     });
 
-    // 3. Копируем основной конфиг с fallback
-    const configCopied = this.copyFile(
-      "hooks-config.js",
-      configsDir,
-      "configs"
-    );
-    if (!configCopied) {
-      this.logger.warn("⚠️  Основной конфиг не найден, создаю дефолтный...");
-      this.createDefaultConfig(path.join(configsDir, "hooks-config.js"));
+    const userConfig = this.findUserConfig();
+    if (userConfig) {
+      let error = null;
+      try {
+        this.readUserConfig();
+      } catch (readError) {
+        error = readError;
+      }
+      check(
+        !error,
+        error ? error.message : `Пользовательский конфиг: ${userConfig.file}`,
+        `Исправьте ${userConfig.file}`
+      );
     }
 
-    // 4. Копируем утилиты и проверки
-    const scriptFiles = [
-      "utils/config-loader.js",
-      "utils/logger.js",
-      "checks/typescript.js",
-      "checks/lint-staged.js",
-      "checks/build.js",
-      "checks/security.js",
-    ];
-
-    let scriptsCopied = 0;
-    scriptFiles.forEach((filePath) => {
-      const copied = this.copyFile(filePath, scriptsDir, "scripts");
-      if (copied) scriptsCopied++;
-    });
-
-    this.logger.success(
-      `✓ Скопировано скриптов: ${scriptsCopied}/${scriptFiles.length}`
+    let configErrors;
+    try {
+      configErrors = this.checkHooksConfig().errors.length;
+    } catch (error) {
+      configErrors = error.message;
+    }
+    check(
+      configErrors === 0,
+      configErrors === 0
+        ? "Конфигурация хуков"
+        : `Конфигурация хуков: ${
+            typeof configErrors === "number"
+              ? `ошибок ${configErrors}`
+              : configErrors
+          }`,
+      `Подробности: ${CLI_NAME} validate`
     );
 
-    // Проверяем критически важные файлы
-    const criticalFiles = [
-      path.join(scriptsDir, "utils", "config-loader.js"),
-      path.join(scriptsDir, "utils", "logger.js"),
+    if (!InstallManifest.load(this.projectRoot)) {
+      this.logger.warn(
+        `⚠️  Манифест установки не найден: команды update и uninstall работают ограниченно`
+      );
+    }
+
+    try {
+      this.verifyInstall(huskyDir, hooks);
+    } catch (error) {
+      problems.push(error.message);
+    }
+
+    this.showDoctorSummary(problems);
+  }
+
+  /**
+   * Выводит итог диагностики и выставляет код завершения
+   * @method
+   * @private
+   * @param {string[]} problems - Найденные проблемы
+   */
+  showDoctorSummary(problems) {
+    if (problems.length === 0) {
+      this.logger.success("\n✅ Проблем не найдено");
+      return;
+    }
+
+    this.logger.error(`\n❌ Найдено проблем: ${problems.length}`);
+    process.exitCode = 1;
+  }
+
+  /**
+   * Проверяет, что файл существует и исполняемый
+   * @method
+   * @private
+   * @param {string} filePath - Путь к файлу
+   * @returns {boolean}
+   */
+  isExecutable(filePath) {
+    try {
+      fs.accessSync(
+        filePath,
+        process.platform === "win32" ? fs.constants.F_OK : fs.constants.X_OK
+      );
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Запускает установленный хук без git
+   * @method
+   * @public
+   * @async
+   * @param {string} hookName - Имя хука (pre-commit, commit-msg, pre-push)
+   * @param {string[]} [args=[]] - Аргументы хука (для commit-msg - файл
+   * с сообщением коммита)
+   *
+   * @description
+   * Хук запускается так же, как из git: из корня проекта
+   * с HUSKY_PROJECT_ROOT. Процесс завершается с кодом хука.
+   *
+   * @example
+   * await installer.runHook('commit-msg', ['.git/COMMIT_EDITMSG']);
+   */
+  async runHook(hookName, args = []) {
+    await this.loadLogger();
+
+    const hooks = HOOK_FILES.map((file) => path.basename(file, ".js"));
+    if (!hooks.includes(hookName)) {
+      this.logger.error(
+        `❌ Неизвестный хук: ${
+          hookName || "(не указан)"
+        }. Доступные: ${hooks.join(", ")}`
+      );
+      process.exit(1);
+    }
+
+    const hookPath = path.join(this.projectRoot, ".husky", `${hookName}.js`);
+    if (!fs.existsSync(hookPath)) {
+      this.logger.error(`❌ Хук не установлен: .husky/${hookName}.js`);
+      this.logger.info(`💡 Выполните: ${CLI_NAME}`);
+      process.exit(1);
+    }
+
+    if (hookName === "commit-msg" && args.length === 0) {
+      this.logger.error("❌ Укажите файл с сообщением коммита");
+      this.logger.info(`💡 ${CLI_NAME} run commit-msg .git/COMMIT_EDITMSG`);
+      process.exit(1);
+    }
+
+    const result = spawnSync(process.execPath, [hookPath, ...args], {
+      cwd: this.projectRoot,
+      stdio: "inherit",
+      env: { ...process.env, HUSKY_PROJECT_ROOT: this.projectRoot },
+    });
+
+    if (result.error) {
+      this.logger.error(`❌ Не удалось запустить хук: ${result.error.message}`);
+    }
+    process.exit(result.status === null ? 1 : result.status);
+  }
+
+  /**
+   * Выводит итоговую конфигурацию хуков с источником каждого значения
+   * @method
+   * @public
+   * @async
+   * @returns {Promise<void>}
+   *
+   * @description
+   * Конфигурация собирается так же, как в хуках: установленный
+   * .husky/configs/hooks-config.js (или конфиги пакета, если Husky еще
+   * не установлен) и пользовательский конфиг (husky.config.*, .huskyrc,
+   * ключ "husky" в package.json). Для каждого значения выводится слой,
+   * который его задал (defaults, env:<окружение>, extends, preset:<тип>,
+   * template:<имя>, user или computed), и файл слоя.
+   *
+   * С флагом --json выводится только JSON { config, sources }, где
+   * sources - источники по путям значений. Регулярные выражения выводятся
+   * строками. Флаг --env собирает конфигурацию для другого окружения.
+   *
+   * @example
+   * await installer.printConfig(); // npx setup-advanced-husky print-config --env=ci
+   */
+  async printConfig() {
+    await this.loadLogger();
+
+    let result;
+    try {
+      result = this.loadHooksConfig({ trace: true });
+    } catch (error) {
+      this.logger.error(`❌ ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { config, sources } = result;
+    const stringify = (value, indent) =>
+      JSON.stringify(value, (key, item) => serializePattern(item), indent);
+
+    if (this.options.json) {
+      console.log(stringify({ config, sources }, 2));
+      return;
+    }
+
+    console.log(
+      `# ${config.meta.projectType}, окружение ${config.meta.environment}`
+    );
+
+    let section = null;
+    collectEntries(config, "").forEach(([keyPath, value]) => {
+      const { layer, file } = sources[keyPath];
+      const [current] = keyPath.split(".");
+      if (current !== section) {
+        section = current;
+        console.log("");
+      }
+      console.log(`${keyPath} = ${stringify(value)}  ← ${layer} (${file})`);
+    });
+  }
+
+  /**
+   * Проверяет итоговую конфигурацию хуков по схеме
+   * @method
+   * @public
+   * @async
+   * @returns {Promise<void>}
+   *
+   * @description
+   * Конфигурация собирается так же, как в print-config. Выводятся ошибки
+   * (неверные типы, нет модуля у включенной проверки, некорректные
+   * паттерны) и предупреждения (неизвестные ключи с подсказками).
+   * При ошибках процесс завершается с кодом 1, предупреждения на код
+   * завершения не влияют.
+   *
+   * @example
+   * await installer.validate(); // npx setup-advanced-husky validate
+   */
+  async validate() {
+    await this.loadLogger();
+
+    const source = this.findUserConfig();
+    this.logger.info(
+      `🔎 Проверка конфигурации хуков${source ? ` (${source.file})` : ""}...`
+    );
+
+    let result;
+    try {
+      result = this.checkHooksConfig();
+    } catch (error) {
+      this.logger.error(`❌ Конфигурация не загружается: ${error.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const { errors, warnings } = result;
+    warnings.forEach((issue) =>
+      this.logger.warn(`⚠️  ${configSchema.formatIssue(issue)}`)
+    );
+    errors.forEach((issue) =>
+      this.logger.error(`❌ ${configSchema.formatIssue(issue)}`)
+    );
+
+    if (errors.length > 0) {
+      this.logger.error(
+        `\n❌ Ошибок: ${errors.length}, предупреждений: ${warnings.length}`
+      );
+      process.exitCode = 1;
+      return;
+    }
+
+    this.logger.success(
+      `\n✅ Конфигурация корректна${
+        warnings.length > 0 ? ` (предупреждений: ${warnings.length})` : ""
+      }`
+    );
+  }
+
+  /**
+   * Собирает итоговую конфигурацию хуков так же, как хуки
+   * @method
+   * @private
+   * @param {Object} [options={}]
+   * @param {boolean} [options.trace=false] - Определить источник
+   * каждого значения (см. traceConfig в hooks-config.js)
+   * @returns {{config: Object, sources: (Object|undefined), baseDir: string}}
+   * config - результат getConfig, sources - источники значений (с trace),
+   * baseDir - .husky (если Husky установлен) или директория пакета,
+   * из которой взяты конфиги
+   * @throws {Error} Если конфигурация не загружается, окружение --env
+   * неизвестно или установленный hooks-config.js не поддерживает trace
+   */
+  loadHooksConfig({ trace = false } = {}) {
+    const source = this.findUserConfig();
+    const userConfig = this.readUserConfig();
+    const projectType =
+      this.options.type || userConfig.projectType || this.detectProjectType();
+
+    const huskyDir = path.join(this.projectRoot, ".husky");
+    const baseDir = fs.existsSync(
+      path.join(huskyDir, "configs", "hooks-config.js")
+    )
+      ? huskyDir
+      : __dirname;
+    const getConfig = require(path.join(baseDir, "configs", "hooks-config.js"));
+
+    const environments = getConfig.utils?.getAvailableEnvironments?.(
+      userConfig,
+      projectType
+    );
+    if (
+      this.options.env &&
+      environments &&
+      !environments.includes(this.options.env)
+    ) {
+      throw new Error(
+        `Неизвестное окружение: ${
+          this.options.env
+        }. Доступные: ${environments.join(", ")}`
+      );
+    }
+
+    const options = {
+      environment: this.options.env,
+      userConfigFile: source ? source.file : undefined,
+      branch: branches.getCurrentBranch(this.projectRoot),
+    };
+
+    if (!trace) {
+      return { config: getConfig(projectType, userConfig, options), baseDir };
+    }
+
+    if (!getConfig.traceConfig) {
+      throw new Error(
+        `Установленный hooks-config.js не определяет источники значений, обновите его: ${CLI_NAME} update`
+      );
+    }
+    return {
+      ...getConfig.traceConfig(projectType, userConfig, options),
+      baseDir,
+    };
+  }
+
+  /**
+   * Проверяет итоговую конфигурацию хуков по схеме
+   * @method
+   * @private
+   * @returns {{errors: Array<Object>, warnings: Array<Object>}}
+   * @throws {Error} Если конфигурация не загружается
+   * @see module:config-schema.validateConfig
+   */
+  checkHooksConfig() {
+    const { config, baseDir } = this.loadHooksConfig();
+    return configSchema.validateConfig(config, {
+      checksDir: path.join(baseDir, "scripts", "checks"),
+    });
+  }
+
+  /**
+   * Обновляет установленные файлы до текущего релиза
+   * @method
+   * @public
+   * @async
+   * @returns {Promise<void>}
+   *
+   * @description
+   * Сравнивает файлы в .husky с версиями, записанными при установке
+   * (манифест, поле installed):
+   * - не измененные пользователем файлы заменяются новой версией;
+   * - измененные объединяются трехсторонним слиянием (git merge-file);
+   * - при конфликте файл пользователя не меняется, рядом создаются
+   *   <файл>.orig (установленная версия) и <файл>.new (новая версия).
+   * package.json, зависимости и core.hooksPath не изменяются.
+   * В конце выводится отчет по каждому файлу.
+   *
+   * @example
+   * await installer.update();
+   */
+  async update() {
+    try {
+      await this.loadLogger();
+
+      const huskyDir = path.join(this.projectRoot, ".husky");
+      if (!fs.existsSync(huskyDir)) {
+        throw new Error("Husky не установлен, сначала выполните установку");
+      }
+
+      const previous = InstallManifest.load(this.projectRoot);
+      if (!previous || !previous.installed) {
+        this.logger.warn(
+          "⚠️  Установленные версии файлов неизвестны (установка без манифеста)"
+        );
+        this.logger.info(
+          "💡 Измененные файлы не будут перезаписаны: новые версии сохранятся рядом как .new"
+        );
+      } else {
+        this.logger.info(
+          `📦 Обновление: ${previous.version} → ${PACKAGE_VERSION}`
+        );
+      }
+
+      if (!this.plan) {
+        this.manifest = new InstallManifest(this.projectRoot);
+        this.manifest.begin({ files: this.getLockfilePaths() });
+        this.beginTransaction();
+      }
+
+      const installed = new Map(
+        (previous?.installed || []).map((file) => [file.path, file])
+      );
+      const major = husky.detectLayout(huskyDir) || this.getHuskyMajor();
+      const releaseFiles = this.getReleaseFiles(huskyDir, major);
+      const report = {
+        updated: [],
+        added: [],
+        merged: [],
+        conflicts: [],
+        kept: [],
+        skipped: [],
+        unchanged: [],
+      };
+
+      releaseFiles.forEach((file) => {
+        const relativePath = path
+          .relative(this.projectRoot, file.target)
+          .split(path.sep)
+          .join("/");
+        const status = this.updateFile(file, installed.get(relativePath));
+        report[status].push(relativePath);
+      });
+
+      // Файлы прошлых версий, которых больше нет в релизе, не удаляются
+      const releasePaths = new Set(
+        releaseFiles.map((file) =>
+          path.relative(this.projectRoot, file.target).split(path.sep).join("/")
+        )
+      );
+      const obsolete = Array.from(installed.keys()).filter(
+        (file) =>
+          !releasePaths.has(file) &&
+          fs.existsSync(path.join(this.projectRoot, file))
+      );
+
+      this.showUpdateReport(report, obsolete);
+
+      if (this.plan) {
+        this.plan.print();
+        return;
+      }
+
+      this.verifyInstall(huskyDir, HOOK_FILES);
+
+      this.manifest.finish({
+        version: PACKAGE_VERSION,
+        projectType: previous?.projectType || this.detectProjectType(),
+        packageManager:
+          previous?.packageManager || this.detectPackageManager().name,
+      });
+
+      if (report.conflicts.length > 0) {
+        this.logger.warn(
+          "\n⚠️  Обновление завершено с конфликтами: перенесите изменения из .new вручную и удалите .orig/.new"
+        );
+      } else {
+        this.logger.success("\n✅ Husky конфигурация обновлена");
+      }
+    } catch (error) {
+      if (this.plan) {
+        this.plan.print();
+      }
+      this.logger.error(`❌ Ошибка: ${error.message}`);
+      this.rollback();
+      process.exit(1);
+    }
+  }
+
+  /**
+   * Обновляет один файл релиза
+   * @method
+   * @private
+   * @param {{target: string, content: string, executable: boolean}} file -
+   * Файл из getReleaseFiles
+   * @param {{hash: string, content: (string|undefined)}|undefined} installed -
+   * Версия, записанная при прошлой установке (content - только в манифестах
+   * прошлых версий, иначе берется из content-store)
+   * @returns {('updated'|'added'|'merged'|'conflicts'|'kept'|'skipped'|'unchanged')}
+   * Результат для отчета
+   */
+  updateFile(file, installed) {
+    const current = fs.existsSync(file.target)
+      ? fs.readFileSync(file.target, "utf8")
+      : null;
+
+    const install = (content = file.content) => {
+      this.writeFile(file.target, content);
+      if (this.manifest)
+        this.manifest.recordInstalled(file.target, file.content);
+      if (file.executable) this.makeExecutable(file.target);
+    };
+
+    // Файл удален пользователем - не восстанавливаем
+    if (current === null && installed) {
+      return "skipped";
+    }
+
+    if (current === null) {
+      install();
+      return "added";
+    }
+
+    if (current === file.content) {
+      if (this.manifest)
+        this.manifest.recordInstalled(file.target, file.content);
+      return "unchanged";
+    }
+
+    // Файл не менялся после установки
+    if (installed && InstallManifest.hash(current) === installed.hash) {
+      install();
+      return "updated";
+    }
+
+    // Изменен пользователем, но в релизе файл не менялся
+    if (installed && installed.hash === InstallManifest.hash(file.content)) {
+      return "kept";
+    }
+
+    // Базовой версии может не быть (свежий клон без node_modules/.cache)
+    const base = installed
+      ? installed.content ?? contentStore.load(this.projectRoot, installed.hash)
+      : null;
+    const result =
+      base !== null ? mergeThreeWay(current, base, file.content) : null;
+
+    if (result && result.conflicts === 0) {
+      install(result.merged);
+      return "merged";
+    }
+
+    // Конфликт или нет базовой версии - сохраняем версии рядом
+    if (base !== null) {
+      this.writeFile(`${file.target}.orig`, base);
+    }
+    this.writeFile(`${file.target}.new`, file.content);
+    return "conflicts";
+  }
+
+  /**
+   * Выводит отчет команды update
+   * @method
+   * @private
+   * @param {Object<string, string[]>} report - Файлы по результатам updateFile
+   * @param {string[]} obsolete - Файлы, которых больше нет в релизе
+   */
+  showUpdateReport(report, obsolete) {
+    const sections = [
+      ["updated", "🔄 Обновлено"],
+      ["added", "➕ Добавлено"],
+      ["merged", "🔀 Объединено с вашими изменениями"],
+      ["kept", "✋ Ваши изменения сохранены (в релизе файл не менялся)"],
+      ["skipped", "⏭️  Пропущено (удалено вами)"],
+      ["conflicts", "⚠️  Конфликты (созданы .orig и .new рядом с файлом)"],
     ];
 
-    const missingCritical = criticalFiles.filter(
-      (file) => !fs.existsSync(file)
+    console.log("\n📊 Результаты обновления:");
+    sections.forEach(([key, title]) => {
+      if (report[key].length === 0) return;
+      console.log(`\n${title}: ${report[key].length}`);
+      report[key].forEach((file) => console.log(`   ${file}`));
+    });
+
+    if (obsolete.length > 0) {
+      console.log(`\n🗑️  Больше нет в релизе (не удалены): ${obsolete.length}`);
+      obsolete.forEach((file) => console.log(`   ${file}`));
+    }
+
+    console.log(`\n✓ Без изменений: ${report.unchanged.length}`);
+  }
+
+  /**
+   * Возвращает lock-файлы проекта и корня workspace для манифеста
+   * @method
+   * @private
+   * @returns {string[]} Абсолютные пути (в том числе несуществующих
+   * файлов - их создание установщиком тоже откатывается при uninstall)
+   *
+   * @description
+   * Манифест хранит содержимое файлов как текст, поэтому существующий
+   * бинарный bun.lockb не запоминается.
+   */
+  getLockfilePaths() {
+    const pm = this.detectPackageManager();
+    const roots = Array.from(new Set([this.projectRoot, pm.root]));
+
+    return roots
+      .flatMap((root) =>
+        packageManager.LOCKFILES.map(({ file }) => path.join(root, file))
+      )
+      .filter((file) => !file.endsWith(".lockb") || !fs.existsSync(file));
+  }
+
+  /**
+   * Запоминает состояние проекта для отката при ошибке
+   * @method
+   * @private
+   *
+   * @description
+   * Отслеживаются package.json и lock-файлы проекта и корня workspace,
+   * .husky/, пользовательский конфиг и core.hooksPath. Остальные файлы
+   * (например, package.json пакетов workspace) запоминаются в writeFile
+   * перед первой записью.
+   */
+  beginTransaction() {
+    const pm = this.detectPackageManager();
+    const roots = Array.from(new Set([this.projectRoot, pm.root]));
+
+    this.transaction = new InstallTransaction(this.projectRoot);
+    this.transaction.begin({
+      files: [
+        ...roots.flatMap((root) => [
+          path.join(root, "package.json"),
+          ...packageManager.LOCKFILES.map(({ file }) => path.join(root, file)),
+        ]),
+        ...USER_CONFIG_FILES,
+        ".husky-config.json",
+      ],
+      dirs: [".husky"],
+    });
+  }
+
+  /**
+   * Откатывает изменения незавершенной установки и выводит итог
+   * @method
+   * @private
+   *
+   * @description
+   * Ничего не делает, если транзакция не начата (dryRun или ошибка
+   * до начала изменений). node_modules не откатывается - после
+   * восстановления package.json и lock-файла предлагается переустановить
+   * зависимости.
+   */
+  rollback() {
+    if (!this.transaction) return;
+
+    this.logger.warn("\n↩️  Откатываем изменения...");
+
+    const report = this.transaction.rollback();
+    this.transaction = null;
+
+    report.restored.forEach((item) =>
+      this.logger.info(`✓ Восстановлено: ${item}`)
+    );
+    report.removed.forEach((item) => this.logger.info(`✓ Удалено: ${item}`));
+    report.failed.forEach((item) =>
+      this.logger.error(`❌ Не удалось откатить: ${item}`)
+    );
+
+    if (report.restored.length + report.removed.length === 0) {
+      this.logger.info("ℹ️  Проект не был изменен");
+    }
+
+    const dependencyFiles = [
+      "package.json",
+      ...packageManager.LOCKFILES.map(({ file }) => file),
+    ];
+    if (
+      report.restored.some((item) =>
+        dependencyFiles.includes(path.basename(item))
+      )
+    ) {
+      const pm = this.detectPackageManager();
+      this.logger.info(
+        `💡 package.json и lock-файл восстановлены, чтобы вернуть node_modules, выполните: ${pm.name} install`
+      );
+    }
+
+    if (report.failed.length > 0) {
+      this.logger.error(
+        "❌ Откат выполнен не полностью, проверьте перечисленные файлы вручную"
+      );
+    } else {
+      this.logger.success("✓ Изменения отменены, проект в исходном состоянии");
+    }
+  }
+
+  /**
+   * Устанавливает необходимые зависимости (Husky, lint-staged и инструменты пресета)
+   * @method
+   * @private
+   * @async
+   * @param {('nextjs'|'vite'|'react'|'common')} projectType - Тип проекта
+   * @returns {Promise<void>}
+   *
+   * @description
+   * Устанавливает dev-зависимости одной командой через менеджер пакетов
+   * проекта (см. detectPackageManager), с флагами корня workspace при
+   * необходимости. Кроме Husky и lint-staged устанавливаются dependencies
+   * из конфига (общие инструменты и пресет проекта), которых еще нет
+   * в package.json. Пакеты, объявленные с несовместимым диапазоном,
+   * не переустанавливаются - о них выводится предупреждение.
+   * С options.skipDeps инструменты пресета не устанавливаются.
+   *
+   * @throws {Error} Если команда установки завершилась с ошибкой
+   *
+   * @example
+   * // Установка с дефолтными версиями
+   * await installer.installDependencies("vite");
+   *
+   * // Установка с кастомными версиями через переменные окружения
+   * process.env.HUSKY_VERSION = "9.0.0";
+   * process.env.LINT_STAGED_VERSION = "14.0.0";
+   * await installer.installDependencies("vite");
+   */
+  async installDependencies(projectType) {
+    this.logger.info("📦 Устанавливаем Husky и lint-staged...");
+
+    /**
+     * Фиксированные версии зависимостей по умолчанию
+     * @constant
+     * @type {Object}
+     * @property {string} HUSKY - Версия Husky (8.0.3)
+     * @property {string} LINT_STAGED - Версия lint-staged (16.2.7)
+     */
+    const FIXED_VERSIONS = {
+      HUSKY: "8.0.3", // Последняя стабильная 8.x
+      LINT_STAGED: "16.2.7", // Последняя стабильная 13.x
+    };
+
+    /**
+     * Очищает версию от символов caret (^) и тильды (~)
+     * @private
+     * @param {string} envVar - Имя переменной окружения
+     * @param {string} fixed - Фиксированное значение по умолчанию
+     * @returns {string} Очищенная версия
+     */
+    const getCleanVersion = (envVar, fixed) => {
+      const version = process.env[envVar] || fixed;
+      // Убираем caret, тильду и другие диапазоны
+      return version.replace(/^[~^]/, "");
+    };
+
+    /**
+     * Конфигурация версий для установки
+     * @type {Object}
+     */
+    const CONFIG = {
+      versions: {
+        husky: getCleanVersion("HUSKY_VERSION", FIXED_VERSIONS.HUSKY),
+        lintStaged: getCleanVersion(
+          "LINT_STAGED_VERSION",
+          FIXED_VERSIONS.LINT_STAGED
+        ),
+      },
+    };
+
+    this.huskyVersion = CONFIG.versions.husky;
+
+    this.logger.info(`Устанавливаем фиксированные версии: 
+    husky@${CONFIG.versions.husky}, 
+    lint-staged@${CONFIG.versions.lintStaged}`);
+
+    const pm = this.detectPackageManager();
+    const packages = [
+      `husky@${CONFIG.versions.husky}`,
+      `lint-staged@${CONFIG.versions.lintStaged}`,
+    ];
+
+    const report = this.resolveDependencies(projectType);
+    if (this.options.skipDeps) {
+      this.logger.info(
+        "⏭️ Инструменты пресета не устанавливаются (--skip-deps)"
+      );
+    } else {
+      packages.push(
+        ...report.missing.map(({ name, range }) =>
+          dependencies.formatSpec(name, range)
+        )
+      );
+    }
+
+    const { command, cwd } = packageManager.getAddDevCommand(pm, packages);
+
+    this.logger.info(`📦 Менеджер пакетов: ${pm.name} (${pm.source})`);
+    this.logger.debug(`Команда: ${command} (в ${cwd})`);
+
+    if (this.plan) {
+      this.plan.addDependencies(packages.map((spec) => spec.replace(/"/g, "")));
+    }
+
+    try {
+      this.runCommand(command, { cwd });
+    } catch (error) {
+      this.logger.error(
+        `❌ Не удалось установить зависимости через ${pm.name}`
+      );
+      this.logger.info(
+        "💡 Укажите менеджер пакетов явно: --package-manager=<npm|pnpm|yarn|bun>"
+      );
+      throw error;
+    }
+  }
+  /**
+   * Разрешает dependencies из конфига для типа проекта
+   * @method
+   * @private
+   * @param {('nextjs'|'vite'|'react'|'common')} projectType - Тип проекта
+   * @returns {Object} Результат dependencies.resolveDependencies
+   *
+   * @description
+   * Выводит совместимые и конфликтующие с package.json пакеты
+   * и сохраняет результат в dependencyReport (для showNextSteps).
+   */
+  resolveDependencies(projectType) {
+    const pm = this.detectPackageManager();
+    const dirs = Array.from(new Set([this.projectRoot, pm.root]));
+    const required = { ...this.resolveConfig(projectType).dependencies };
+
+    // Flat конфиг ESLint 9 подключает конфиг пресета через FlatCompat
+    if (this.getEslintTarget(projectType).flat) {
+      Object.assign(required, eslint.FLAT_COMPAT_DEPENDENCIES);
+    }
+
+    const report = dependencies.resolveDependencies(required, dirs);
+
+    report.satisfied.forEach(({ name, declared }) =>
+      this.logger.debug(`${name}@${declared} уже установлен`)
+    );
+    report.unknown.forEach(({ name, declared }) =>
+      this.logger.info(
+        `${name}@${declared}: не удалось проверить совместимость, пропускаем`
+      )
+    );
+    report.conflicts.forEach(({ name, range, declared, installed }) =>
+      this.logger.warn(
+        `⚠️  ${name}: пресет требует ${range}, в проекте ${declared}${
+          installed ? ` (установлен ${installed})` : ""
+        } - не изменяем`
+      )
+    );
+
+    this.dependencyReport = {
+      ...report,
+      skipped: Boolean(this.options.skipDeps),
+    };
+    return report;
+  }
+
+  /**
+   * Настраивает Husky: инициализация и создание хуков
+   * @method
+   * @private
+   * @async
+   * @returns {Promise<void>}
+   *
+   * @description
+   * Выполняет:
+   * 1. Обновление раскладки .husky, если она от другой мажорной версии
+   * 2. Инициализацию Husky (v8: husky install, v9: husky) и core.hooksPath
+   * 3. Копирование Node-скриптов хуков и создание shell-оберток для них
+   * 4. Настройку прав доступа
+   * 5. Создание структуры директорий для скриптов
+   *
+   * @throws {Error} Если не удалось инициализировать Husky
+   *
+   * @example
+   * await installer.setupHusky();
+   */
+  async setupHusky() {
+    this.logger.info("🔧 Настраиваем Husky...");
+
+    const major = this.getHuskyMajor();
+    const huskyDir = path.join(this.projectRoot, ".husky");
+    const currentLayout = husky.detectLayout(huskyDir);
+
+    if (currentLayout && currentLayout !== major) {
+      this.migrateHuskyLayout(huskyDir, currentLayout, major);
+    }
+
+    try {
+      const { command, cwd } = this.getHuskyInitCommand(major);
+      this.runCommand(command, { cwd });
+      this.logDone(`✓ Husky v${major} инициализирован`, { level: "success" });
+    } catch (error) {
+      this.logger.error("❌ Не удалось инициализировать Husky");
+      this.logger.error(`Причина: ${error.message}`);
+      throw error;
+    }
+
+    // Проверяем, что husky создал директорию
+    if (!this.plan && !fs.existsSync(huskyDir)) {
+      this.logger.error("❌ Директория .husky не создана");
+      throw new Error("Husky initialization failed - no .husky directory");
+    }
+
+    this.ensureHooksPath(major);
+
+    // 1. Копируем Node-скрипты хуков и создаем shell-обертки для них
+    const hooks = HOOK_FILES;
+    let hooksCopied = 0;
+
+    hooks.forEach((hookFile) => {
+      // Копируем из hooks/ директории
+      const copied = this.copyFile(hookFile, huskyDir, "hooks");
+
+      if (copied) {
+        const hookName = hookFile.replace(".js", "");
+        const target = path.join(huskyDir, hookName);
+        this.installFile(target, husky.renderHookWrapper(hookName, major));
+
+        // Делаем исполняемыми обертку и скрипт
+        try {
+          this.makeExecutable(target);
+          this.makeExecutable(path.join(huskyDir, hookFile));
+          hooksCopied++;
+          this.logDone(`✓ Хук создан: .husky/${hookName}`);
+        } catch (chmodError) {
+          this.logger.warn(
+            `⚠️  Не удалось сделать хук исполняемым: ${chmodError.message}`
+          );
+        }
+      } else {
+        this.logger.warn(`⚠️  Не удалось скопировать хук: ${hookFile}`);
+      }
+    });
+
+    if (hooksCopied === 0) {
+      this.logger.warn("⚠️  Не скопировано ни одного хука!");
+    } else {
+      this.logDone(`✓ Скопировано хуков: ${hooksCopied}/${hooks.length}`, {
+        level: "success",
+      });
+    }
+
+    // 2. Создаем директории
+    const configsDir = path.join(huskyDir, "configs");
+    const scriptsDir = path.join(huskyDir, "scripts");
+
+    [configsDir, scriptsDir].forEach((dir) => {
+      if (!fs.existsSync(dir)) {
+        this.makeDir(dir);
+        this.logDone(
+          `✓ Директория создана: ${path.relative(this.projectRoot, dir)}`
+        );
+      }
+    });
+
+    // 3. Копируем конфиги (hooks-config.js подключает общий конфиг и пресеты)
+    const configFiles = this.listSourceFiles("configs");
+    configFiles
+      .filter((file) => file !== "hooks-config.js")
+      .forEach((file) => this.copyFile(file, configsDir, "configs"));
+
+    const configCopied = this.copyFile(
+      "hooks-config.js",
+      configsDir,
+      "configs"
+    );
+    if (!configCopied) {
+      this.logger.warn("⚠️  Основной конфиг не найден, создаю дефолтный...");
+      this.createDefaultConfig(path.join(configsDir, "hooks-config.js"));
+    }
+
+    // 4. Копируем встроенные шаблоны (поле template в .huskyrc.json)
+    this.listSourceFiles("templates").forEach((file) =>
+      this.copyFile(file, path.join(huskyDir, "templates"), "templates")
+    );
+
+    // 5. Копируем утилиты и проверки с сохранением структуры директорий
+    const scriptFiles = RUNTIME_SCRIPT_DIRS.flatMap((dir) =>
+      this.listSourceFiles(path.join("scripts", dir)).map((file) =>
+        path.join(dir, file)
+      )
+    );
+
+    let scriptsCopied = 0;
+    scriptFiles.forEach((filePath) => {
+      const copied = this.copyFile(filePath, scriptsDir, "scripts");
+      if (copied) scriptsCopied++;
+    });
+
+    this.logDone(
+      `✓ Скопировано скриптов: ${scriptsCopied}/${scriptFiles.length}`,
+      { level: "success" }
+    );
+
+    // Проверяем критически важные файлы
+    const criticalFiles = [
+      path.join(scriptsDir, "utils", "config-loader.js"),
+      path.join(scriptsDir, "utils", "logger.js"),
+    ];
+
+    const missingCritical = criticalFiles.filter(
+      (file) => !this.fileExists(file)
+    );
+    if (missingCritical.length > 0) {
+      this.logger.error("❌ Отсутствуют критические файлы:");
+      missingCritical.forEach((file) => {
+        this.logger.error(`   - ${path.relative(this.projectRoot, file)}`);
+      });
+      throw new Error("Missing critical files");
+    }
+
+    // 6. Проверяем, что установленные хуки запускаются
+    this.verifyInstall(huskyDir, hooks);
+  }
+
+  /**
+   * Формирует команду инициализации Husky
+   * @method
+   * @private
+   * @param {number} major - Мажорная версия Husky
+   * @returns {{command: string, cwd: string}}
+   *
+   * @description
+   * Husky требует запуска из корня git. Если проект лежит в поддиректории,
+   * команда запускается из корня git с путем к .husky, а исполняемый файл
+   * берется из node_modules проекта (npx в корне git его не найдет).
+   */
+  getHuskyInitCommand(major) {
+    const pm = this.detectPackageManager();
+
+    if (this.gitRoot === this.projectRoot) {
+      return {
+        command: packageManager.getExecCommand(pm, husky.getInitCommand(major)),
+        cwd: this.projectRoot,
+      };
+    }
+
+    const init = husky.getInitCommand(major, this.getHuskyDirFromGitRoot());
+    const binPath = husky.getBinPath(this.projectRoot);
+
+    return {
+      command: binPath
+        ? `node "${binPath}" ${init.replace(/^husky ?/, "")}`.trim()
+        : packageManager.getExecCommand(pm, init),
+      cwd: this.gitRoot,
+    };
+  }
+
+  /**
+   * Загружает установленные хуки, проверки и конфиг в дочерних процессах
+   * @method
+   * @private
+   * @param {string} huskyDir - Путь к .husky
+   * @param {string[]} hooks - Файлы хуков (pre-commit.js, ...)
+   *
+   * @description
+   * Модули загружаются из корня проекта, как при запуске из git.
+   * Ошибки разрешения модулей в проверках выводятся как ошибки,
+   * а если не запускается хук или конфиг - установка прерывается.
+   * В режиме dryRun самопроверка не выполняется.
+   *
+   * @throws {Error} Если хук или конфиг не удалось загрузить
+   */
+  verifyInstall(huskyDir, hooks) {
+    if (this.plan) return;
+
+    this.logger.info("🩺 Самопроверка установленных хуков...");
+
+    const checksDir = path.join(huskyDir, "scripts", "checks");
+    const modules = [
+      ...hooks.map((hook) => ({
+        file: path.join(huskyDir, hook),
+        kind: "hook",
+      })),
+      {
+        file: path.join(huskyDir, "configs", "hooks-config.js"),
+        kind: "config",
+      },
+      ...(fs.existsSync(checksDir) ? fs.readdirSync(checksDir) : [])
+        .filter((file) => file.endsWith(".js"))
+        .map((file) => ({ file: path.join(checksDir, file), kind: "check" })),
+    ];
+
+    const results = runSelfTest(this.projectRoot, modules);
+
+    results.forEach(({ file, ok, reason }) => {
+      const name = path.relative(this.projectRoot, file);
+      if (ok) {
+        this.logger.debug(`✓ ${name}`);
+      } else {
+        this.logger.error(`❌ ${name}: ${reason}`);
+      }
+    });
+
+    const fatal = results.filter((r) => !r.ok && r.kind !== "check");
+    if (fatal.length > 0) {
+      throw new Error(
+        `Самопроверка не пройдена: не запускается ${fatal
+          .map((r) => path.relative(this.projectRoot, r.file))
+          .join(", ")}`
+      );
+    }
+
+    const failed = results.filter((r) => !r.ok).length;
+    if (failed === 0) {
+      this.logger.success(`✓ Самопроверка пройдена: ${results.length} модулей`);
+    } else {
+      this.logger.warn(
+        `⚠️  Проверки с ошибками загрузки упадут при запуске: ${failed}`
+      );
+    }
+  }
+
+  /**
+   * Переводит существующую директорию .husky на другую мажорную версию
+   * @method
+   * @private
+   * @param {string} huskyDir - Путь к .husky
+   * @param {number} from - Текущая мажорная версия раскладки
+   * @param {number} to - Целевая мажорная версия
+   *
+   * @description
+   * Приводит пользовательские shell-хуки к формату целевой версии
+   * (для v9 убирает шебанг и подключение husky.sh) и удаляет служебную
+   * директорию .husky/_, которую команда инициализации создаст заново.
+   * Обертки установщика перезаписываются в setupHusky.
+   *
+   * @example
+   * this.migrateHuskyLayout('/project/.husky', 8, 9);
+   */
+  migrateHuskyLayout(huskyDir, from, to) {
+    this.logger.info(`🔄 Обновляем раскладку Husky: v${from} → v${to}`);
+
+    fs.readdirSync(huskyDir, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && !entry.name.includes("."))
+      .forEach((entry) => {
+        const hookPath = path.join(huskyDir, entry.name);
+        const content = fs.readFileSync(hookPath, "utf8");
+        if (husky.isGeneratedWrapper(content)) return;
+
+        const converted = husky.convertHook(content, to);
+        if (converted !== content) {
+          this.writeFile(hookPath, converted);
+          this.logger.info(`✓ Хук обновлен: .husky/${entry.name}`);
+        }
+      });
+
+    this.removePath(path.join(huskyDir, "_"));
+  }
+
+  /**
+   * Проверяет core.hooksPath и исправляет его при необходимости
+   * @method
+   * @private
+   * @param {number} major - Мажорная версия Husky
+   *
+   * @description
+   * Husky не меняет git config, если запущен вне git репозитория или
+   * с HUSKY=0. В этом случае выставляем core.hooksPath сами
+   * (v8: .husky, v9: .husky/_).
+   */
+  ensureHooksPath(major) {
+    if (this.plan) return; // Значение выставит команда инициализации
+
+    const expected = husky.getHooksPath(major, this.getHuskyDirFromGitRoot());
+    const current = husky.readHooksPath(this.projectRoot);
+
+    if (current === expected) {
+      this.logger.debug(`core.hooksPath = ${current}`);
+      return;
+    }
+
+    try {
+      husky.writeHooksPath(this.projectRoot, expected);
+      this.logger.info(
+        `✓ core.hooksPath: ${current || "(не задан)"} → ${expected}`
+      );
+    } catch (error) {
+      this.logger.warn(
+        `⚠️  Не удалось установить core.hooksPath=${expected}: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Создает дефолтную конфигурацию если основной файл не найден
+   * @method
+   * @private
+   * @param {string} configPath - Путь для сохранения конфигурации
+   *
+   * @description
+   * Создает файл с дефолтной конфигурацией Husky хуков.
+   * Используется как fallback, если основной файл конфигурации не найден.
+   *
+   * @example
+   * this.createDefaultConfig('/path/to/hooks-config.js');
+   */
+  createDefaultConfig(configPath) {
+    const defaultConfig = `module.exports = function getConfig(projectType) {
+  return {
+    preCommit: {
+      enabled: true,
+      checks: [
+        { name: "lint-staged", enabled: true, critical: true },
+        { name: "typescript", enabled: true, critical: true },
+      ],
+      timeout: 10000,
+      skipPattern: /^wip:|^fixup!|^squash!/i,
+    },
+    prePush: {
+      enabled: true,
+      checks: [
+        { name: "build", enabled: true, critical: true },
+      ],
+      timeout: 120000,
+      skipBranches: ["main", "master", "develop"],
+    },
+    commitMsg: {
+      enabled: true,
+      pattern: /^(feat|fix|docs|style|refactor|test|chore|perf|build|ci|revert)(\\\\(.+\\\\\\))?: .+/,
+      minLength: 10,
+      maxLength: 100,
+    },
+    general: {
+      projectRoot: process.cwd(),
+      projectType: projectType,
+      skipCI: process.env.CI === "true",
+      verbose: process.env.HUSKY_VERBOSE === "true",
+    },
+  };
+};`;
+
+    this.writeFile(configPath, defaultConfig);
+    this.logDone("✓ Создан дефолтный конфиг hooks-config.js");
+  }
+
+  /**
+   * Выполняет команду (в режиме dryRun - добавляет в план)
+   * @method
+   * @private
+   * @param {string} command - Команда
+   * @param {Object} [options={}] - Параметры execSync
+   *
+   * @throws {Error} Если команда завершилась с ошибкой
+   */
+  runCommand(command, options = {}) {
+    if (this.plan) {
+      this.plan.addCommand(command, options.cwd);
+      return;
+    }
+    execSync(command, { stdio: "inherit", ...options });
+  }
+
+  /**
+   * Выводит сообщение о выполненном шаге установки
+   * @method
+   * @private
+   * @param {string} message - Сообщение о результате ("✓ Создан .prettierrc")
+   * @param {Object} [options={}]
+   * @param {string} [options.planned] - Сообщение для режима dryRun, в нем
+   * шаг не выполняется; без planned сообщение пропускается - действие
+   * и так есть в плане (файлы, команды)
+   * @param {('info'|'success')} [options.level='info'] - Уровень логгера
+   */
+  logDone(message, { planned, level = "info" } = {}) {
+    if (this.plan) {
+      if (planned) this.logger.info(planned);
+      return;
+    }
+    this.logger[level](message);
+  }
+
+  /**
+   * Проверяет существование файла с учетом плана установки
+   * @method
+   * @private
+   * @param {string} filePath - Абсолютный путь
+   * @returns {boolean}
+   */
+  fileExists(filePath) {
+    return (
+      Boolean(this.plan && this.plan.hasFile(filePath)) ||
+      fs.existsSync(filePath)
+    );
+  }
+
+  /**
+   * Читает файл с учетом плана установки
+   * @method
+   * @private
+   * @param {string} filePath - Абсолютный путь
+   * @returns {string} Содержимое файла
+   */
+  readFile(filePath) {
+    const planned = this.plan ? this.plan.getContent(filePath) : undefined;
+    return planned !== undefined ? planned : fs.readFileSync(filePath, "utf8");
+  }
+
+  /**
+   * Записывает файл, создавая директории (в режиме dryRun - добавляет в план)
+   * @method
+   * @private
+   * @param {string} filePath - Абсолютный путь
+   * @param {string} content - Содержимое
+   * @param {Object} [options={}] - Параметры
+   * @param {boolean} [options.showDiff=false] - Показать diff в плане
+   */
+  writeFile(filePath, content, options = {}) {
+    if (this.plan) {
+      const original = fs.existsSync(filePath)
+        ? fs.readFileSync(filePath, "utf8")
+        : null;
+      this.plan.recordWrite(filePath, original, content, options);
+      return;
+    }
+
+    if (this.manifest) {
+      this.manifest.track(filePath);
+    }
+
+    if (this.transaction) {
+      this.transaction.track(filePath);
+    }
+
+    this.makeDir(path.dirname(filePath));
+    fs.writeFileSync(filePath, content);
+  }
+
+  /**
+   * Записывает файл из релиза и запоминает его версию в манифесте
+   * @method
+   * @private
+   * @param {string} filePath - Абсолютный путь
+   * @param {string} content - Содержимое файла в релизе
+   *
+   * @description
+   * Записанная версия используется командой update как базовая
+   * для слияния с изменениями пользователя.
+   */
+  installFile(filePath, content) {
+    this.writeFile(filePath, content);
+
+    if (this.manifest) {
+      this.manifest.recordInstalled(filePath, content);
+    }
+  }
+
+  /**
+   * Создает директорию рекурсивно (в режиме dryRun ничего не делает)
+   * @method
+   * @private
+   * @param {string} dir - Абсолютный путь
+   */
+  makeDir(dir) {
+    if (!this.plan && !fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  /**
+   * Делает файл исполняемым (в режиме dryRun ничего не делает)
+   * @method
+   * @private
+   * @param {string} filePath - Абсолютный путь
+   */
+  makeExecutable(filePath) {
+    if (!this.plan) {
+      fs.chmodSync(filePath, "755");
+    }
+  }
+
+  /**
+   * Удаляет файл или директорию (в режиме dryRun - добавляет в план)
+   * @method
+   * @private
+   * @param {string} targetPath - Абсолютный путь
+   */
+  removePath(targetPath) {
+    if (!fs.existsSync(targetPath)) return;
+
+    if (this.plan) {
+      this.plan.recordRemove(targetPath);
+      return;
+    }
+
+    fs.rmSync(targetPath, { recursive: true, force: true });
+  }
+
+  /**
+   * Возвращает список .js файлов директории пакета (рекурсивно)
+   * @method
+   * @private
+   * @param {string} dir - Путь относительно корня пакета
+   * @returns {string[]} Пути относительно dir
+   *
+   * @example
+   * this.listSourceFiles('scripts/utils'); // ['config-loader.js', 'logger.js', ...]
+   */
+  listSourceFiles(dir) {
+    const root = path.join(__dirname, dir);
+    if (!fs.existsSync(root)) return [];
+
+    return fs
+      .readdirSync(root, { withFileTypes: true })
+      .flatMap((entry) => {
+        if (entry.isDirectory()) {
+          return this.listSourceFiles(path.join(dir, entry.name)).map((file) =>
+            path.join(entry.name, file)
+          );
+        }
+        return entry.name.endsWith(".js") ? [entry.name] : [];
+      })
+      .sort();
+  }
+
+  /**
+   * Возвращает файлы текущего релиза, которые устанавливаются в .husky
+   * @method
+   * @private
+   * @param {string} huskyDir - Путь к .husky
+   * @param {number} major - Мажорная версия Husky (для shell-оберток)
+   * @returns {Array<{target: string, content: string, executable: boolean}>}
+   *
+   * @description
+   * Тот же набор файлов, что копирует setupHusky: хуки и их обертки,
+   * конфиги, шаблоны, утилиты и проверки.
+   */
+  getReleaseFiles(huskyDir, major) {
+    const readSource = (...parts) =>
+      fs.readFileSync(path.join(__dirname, ...parts), "utf8");
+
+    const hookFiles = HOOK_FILES.flatMap((hookFile) => {
+      const hookName = hookFile.replace(".js", "");
+      return [
+        {
+          target: path.join(huskyDir, hookFile),
+          content: readSource("hooks", hookFile),
+          executable: true,
+        },
+        {
+          target: path.join(huskyDir, hookName),
+          content: husky.renderHookWrapper(hookName, major),
+          executable: true,
+        },
+      ];
+    });
+
+    const configFiles = this.listSourceFiles("configs").map((file) => ({
+      target: path.join(huskyDir, "configs", file),
+      content: readSource("configs", file),
+      executable: false,
+    }));
+
+    const scriptFiles = RUNTIME_SCRIPT_DIRS.flatMap((dir) =>
+      this.listSourceFiles(path.join("scripts", dir)).map((file) => ({
+        target: path.join(huskyDir, "scripts", dir, file),
+        content: readSource("scripts", dir, file),
+        executable: false,
+      }))
+    );
+
+    const templateFiles = this.listSourceFiles("templates").map((file) => ({
+      target: path.join(huskyDir, "templates", file),
+      content: readSource("templates", file),
+      executable: false,
+    }));
+
+    return [...hookFiles, ...configFiles, ...templateFiles, ...scriptFiles];
+  }
+
+  /**
+   * Копирует файл с учетом базовой директории
+   * @method
+   * @private
+   * @param {string} sourcePath - Относительный путь к исходному файлу
+   * @param {string} targetDir - Целевая директория для копирования
+   * @param {string} baseDir - Базовая директория источника ('scripts', 'configs', 'templates', 'hooks' или '')
+   * @returns {boolean} true если копирование успешно, false в противном случае
+   *
+   * @description
+   * Копирует файл из указанной базовой директории в целевую директорию,
+   * сохраняя относительный путь (utils/logger.js → <target>/utils/logger.js).
+   * Создает целевую директорию, если она не существует.
+   *
+   * @example
+   * // Копирование хука
+   * this.copyFile('pre-commit.js', '.husky', 'hooks');
+   *
+   * // Копирование скрипта
+   * this.copyFile('utils/logger.js', '.husky/scripts', 'scripts');
+   *
+   * // Копирование конфига
+   * this.copyFile('hooks-config.js', '.husky/configs', 'configs');
+   */
+  copyFile(sourcePath, targetDir, baseDir = "scripts") {
+    const source = path.join(__dirname, baseDir, sourcePath);
+    const target = path.join(targetDir, sourcePath);
+
+    if (!fs.existsSync(source)) {
+      this.logger.warn(`⚠️  Файл не найден: ${source}`);
+      return false;
+    }
+
+    try {
+      this.installFile(target, fs.readFileSync(source, "utf8"));
+      this.logger.debug(
+        `Файл скопирован: ${path.relative(this.projectRoot, target)}`
+      );
+      return true;
+    } catch (error) {
+      this.logger.error(`❌ Ошибка копирования: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Настраивает package.json для работы с Husky
+   * @method
+   * @private
+   * @async
+   * @param {('nextjs'|'vite'|'common')} projectType - Тип проекта
+   * @returns {Promise<void>}
+   *
+   * @description
+   * Добавляет в package.json:
+   * 1. Скрипт prepare для автоматической установки Husky
+   *    (v8: "husky install", v9: "husky"; см. buildPrepareScript)
+   * 2. Конфигурацию lint-staged из пресета проекта (см. setupLintStaged)
+   *
+   * Если package.json не существует, создает минимальную версию.
+   *
+   * @throws {Error} Если не удалось прочитать или записать package.json
+   *
+   * @example
+   * await installer.setupPackageJson('nextjs');
+   */
+  async setupPackageJson(projectType) {
+    this.logger.info("📝 Настраиваем package.json...");
+
+    const pkgPath = path.join(this.projectRoot, "package.json");
+    if (!this.fileExists(pkgPath)) {
+      this.logger.warn("⚠️  package.json не найден, создаем минимальный...");
+      const minimalPkg = {
+        name: "my-project",
+        version: "1.0.0",
+        scripts: {},
+        devDependencies: {},
+      };
+      this.writeFile(pkgPath, JSON.stringify(minimalPkg, null, 2));
+    }
+
+    const pkg = JSON.parse(this.readFile(pkgPath));
+
+    // Добавляем prepare скрипт для установленной версии Husky
+    pkg.scripts = {
+      ...pkg.scripts,
+      prepare: this.buildPrepareScript(pkg.scripts?.prepare),
+    };
+
+    // Добавляем lint-staged конфигурацию
+    this.setupLintStaged(pkg, projectType);
+
+    // Создаем конфиг Prettier и дополняем .prettierignore
+    this.setupPrettier(pkg, projectType);
+
+    // Создаем или дополняем конфиг ESLint
+    this.setupEslint(pkg, projectType);
+
+    this.writeFile(pkgPath, JSON.stringify(pkg, null, 2), { showDiff: true });
+    this.logDone("✓ package.json обновлен");
+
+    this.setupPackagesLintStaged();
+  }
+
+  /**
+   * Настраивает lint-staged в пакетах workspace по их типу проекта
+   * @method
+   * @private
+   *
+   * @description
+   * Пакетам с собственным типом (nextjs, vite, ...) добавляются правила
+   * их пресета: lint-staged берет для файла ближайший конфиг, поэтому
+   * файлы пакета проверяются по его правилам. Пакеты типа common
+   * используют правила корня проекта.
+   *
+   * @example
+   * this.setupPackagesLintStaged();
+   */
+  setupPackagesLintStaged() {
+    this.detectPackages()
+      .filter((workspacePackage) => workspacePackage.projectType !== "common")
+      .forEach(({ dir, relativeDir, projectType }) => {
+        const pkgPath = path.join(dir, "package.json");
+        const pkg = JSON.parse(this.readFile(pkgPath));
+        const before = JSON.stringify(pkg["lint-staged"]);
+
+        this.setupLintStaged(pkg, projectType, dir);
+
+        // package.json пакета перезаписывается, только если правила
+        // добавлены в него (а не в .lintstagedrc пакета)
+        if (JSON.stringify(pkg["lint-staged"]) !== before) {
+          this.writeFile(pkgPath, JSON.stringify(pkg, null, 2), {
+            showDiff: true,
+          });
+          this.logDone(`✓ ${relativeDir}/package.json обновлен`);
+        }
+      });
+  }
+
+  /**
+   * Формирует prepare скрипт для текущей версии Husky
+   * @method
+   * @private
+   * @param {string} [current] - Текущий prepare скрипт
+   * @returns {string}
+   *
+   * @description
+   * Скрипт, состоящий только из вызова Husky, заменяется целиком.
+   * В составном скрипте заменяется вызов Husky, а если его нет -
+   * вызов добавляется в конец.
+   *
+   * @example
+   * this.buildPrepareScript("husky install"); // "husky" для v9
+   * this.buildPrepareScript("patch-package"); // "patch-package && husky"
+   */
+  buildPrepareScript(current) {
+    const script =
+      this.gitRoot === this.projectRoot
+        ? husky.getPrepareScript(this.getHuskyMajor())
+        : husky.getPrepareScript(
+            this.getHuskyMajor(),
+            this.getHuskyDirFromGitRoot(),
+            path
+              .relative(this.projectRoot, this.gitRoot)
+              .split(path.sep)
+              .join("/")
+          );
+
+    if (husky.isHuskyPrepareScript(current)) {
+      return script;
+    }
+
+    const huskyCall =
+      /(^|&&\s*|;\s*)(cd [^&|;]+ && )?husky( install)?( [^&|;\s]+)?(?=\s*(&&|;|$))/;
+    if (huskyCall.test(current)) {
+      return current.replace(huskyCall, `$1${script}`);
+    }
+
+    return `${current} && ${script}`;
+  }
+
+  /**
+   * Загружает итоговую конфигурацию хуков для типа проекта
+   * @method
+   * @private
+   * @param {('nextjs'|'vite'|'common')} projectType - Тип проекта
+   * @returns {Object} Результат getConfig из configs/hooks-config.js
+   *
+   * @example
+   * const config = this.resolveConfig('vite');
+   * console.log(config.lintStaged);
+   */
+  resolveConfig(projectType) {
+    const getConfig = require(path.join(
+      __dirname,
+      "configs",
+      "hooks-config.js"
+    ));
+    return getConfig(projectType, this.readUserConfig());
+  }
+
+  /**
+   * Находит пользовательский конфиг проекта с учетом плана установки
+   * @method
+   * @private
+   * @returns {{file: string, path: string, field: (string|undefined)}|null}
+   * @see module:ConfigLoader.findUserConfig
+   */
+  findUserConfig() {
+    return findUserConfig(this.projectRoot, {
+      exists: (file) => this.fileExists(file),
+      readFile: (file) => this.readFile(file),
+    });
+  }
+
+  /**
+   * Читает пользовательский конфиг проекта с учетом плана установки
+   * @method
+   * @private
+   * @returns {Object} Содержимое husky.config.*, .huskyrc(.json),
+   * ключа "husky" в package.json или пустой объект
+   */
+  readUserConfig() {
+    const source = this.findUserConfig();
+    if (!source) {
+      return {};
+    }
+
+    try {
+      return readUserConfig(source, (file) => this.readFile(file));
+    } catch (error) {
+      throw new Error(`${source.file}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Сохраняет пользовательский конфиг проекта
+   * @method
+   * @private
+   * @param {Object} config - Новое содержимое конфига
+   * @returns {string|null} Файл, в который записан конфиг, или null,
+   * если конфиг задан в JS-файле (husky.config.*)
+   *
+   * @description
+   * Конфиг записывается туда, откуда был прочитан, в том же формате:
+   * .huskyrc (JSON или YAML), .huskyrc.json, .huskyrc.yaml/.yml или ключ
+   * "husky" в package.json; если конфига нет - создается .huskyrc.json.
+   * Паттерны RegExp сохраняются строками "/re/flags". JS-конфиги
+   * не изменяются: вместо записи выводятся настройки, которые нужно
+   * перенести вручную.
+   *
+   * @example
+   * const file = this.writeUserConfig({ ...existing, template: 'strict' });
+   * if (file) this.logger.info(`✓ Шаблон сохранен в ${file}`);
+   */
+  writeUserConfig(config) {
+    const source = this.findUserConfig();
+    // RegExp в JSON и YAML - строка "/re/flags" (см. patterns.js)
+    const serializable = JSON.parse(
+      JSON.stringify(config, (key, value) => serializePattern(value))
     );
-    if (missingCritical.length > 0) {
-      this.logger.error("❌ Отсутствуют критические файлы:");
-      missingCritical.forEach((file) => {
-        this.logger.error(`   - ${path.relative(this.projectRoot, file)}`);
+
+    if (source && !source.field && getUserConfigFormat(source.path) === "js") {
+      this.logger.warn(
+        `⚠️  ${source.file} не изменяется автоматически, перенесите настройки вручную:`
+      );
+      console.log(JSON.stringify(serializable, null, 2));
+      return null;
+    }
+
+    if (source && source.field) {
+      const pkg = JSON.parse(this.readFile(source.path));
+      pkg[source.field] = serializable;
+      this.writeFile(source.path, JSON.stringify(pkg, null, 2), {
+        showDiff: true,
       });
-      throw new Error("Missing critical files");
+      return source.file;
     }
+
+    const target = source
+      ? source.path
+      : path.join(this.projectRoot, USER_CONFIG_FILE);
+    const format = source
+      ? getUserConfigFormat(target, this.readFile(target))
+      : "json";
+    this.writeFile(
+      target,
+      format === "yaml"
+        ? yaml.stringify(serializable)
+        : `${JSON.stringify(serializable, null, 2)}\n`,
+      { showDiff: true }
+    );
+    return path.basename(target);
   }
 
   /**
-   * Создает дефолтную конфигурацию если основной файл не найден
+   * Переносит существующие настройки хуков в пользовательский конфиг
    * @method
    * @private
-   * @param {string} configPath - Путь для сохранения конфигурации
    *
    * @description
-   * Создает файл с дефолтной конфигурацией Husky хуков.
-   * Используется как fallback, если основной файл конфигурации не найден.
-   *
-   * @example
-   * this.createDefaultConfig('/path/to/hooks-config.js');
+   * Находит commitlint, simple-git-hooks и собственные хуки в .husky/
+   * (см. migrate.detectMigration) и дополняет ими пользовательский конфиг:
+   * правила commitlint - секцию commitMsg, команды хуков - проверки
+   * preCommit и prePush. Результат сохраняется в migrationReport
+   * для showMigrationReport.
    */
-  createDefaultConfig(configPath) {
-    const defaultConfig = `module.exports = function getConfig(projectType) {
-  return {
-    preCommit: {
-      enabled: true,
-      checks: [
-        { name: "lint-staged", enabled: true, critical: true },
-        { name: "typescript", enabled: true, critical: true },
-      ],
-      timeout: 10000,
-      skipPattern: /^wip:|^fixup!|^squash!/i,
-    },
-    prePush: {
-      enabled: true,
-      checks: [
-        { name: "build", enabled: true, critical: true },
-      ],
-      timeout: 120000,
-      skipBranches: ["main", "master", "develop"],
-    },
-    commitMsg: {
-      enabled: true,
-      pattern: /^(feat|fix|docs|style|refactor|test|chore|perf|build|ci|revert)(\\\\(.+\\\\\\))?: .+/,
-      minLength: 10,
-      maxLength: 100,
-    },
-    general: {
-      projectRoot: process.cwd(),
-      projectType: projectType,
-      skipCI: process.env.CI === "true",
-      verbose: process.env.HUSKY_VERBOSE === "true",
-    },
-  };
-};`;
+  migrateExistingSetup() {
+    const pkgPath = path.join(this.projectRoot, "package.json");
+    const pkg = this.fileExists(pkgPath)
+      ? JSON.parse(this.readFile(pkgPath))
+      : {};
+
+    const migration = migrate.detectMigration(this.projectRoot, pkg);
+    if (migration.sources.length === 0) return;
+
+    this.migrationReport = migration;
+    this.logger.info(
+      `🔀 Найдены настройки хуков: ${migration.sources.join(", ")}`
+    );
+
+    if (Object.keys(migration.config).length === 0) return;
+
+    const existing = this.readUserConfig();
+    const merged = wizard.mergeUserConfig(existing, {
+      projectType: existing.projectType,
+      ...migration.config,
+    });
 
-    fs.writeFileSync(configPath, defaultConfig);
-    this.logger.info("✓ Создан дефолтный конфиг hooks-config.js");
+    const file = this.writeUserConfig(merged);
+    if (file) this.logDone(`✓ Настройки перенесены в ${file}`);
   }
 
   /**
-   * Копирует файл с учетом базовой директории
+   * Загружает шаблон настроек и сохраняет выбор в .huskyrc.json
    * @method
    * @private
-   * @param {string} sourcePath - Относительный путь к исходному файлу
-   * @param {string} targetDir - Целевая директория для копирования
-   * @param {string} baseDir - Базовая директория источника ('scripts', 'configs', 'hooks' или '')
-   * @returns {boolean} true если копирование успешно, false в противном случае
+   * @param {string} projectType - Определенный тип проекта
+   * @returns {string} Тип проекта с учетом пресета шаблона
+   * @throws {Error} Если шаблон не найден или указывает неизвестный пресет
    *
    * @description
-   * Копирует файл из указанной базовой директории в целевую директорию.
-   * Создает целевую директорию, если она не существует.
+   * Шаблон берется из --template, иначе из поля template в .huskyrc.json.
+   * Пресет шаблона (поле preset) используется как тип проекта, если тип
+   * не задан флагом --type или в .huskyrc.json, и тоже сохраняется
+   * в .huskyrc.json, чтобы хуки применяли тот же пресет.
    *
    * @example
-   * // Копирование хука
-   * this.copyFile('pre-commit.js', '.husky', 'hooks');
-   *
-   * // Копирование скрипта
-   * this.copyFile('utils/logger.js', '.husky/scripts', 'scripts');
-   *
-   * // Копирование конфига
-   * this.copyFile('hooks-config.js', '.husky/configs', 'configs');
+   * projectType = this.applyTemplate('common'); // 'vite' для шаблона с preset: 'vite'
    */
-  copyFile(sourcePath, targetDir, baseDir = "scripts") {
-    const source = path.join(__dirname, baseDir, sourcePath);
-    const target = path.join(targetDir, path.basename(sourcePath));
+  applyTemplate(projectType) {
+    const existing = this.readUserConfig();
+    const name = this.options.template || existing.template;
+    if (!name) return projectType;
 
-    if (!fs.existsSync(source)) {
-      this.logger.warn(`⚠️  Файл не найден: ${source}`);
-      return false;
-    }
+    const template = templates.loadTemplate(name, {
+      projectRoot: this.projectRoot,
+      templatesDir: existing.templatesDir,
+    });
+    this.logger.info(
+      `🧩 Шаблон: ${template.name}${
+        template.description ? ` - ${template.description}` : ""
+      }`
+    );
 
-    try {
-      if (!fs.existsSync(path.dirname(target))) {
-        fs.mkdirSync(path.dirname(target), { recursive: true });
-      }
-      fs.copyFileSync(source, target);
-      this.logger.debug(
-        `Файл скопирован: ${path.relative(this.projectRoot, target)}`
+    if (template.preset && !wizard.PROJECT_TYPES.includes(template.preset)) {
+      throw new Error(
+        `Шаблон ${template.name}: неизвестный пресет ${template.preset}`
       );
-      return true;
-    } catch (error) {
-      this.logger.error(`❌ Ошибка копирования: ${error.message}`);
-      return false;
     }
+
+    const usePreset =
+      template.preset && !this.options.type && !existing.projectType;
+    const updated = {
+      ...existing,
+      template: name,
+      ...(usePreset && { projectType: template.preset }),
+    };
+
+    if (JSON.stringify(updated) !== JSON.stringify(existing)) {
+      const file = this.writeUserConfig(updated);
+      if (file) this.logDone(`✓ Шаблон сохранен в ${file}`);
+    }
+
+    if (!usePreset) return projectType;
+
+    this.logger.info(
+      `🎯 Проект: ${template.preset.toUpperCase()} (пресет шаблона)`
+    );
+    return template.preset;
+  }
+
+  /**
+   * Выводит отчет о переносе существующих настроек хуков
+   * @method
+   * @private
+   */
+  showMigrationReport() {
+    const report = this.migrationReport;
+    if (!report) return;
+
+    console.log("\n🔀 Перенос существующих настроек:");
+
+    if (report.converted.length > 0) {
+      console.log("\n   Перенесено:");
+      report.converted.forEach((item) => console.log(`   ✓ ${item}`));
+    }
+
+    if (report.skipped.length > 0) {
+      console.log("\n   Не перенесено (настройте вручную):");
+      report.skipped.forEach((item) => console.log(`   ✗ ${item}`));
+    }
+
+    if (report.hints.length > 0) console.log("");
+    report.hints.forEach((hint) => console.log(`   💡 ${hint}`));
   }
 
   /**
-   * Настраивает package.json для работы с Husky
+   * Запускает интерактивную настройку и сохраняет ответы в пользовательский конфиг
    * @method
    * @private
    * @async
-   * @param {('nextjs'|'vite'|'common')} projectType - Тип проекта
-   * @returns {Promise<void>}
+   * @param {string} detectedType - Автоматически определенный тип проекта
+   * @returns {Promise<string>} Выбранный тип проекта
    *
    * @description
-   * Добавляет в package.json:
-   * 1. Скрипт prepare для автоматической установки Husky
-   * 2. Конфигурацию lint-staged для автоформатирования
+   * Значения по умолчанию берутся из итогового конфига с учетом текущего
+   * .huskyrc.json. Ответы объединяются с существующим файлом (ключи,
+   * о которых мастер не спрашивает, сохраняются). Конфиги по умолчанию
+   * в .husky/configs не изменяются. Пропускается с флагом --yes
+   * и без терминала (CI, перенаправленный ввод).
    *
-   * Если package.json не существует, создает минимальную версию.
+   * @example
+   * const projectType = await this.runWizard('vite');
+   */
+  async runWizard(detectedType) {
+    const existing = this.readUserConfig();
+
+    const answers = await wizard.runWizard({
+      projectType: existing.projectType || detectedType,
+      resolveConfig: (projectType) => this.resolveConfig(projectType),
+    });
+
+    const file = this.writeUserConfig(
+      wizard.mergeUserConfig(existing, answers)
+    );
+    if (file) this.logDone(`✓ Настройки сохранены в ${file}`);
+
+    return answers.projectType;
+  }
+
+  /**
+   * Настраивает lint-staged по правилам пресета проекта
+   * @method
+   * @private
+   * @param {Object} pkg - Содержимое package.json (изменяется на месте)
+   * @param {('nextjs'|'vite'|'common')} projectType - Тип проекта
+   * @param {string} [dir=this.projectRoot] - Директория проекта или пакета
    *
-   * @throws {Error} Если не удалось прочитать или записать package.json
+   * @description
+   * Берет правила lintStaged из конфигурации для типа проекта и объединяет
+   * их с уже существующими правилами, не удаляя пользовательские паттерны.
+   * Если в проекте есть .lintstagedrc* или lint-staged.config.*, обновляется
+   * этот файл, иначе - ключ "lint-staged" в package.json.
    *
    * @example
-   * await installer.setupPackageJson('nextjs');
+   * this.setupLintStaged(pkg, 'nextjs');
    */
-  async setupPackageJson(projectType) {
-    this.logger.info("📝 Настраиваем package.json...");
+  setupLintStaged(pkg, projectType, dir = this.projectRoot) {
+    const generated = this.resolveConfig(projectType).lintStaged || {};
+    const configFile = lintStaged.findConfigFile(dir);
+    const pkgName = path.relative(
+      this.projectRoot,
+      path.join(dir, "package.json")
+    );
 
-    const pkgPath = path.join(this.projectRoot, "package.json");
-    if (!fs.existsSync(pkgPath)) {
-      this.logger.warn("⚠️  package.json не найден, создаем минимальный...");
-      const minimalPkg = {
-        name: "my-project",
-        version: "1.0.0",
-        scripts: {},
-        devDependencies: {},
-      };
-      fs.writeFileSync(pkgPath, JSON.stringify(minimalPkg, null, 2));
+    if (configFile) {
+      const fileName = path.relative(this.projectRoot, configFile);
+
+      let existing;
+      try {
+        existing = lintStaged.readConfigFile(configFile);
+      } catch (error) {
+        this.logger.warn(
+          `⚠️  Не удалось обновить ${fileName}: ${error.message}`
+        );
+        this.logger.warn("   Добавьте правила вручную:");
+        console.log(JSON.stringify(generated, null, 2));
+        return;
+      }
+
+      const merged = lintStaged.mergeRules(existing.rules, generated);
+      this.logLintStagedChanges(fileName, merged);
+
+      if (merged.added.length || merged.extended.length) {
+        this.writeFile(
+          configFile,
+          lintStaged.serializeRules(existing.format, merged.rules),
+          { showDiff: true }
+        );
+      }
+
+      if (pkg["lint-staged"]) {
+        this.logger.warn(
+          `⚠️  ${pkgName} тоже содержит "lint-staged", используется ${fileName}`
+        );
+      }
+      return;
     }
 
-    const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+    const merged = lintStaged.mergeRules(pkg["lint-staged"], generated);
+    this.logLintStagedChanges(pkgName, merged);
+    pkg["lint-staged"] = merged.rules;
+  }
 
-    // Добавляем prepare скрипт
-    pkg.scripts = {
-      ...pkg.scripts,
-      prepare: "husky install",
+  /**
+   * Создает конфиг Prettier и дополняет .prettierignore
+   * @method
+   * @private
+   * @param {Object} pkg - package.json проекта (для поля prettier)
+   * @param {('nextjs'|'vite'|'react'|'common')} projectType - Тип проекта
+   *
+   * @description
+   * Существующий конфиг Prettier (файл или поле prettier в package.json)
+   * не изменяется. В .prettierignore добавляются недостающие паттерны
+   * пресета: каталоги сборки, кэш проверок и lock-файлы.
+   */
+  setupPrettier(pkg, projectType) {
+    const config = this.resolveConfig(projectType);
+    const existing = prettier.findConfig(this.projectRoot, pkg);
+
+    if (existing) {
+      this.logger.info(`✓ Prettier: используется существующий ${existing}`);
+    } else {
+      this.writeFile(
+        path.join(this.projectRoot, ".prettierrc"),
+        `${JSON.stringify(config.prettierConfig, null, 2)}\n`
+      );
+      this.logDone("✓ Создан .prettierrc");
+    }
+
+    const ignorePath = path.join(this.projectRoot, prettier.IGNORE_FILE);
+    const current = this.fileExists(ignorePath)
+      ? this.readFile(ignorePath)
+      : null;
+    const { content, added } = prettier.mergeIgnore(
+      current,
+      config.prettierIgnore
+    );
+
+    if (added.length === 0) {
+      this.logger.info(`✓ ${prettier.IGNORE_FILE} уже содержит исключения`);
+      return;
+    }
+
+    this.writeFile(ignorePath, content, { showDiff: current !== null });
+    if (current === null) {
+      this.logDone(`✓ Создан ${prettier.IGNORE_FILE}`);
+    } else {
+      this.logDone(`✓ ${prettier.IGNORE_FILE}: добавлено ${added.join(", ")}`, {
+        planned: `📝 ${prettier.IGNORE_FILE}: будет добавлено ${added.join(
+          ", "
+        )}`,
+      });
+    }
+  }
+
+  /**
+   * Определяет, какой конфиг ESLint настраивается в проекте
+   * @method
+   * @private
+   * @param {('nextjs'|'vite'|'react'|'common')} projectType - Тип проекта
+   * @param {Object} [pkg] - package.json проекта (для поля eslintConfig)
+   * @returns {{found: Object|null, major: number|null, flat: boolean}}
+   * Существующий конфиг (eslint.findConfig), версия ESLint и нужен ли
+   * flat конфиг
+   *
+   * @description
+   * Формат существующего конфига сохраняется. Если конфига нет, формат
+   * выбирается по версии ESLint: установленной, объявленной в package.json
+   * или той, что будет установлена из dependencies пресета.
+   */
+  getEslintTarget(projectType, pkg) {
+    const pm = this.detectPackageManager();
+    const dirs = Array.from(new Set([this.projectRoot, pm.root]));
+    // package.json может еще не существовать: его создает setupPackageJson
+    const pkgPath = path.join(this.projectRoot, "package.json");
+    const found = eslint.findConfig(
+      this.projectRoot,
+      pkg ||
+        (this.fileExists(pkgPath) ? JSON.parse(this.readFile(pkgPath)) : {})
+    );
+    const major = eslint.getMajorVersion(
+      dirs,
+      this.resolveConfig(projectType).dependencies?.eslint
+    );
+
+    return {
+      found,
+      major,
+      flat: found ? found.type === "flat" : major >= 9,
     };
+  }
 
-    // Добавляем lint-staged конфигурацию
-    pkg["lint-staged"] = {
-      "**/*.{js,jsx,ts,tsx}": [
-        "prettier --write",
-        "eslint --fix --max-warnings=0",
-      ],
-      "**/*.{css,scss}": ["prettier --write"],
-      "**/*.{md,json}": ["prettier --write"],
+  /**
+   * Создает или дополняет конфиг ESLint правилами пресета
+   * @method
+   * @private
+   * @param {Object} pkg - package.json проекта (изменяется на месте,
+   * если конфиг хранится в поле eslintConfig)
+   * @param {('nextjs'|'vite'|'react'|'common')} projectType - Тип проекта
+   *
+   * @description
+   * Без конфига в проекте создается eslint.config.js (ESLint 9,
+   * eslint.config.cjs при "type": "module") или .eslintrc.json (ESLint 8). Существующий конфиг дополняется
+   * недостающими настройками пресета, изменения показываются как diff.
+   * JavaScript конфиги проекта не изменяются - выводятся настройки
+   * для ручного добавления.
+   */
+  setupEslint(pkg, projectType) {
+    const presetConfig = this.resolveConfig(projectType).eslintConfig || {};
+    if (Object.keys(presetConfig).length === 0) return;
+
+    // eslint-config-prettier отключает правила, конфликтующие с Prettier
+    const generated = prettier.withEslintConfig(presetConfig);
+
+    const { found, major, flat } = this.getEslintTarget(projectType, pkg);
+    const versionLabel = major ? `ESLint ${major}` : "ESLint";
+
+    if (!found) {
+      const fileName = flat
+        ? eslint.getFlatConfigFileName(pkg)
+        : ".eslintrc.json";
+      this.writeFile(
+        path.join(this.projectRoot, fileName),
+        flat
+          ? eslint.renderFlatConfig(generated, fileName)
+          : eslint.serializeLegacyConfig("json", generated)
+      );
+      this.logDone(`✓ Создан ${fileName} (${versionLabel})`);
+      return;
+    }
+
+    const fileName = path.relative(this.projectRoot, found.file);
+    const showManualSteps = (reason) => {
+      this.logger.warn(`⚠️  Не удалось обновить ${fileName}: ${reason}`);
+      this.logger.warn("   Добавьте настройки пресета вручную:");
+      console.log(JSON.stringify(generated, null, 2));
     };
 
-    fs.writeFileSync(pkgPath, JSON.stringify(pkg, null, 2));
-    this.logger.info("✓ package.json обновлен");
+    if (found.type === "flat") {
+      const content = this.readFile(found.file);
+      const preset = eslint.readFlatPreset(content);
+      if (!preset) {
+        showManualSteps("flat конфиг создан не установщиком");
+        return;
+      }
+
+      const merged = eslint.mergeConfig(preset, generated);
+      this.logEslintChanges(fileName, merged);
+      if (merged.added.length > 0) {
+        this.writeFile(
+          found.file,
+          eslint.replaceFlatPreset(content, merged.config),
+          { showDiff: true }
+        );
+      }
+      return;
+    }
+
+    if (major >= 9) {
+      this.logger.warn(
+        `⚠️  ${versionLabel} по умолчанию не читает ${fileName}: нужен ESLINT_USE_FLAT_CONFIG=false или переход на eslint.config.js`
+      );
+    }
+
+    let existing;
+    try {
+      existing =
+        found.format === "package"
+          ? pkg.eslintConfig
+          : eslint.readLegacyConfig(found);
+    } catch (error) {
+      showManualSteps(error.message);
+      return;
+    }
+
+    const merged = eslint.mergeConfig(existing, generated);
+    this.logEslintChanges(fileName, merged);
+    if (merged.added.length === 0) return;
+
+    if (found.format === "package") {
+      pkg.eslintConfig = merged.config;
+    } else {
+      this.writeFile(
+        found.file,
+        eslint.serializeLegacyConfig(found.format, merged.config),
+        { showDiff: true }
+      );
+    }
+  }
+
+  /**
+   * Выводит изменения в конфиге ESLint
+   * @method
+   * @private
+   * @param {string} target - Имя файла с конфигом
+   * @param {{added: string[], conflicts: string[]}} merged - Результат
+   * eslint.mergeConfig
+   */
+  logEslintChanges(target, { added, conflicts }) {
+    conflicts.forEach((key) =>
+      this.logger.info(`ℹ️  ESLint: ${key} - оставлено значение проекта`)
+    );
+
+    if (added.length === 0) {
+      this.logger.info(`✓ ESLint (${target}) уже содержит настройки пресета`);
+      return;
+    }
+
+    added.forEach((key) =>
+      this.logDone(`✓ ESLint: добавлено ${key}`, {
+        planned: `📝 ESLint: будет добавлено ${key}`,
+      })
+    );
+    this.logDone(`✓ ESLint настроен в ${target}`);
+  }
+
+  /**
+   * Выводит изменения в конфигурации lint-staged
+   * @method
+   * @private
+   * @param {string} target - Имя файла с конфигурацией
+   * @param {{added: string[], extended: string[], skipped: Object[]}} merged -
+   * Результат слияния
+   */
+  logLintStagedChanges(target, { added, extended, skipped = [] }) {
+    // Пересечения с паттернами проекта выводятся и при повторной установке
+    skipped.forEach(({ glob, userGlob, extensions }) =>
+      this.logger.warn(
+        `⚠️  lint-staged: ${extensions.join(
+          ", "
+        )} из ${glob} пропущены - пересекаются с ${userGlob}, добавьте команды пресета вручную`
+      )
+    );
+
+    if (!added.length && !extended.length) {
+      this.logger.info(
+        `✓ lint-staged (${target}) уже содержит правила пресета`
+      );
+      return;
+    }
+
+    added.forEach((glob) =>
+      this.logDone(`✓ lint-staged: добавлен ${glob}`, {
+        planned: `📝 lint-staged: будет добавлен ${glob}`,
+      })
+    );
+    extended.forEach((glob) =>
+      this.logDone(`✓ lint-staged: дополнен ${glob}`, {
+        planned: `📝 lint-staged: будет дополнен ${glob}`,
+      })
+    );
+    this.logDone(`✓ lint-staged настроен в ${target}`);
   }
 
   /**
@@ -561,42 +2861,68 @@ class AdvancedHuskyInstaller {
    *
    * @description
    * Выводит в консоль инструкции для завершения настройки
-   * и тестирования работы Husky.
+   * и тестирования работы Husky: команду установки инструментов
+   * пресета (при --skip-deps) и версии, конфликтующие с пресетом.
    *
    * @example
    * installer.showNextSteps('nextjs');
    */
   showNextSteps(projectType) {
-    console.log("\n📋 Следующие шаги:");
-    console.log("   1. Установите дополнительные зависимости:");
-    console.log("      npm install --save-dev eslint prettier");
-    if (projectType === "nextjs") {
-      console.log(
-        "      npm install --save-dev @next/eslint-plugin-next eslint-config-next"
+    const steps = [];
+    const report = this.dependencyReport;
+
+    if (report && report.skipped && report.missing.length > 0) {
+      const { command } = packageManager.getAddDevCommand(
+        this.detectPackageManager(),
+        report.missing.map(({ name, range }) =>
+          dependencies.formatSpec(name, range)
+        )
       );
+      steps.push(["Установите инструменты пресета:", [command]]);
     }
-    console.log("\n   2. Протестируйте:");
-    console.log("      git add .");
-    console.log('      git commit -m "feat: test husky configuration"');
-    console.log("\n   3. Конфигурация в: .husky/configs/hooks-config.js");
-    console.log(
-      "   4. Для кастомизации отредактируйте файлы в .husky/scripts/"
-    );
+
+    if (report && report.conflicts.length > 0) {
+      steps.push([
+        `Проверьте версии, несовместимые с пресетом ${projectType}:`,
+        report.conflicts.map(
+          ({ name, range, declared }) =>
+            `${name}: требуется ${range}, в проекте ${declared}`
+        ),
+      ]);
+    }
+
+    steps.push([
+      "Протестируйте:",
+      ["git add .", 'git commit -m "feat: test husky configuration"'],
+    ]);
+    const userConfig = this.findUserConfig();
+    steps.push([
+      "Конфигурация в: .husky/configs/hooks-config.js",
+      [
+        `Ваши настройки: ${
+          userConfig ? userConfig.file : USER_CONFIG_FILE
+        } (переопределяют конфиг по умолчанию)`,
+      ],
+    ]);
+    steps.push(["Для кастомизации отредактируйте файлы в .husky/scripts/", []]);
+
+    console.log("\n📋 Следующие шаги:");
+    steps.forEach(([title, lines], index) => {
+      console.log(`\n   ${index + 1}. ${title}`);
+      lines.forEach((line) => console.log(`      ${line}`));
+    });
   }
 }
 
-// Запуск
 /**
- * Точка входа скрипта
- * Создает экземпляр установщика и запускает установку
+ * Точка входа скрипта: аргументы командной строки разбирает cli.js
  *
  * @example
- * // Запуск из командной строки:
- * // node install.js
- *
- * @listens process#exit
- * @exitcode 0 Успешное завершение
- * @exitcode 1 Ошибка во время установки
+ * // node install.js [команда] [флаги], см. node install.js --help
  */
-const installer = new AdvancedHuskyInstaller();
-installer.install();
+module.exports = AdvancedHuskyInstaller;
+module.exports.CLI_NAME = CLI_NAME;
+
+if (require.main === module) {
+  require("./cli").run(process.argv.slice(2));
+}
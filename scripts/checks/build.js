@@ -3,9 +3,15 @@ const { execSync } = require("child_process");
 const logger = require("../utils/logger");
 const configLoader = require("../utils/config-loader");
 
-module.exports = async function buildCheck() {
+/**
+ * @param {Object} [context] - Контекст запуска (пакет монорепозитория)
+ * @param {string} [context.cwd] - Директория пакета
+ * @param {string} [context.projectType] - Тип пакета
+ */
+module.exports = async function buildCheck(context = {}) {
   const config = configLoader.getConfig();
-  const projectType = config.general.projectType;
+  const projectType = context.projectType || config.general.projectType;
+  const cwd = context.cwd || config.general.projectRoot;
 
   logger.info(`🏗️  Проверка сборки (${projectType})...`);
 
@@ -13,7 +19,7 @@ module.exports = async function buildCheck() {
     const buildCommand =
       projectType === "nextjs" ? "npx next build --no-lint" : "npx vite build";
 
-    execSync(buildCommand, { stdio: "inherit" });
+    execSync(buildCommand, { stdio: "inherit", cwd });
     logger.success("✅ Сборка успешна");
     return true;
   } catch (error) {
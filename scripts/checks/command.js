@@ -0,0 +1,24 @@
+// scripts\checks\command.js
+const { execSync } = require("child_process");
+const logger = require("../utils/logger");
+const configLoader = require("../utils/config-loader");
+
+/**
+ * Выполняет shell-команду из конфига (проверки вида { name, command })
+ * @param {Object} [context] - Контекст запуска (пакет монорепозитория)
+ * @param {string} [context.cwd] - Директория пакета
+ * @param {Object} check - Проверка из конфига
+ * @param {string} check.command - Команда или shell-скрипт
+ */
+module.exports = async function commandCheck(context = {}, check = {}) {
+  const cwd = context.cwd || configLoader.getConfig().general.projectRoot;
+
+  logger.debug(`$ ${check.command}`);
+
+  try {
+    execSync(check.command, { stdio: "inherit", cwd });
+    return true;
+  } catch (error) {
+    throw new Error(`команда завершилась с кодом ${error.status ?? "?"}`);
+  }
+};
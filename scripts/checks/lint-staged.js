@@ -1,12 +1,19 @@
 // scripts\checks\lint-staged.js
 const { execSync } = require("child_process");
 const logger = require("../utils/logger");
+const configLoader = require("../utils/config-loader");
+
+/**
+ * @param {Object} [context] - Контекст запуска (пакет монорепозитория)
+ * @param {string} [context.cwd] - Директория пакета
+ */
+module.exports = async function lintStagedCheck(context = {}) {
+  const cwd = context.cwd || configLoader.getConfig().general.projectRoot;
 
-module.exports = async function lintStagedCheck() {
   logger.info("🧹 Запуск lint-staged...");
 
   try {
-    execSync("npx lint-staged", { stdio: "inherit" });
+    execSync("npx lint-staged", { stdio: "inherit", cwd });
     logger.success("✅ Lint-staged выполнен успешно");
     return true;
   } catch (error) {
@@ -0,0 +1,40 @@
+// scripts\checks\test.js
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const logger = require("../utils/logger");
+const configLoader = require("../utils/config-loader");
+
+/**
+ * Запускает скрипт test из package.json проекта или пакета
+ * @param {Object} [context] - Контекст запуска (пакет монорепозитория)
+ * @param {string} [context.cwd] - Директория пакета
+ */
+module.exports = async function testCheck(context = {}) {
+  const cwd = context.cwd || configLoader.getConfig().general.projectRoot;
+  const pkgPath = path.join(cwd, "package.json");
+  const pkg = fs.existsSync(pkgPath)
+    ? JSON.parse(fs.readFileSync(pkgPath, "utf8"))
+    : {};
+
+  if (!pkg.scripts?.test) {
+    logger.info("⏭️ Скрипт test не задан в package.json");
+    return true;
+  }
+
+  logger.info("🧪 Запуск тестов...");
+
+  try {
+    // CI=true: тест-раннеры (jest, vitest) запускаются без watch-режима
+    execSync("npm test", {
+      stdio: "inherit",
+      cwd,
+      env: { ...process.env, CI: "true" },
+    });
+    logger.success("✅ Тесты пройдены");
+    return true;
+  } catch (error) {
+    logger.error("❌ Тесты не пройдены");
+    throw error;
+  }
+};
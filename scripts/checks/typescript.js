@@ -1,14 +1,30 @@
 // scripts\checks\typescript.js
+const fs = require("fs");
+const path = require("path");
 const { execSync } = require("child_process");
 const logger = require("../utils/logger");
+const configLoader = require("../utils/config-loader");
+
+/**
+ * @param {Object} [context] - Контекст запуска (пакет монорепозитория)
+ * @param {string} [context.cwd] - Директория пакета
+ */
+module.exports = async function typescriptCheck(context = {}) {
+  const cwd = context.cwd || configLoader.getConfig().general.projectRoot;
+
+  // Пакеты монорепозитория без tsconfig.json не проверяются
+  if (!fs.existsSync(path.join(cwd, "tsconfig.json"))) {
+    logger.info("⏭️  tsconfig.json не найден, проверка TypeScript пропущена");
+    return true;
+  }
 
-module.exports = async function typescriptCheck() {
   logger.info("🔍 Проверка TypeScript...");
 
   try {
     const result = execSync("npx tsc --noEmit --skipLibCheck", {
       stdio: "pipe",
       encoding: "utf8",
+      cwd,
     });
 
     logger.success("✅ TypeScript проверка пройдена");
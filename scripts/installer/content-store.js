@@ -0,0 +1,82 @@
+/**
+ * @file content-store.js
+ * @version 1.0.0
+ * @description Хранилище содержимого файлов вне системы контроля версий
+ * @module installer/content-store
+ *
+ * @overview
+ * Манифест установки коммитится вместе с .husky/, поэтому хранит только
+ * хэши файлов. Само содержимое (установленные версии файлов релиза -
+ * база для трехстороннего слияния в update, исходные lock-файлы для
+ * uninstall) сохраняется по хэшу в node_modules/.cache. Хранилище
+ * локальное: в свежем клоне его нет, и потребители должны обходиться
+ * без содержимого.
+ *
+ * @example
+ * const store = require('./content-store');
+ * store.save(projectRoot, hash, content);
+ * store.load(projectRoot, hash); // content или null
+ *
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Директория хранилища относительно корня проекта
+ * @constant
+ * @type {string}
+ */
+const STORE_DIR = "node_modules/.cache/unified-husky-advanced/files";
+
+/**
+ * Путь к файлу с содержимым
+ * @param {string} projectRoot - Корневая директория проекта
+ * @param {string} hash - sha256 содержимого
+ * @returns {string}
+ */
+function getPath(projectRoot, hash) {
+  return path.join(projectRoot, STORE_DIR, hash);
+}
+
+/**
+ * Сохраняет содержимое
+ * @param {string} projectRoot - Корневая директория проекта
+ * @param {string} hash - sha256 содержимого
+ * @param {string} content - Содержимое
+ * @returns {boolean} Удалось ли сохранить (ошибки записи не прерывают
+ * установку - без хранилища update и uninstall работают осторожнее)
+ */
+function save(projectRoot, hash, content) {
+  const filePath = getPath(projectRoot, hash);
+  try {
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    }
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Загружает содержимое
+ * @param {string} projectRoot - Корневая директория проекта
+ * @param {string} hash - sha256 содержимого
+ * @returns {string|null} Содержимое или null, если его нет в хранилище
+ */
+function load(projectRoot, hash) {
+  const filePath = getPath(projectRoot, hash);
+  return hash && fs.existsSync(filePath)
+    ? fs.readFileSync(filePath, "utf8")
+    : null;
+}
+
+module.exports = {
+  STORE_DIR,
+  save,
+  load,
+};
@@ -0,0 +1,158 @@
+/**
+ * @file dependencies.js
+ * @version 1.0.0
+ * @description Разрешение зависимостей из пресета проекта
+ * @module installer/dependencies
+ *
+ * @overview
+ * Сравнивает зависимости, которые требует конфиг (общие инструменты и
+ * dependencies пресета), с тем, что уже объявлено в package.json и
+ * установлено в node_modules. Возвращает недостающие пакеты (их нужно
+ * установить), совместимые и конфликтующие (объявлены с несовместимым
+ * диапазоном - не переустанавливаются, только попадают в отчет).
+ *
+ * @requires fs
+ * @requires path
+ * @requires ./semver
+ *
+ * @example
+ * const report = resolveDependencies(
+ *   { eslint: "^8.57.0", next: "^14.0.0" },
+ *   [projectRoot]
+ * );
+ * report.missing; // [{ name: "eslint", range: "^8.57.0" }]
+ * report.conflicts; // [{ name: "next", range: "^14.0.0", declared: "^15.0.0", ... }]
+ */
+
+const fs = require("fs");
+const path = require("path");
+const semver = require("./semver");
+
+/**
+ * Поля package.json, в которых ищутся объявленные зависимости
+ * @constant
+ * @type {string[]}
+ */
+const DEPENDENCY_FIELDS = [
+  "dependencies",
+  "devDependencies",
+  "peerDependencies",
+  "optionalDependencies",
+];
+
+/**
+ * Ищет объявление пакета в package.json директорий
+ * @param {string} name - Имя пакета
+ * @param {string[]} dirs - Директории с package.json (по приоритету)
+ * @returns {{range: string, field: string}|null}
+ */
+function findDeclared(name, dirs) {
+  for (const dir of dirs) {
+    const pkgPath = path.join(dir, "package.json");
+    if (!fs.existsSync(pkgPath)) continue;
+
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+    const field = DEPENDENCY_FIELDS.find((key) => pkg[key] && pkg[key][name]);
+    if (field) return { range: pkg[field][name], field };
+  }
+  return null;
+}
+
+/**
+ * Находит версию пакета в node_modules (вверх от startDir)
+ * @param {string} name - Имя пакета
+ * @param {string} startDir - Директория, с которой начинается поиск
+ * @returns {string|null}
+ */
+function getInstalledVersion(name, startDir) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const pkgPath = path.join(dir, "node_modules", name, "package.json");
+    if (fs.existsSync(pkgPath)) {
+      try {
+        return JSON.parse(fs.readFileSync(pkgPath, "utf8")).version || null;
+      } catch {
+        return null;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Формирует спецификатор пакета для команды установки
+ * @param {string} name - Имя пакета
+ * @param {string} range - Диапазон версий
+ * @returns {string} name@range (в кавычках, если диапазон содержит
+ * символы, которые интерпретирует shell)
+ *
+ * @example
+ * formatSpec("eslint", "^8.57.0"); // "\"eslint@^8.57.0\""
+ * formatSpec("husky", "9.1.7"); // "husky@9.1.7"
+ */
+function formatSpec(name, range) {
+  const spec = `${name}@${range}`;
+  return /^[\w@/.:-]+$/.test(spec) ? spec : `"${spec}"`;
+}
+
+/**
+ * Разрешает требуемые зависимости относительно проекта
+ * @param {Object<string, string>} required - Имя пакета → диапазон версий
+ * @param {string[]} dirs - Директории проекта (проект, затем корень workspace)
+ * @returns {{missing: Array<Object>, satisfied: Array<Object>, conflicts: Array<Object>, unknown: Array<Object>}}
+ * - missing: не объявлены - нужно установить;
+ * - satisfied: объявлены с совместимым диапазоном;
+ * - conflicts: объявлены или установлены с несовместимой версией;
+ * - unknown: объявлены, но совместимость не удалось проверить
+ *   (workspace:, git-ссылки, теги)
+ *
+ * @description
+ * Совместимость проверяется по установленной версии, если пакет есть
+ * в node_modules, иначе по минимальной версии объявленного диапазона.
+ */
+function resolveDependencies(required = {}, dirs = []) {
+  const report = { missing: [], satisfied: [], conflicts: [], unknown: [] };
+
+  Object.entries(required).forEach(([name, range]) => {
+    const declared = findDeclared(name, dirs);
+    if (!declared) {
+      report.missing.push({ name, range });
+      return;
+    }
+
+    const installed = dirs
+      .map((dir) => getInstalledVersion(name, dir))
+      .find(Boolean);
+    const version = installed || semver.minVersion(declared.range);
+    const compatible = version ? semver.satisfies(version, range) : null;
+    const entry = {
+      name,
+      range,
+      declared: declared.range,
+      field: declared.field,
+      installed: installed || null,
+    };
+
+    if (compatible === null) {
+      report.unknown.push(entry);
+    } else if (compatible) {
+      report.satisfied.push(entry);
+    } else {
+      report.conflicts.push(entry);
+    }
+  });
+
+  return report;
+}
+
+module.exports = {
+  DEPENDENCY_FIELDS,
+  findDeclared,
+  formatSpec,
+  getInstalledVersion,
+  resolveDependencies,
+};
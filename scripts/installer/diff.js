@@ -0,0 +1,119 @@
+/**
+ * @file diff.js
+ * @version 1.0.0
+ * @description Построение unified diff между двумя текстами
+ * @module installer/diff
+ *
+ * @overview
+ * Построчное сравнение на основе наибольшей общей подпоследовательности.
+ * Рассчитано на конфигурационные файлы (сотни строк), а не на большие тексты.
+ *
+ * @example
+ * const { createUnifiedDiff } = require('./diff');
+ * console.log(createUnifiedDiff(before, after, { oldLabel: 'a/package.json' }));
+ */
+
+/**
+ * Разбивает текст на строки (без завершающей пустой строки)
+ * @param {string} text - Текст
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  return lines;
+}
+
+/**
+ * Строит список операций редактирования между двумя наборами строк
+ * @param {string[]} a - Исходные строки
+ * @param {string[]} b - Новые строки
+ * @returns {Array<{type: (' '|'-'|'+'), line: string, aIndex: number, bIndex: number}>}
+ */
+function diffLines(a, b) {
+  const n = a.length;
+  const m = b.length;
+
+  // Таблица длин общей подпоследовательности для суффиксов
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] =
+        a[i] === b[j]
+          ? lcs[i + 1][j + 1] + 1
+          : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      ops.push({ type: " ", line: a[i], aIndex: i++, bIndex: j++ });
+    } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      ops.push({ type: "-", line: a[i], aIndex: i++, bIndex: j });
+    } else {
+      ops.push({ type: "+", line: b[j], aIndex: i, bIndex: j++ });
+    }
+  }
+
+  return ops;
+}
+
+/**
+ * Создает unified diff
+ * @param {string} oldText - Исходный текст
+ * @param {string} newText - Новый текст
+ * @param {Object} [options={}] - Параметры
+ * @param {string} [options.oldLabel="a"] - Заголовок исходного файла
+ * @param {string} [options.newLabel="b"] - Заголовок нового файла
+ * @param {number} [options.context=3] - Количество строк контекста
+ * @returns {string} Diff или пустая строка, если тексты совпадают
+ */
+function createUnifiedDiff(oldText, newText, options = {}) {
+  const { oldLabel = "a", newLabel = "b", context = 3 } = options;
+  const ops = diffLines(splitLines(oldText), splitLines(newText));
+
+  const changed = ops
+    .map((op, index) => (op.type === " " ? -1 : index))
+    .filter((index) => index !== -1);
+
+  if (changed.length === 0) return "";
+
+  // Группируем изменения в ханки с учетом контекста
+  const hunks = [];
+  changed.forEach((index) => {
+    const start = Math.max(0, index - context);
+    const end = Math.min(ops.length - 1, index + context);
+    const last = hunks[hunks.length - 1];
+
+    if (last && start <= last.end + 1) {
+      last.end = end;
+    } else {
+      hunks.push({ start, end });
+    }
+  });
+
+  const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+
+  hunks.forEach(({ start, end }) => {
+    const slice = ops.slice(start, end + 1);
+    const oldCount = slice.filter((op) => op.type !== "+").length;
+    const newCount = slice.filter((op) => op.type !== "-").length;
+    const oldStart = oldCount ? slice[0].aIndex + 1 : slice[0].aIndex;
+    const newStart = newCount ? slice[0].bIndex + 1 : slice[0].bIndex;
+
+    output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    slice.forEach((op) => output.push(`${op.type}${op.line}`));
+  });
+
+  return `${output.join("\n")}\n`;
+}
+
+module.exports = {
+  diffLines,
+  createUnifiedDiff,
+};
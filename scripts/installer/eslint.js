@@ -0,0 +1,348 @@
+/**
+ * @file eslint.js
+ * @version 1.0.0
+ * @description Генерация и слияние конфигурации ESLint
+ * @module installer/eslint
+ *
+ * @overview
+ * Конфиг пресета задан в формате .eslintrc (extends, plugins, parser, rules).
+ * Для ESLint 8 он записывается в .eslintrc.json, для ESLint 9 - в flat
+ * конфиг eslint.config.js (eslint.config.cjs в проектах с "type": "module"),
+ * который подключает его через FlatCompat.
+ * Существующий конфиг проекта дополняется: недостающие extends, plugins,
+ * правила и настройки добавляются, значения проекта не меняются.
+ *
+ * @requires fs
+ * @requires path
+ * @requires ../utils/yaml
+ * @requires ./dependencies
+ * @requires ./semver
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("../utils/yaml");
+const dependencies = require("./dependencies");
+const semver = require("./semver");
+
+/**
+ * Файлы flat конфига ESLint
+ * @constant
+ * @type {string[]}
+ */
+const FLAT_CONFIG_FILES = [
+  "eslint.config.js",
+  "eslint.config.mjs",
+  "eslint.config.cjs",
+  "eslint.config.ts",
+  "eslint.config.mts",
+  "eslint.config.cts",
+];
+
+/**
+ * Файлы конфига .eslintrc в порядке приоритета ESLint
+ * @constant
+ * @type {string[]}
+ */
+const LEGACY_CONFIG_FILES = [
+  ".eslintrc.js",
+  ".eslintrc.cjs",
+  ".eslintrc.yaml",
+  ".eslintrc.yml",
+  ".eslintrc.json",
+  ".eslintrc",
+];
+
+/**
+ * Зависимости flat конфига, сгенерированного из формата .eslintrc
+ * @constant
+ * @type {Object<string, string>}
+ */
+const FLAT_COMPAT_DEPENDENCIES = {
+  "@eslint/eslintrc": "^3.0.0",
+  "@eslint/js": "^9.0.0",
+};
+
+/**
+ * Маркеры блока с конфигом пресета в сгенерированном eslint.config.js
+ * @constant
+ * @type {{begin: string, end: string}}
+ */
+const PRESET_MARKERS = {
+  begin: "// unified-husky-config:begin",
+  end: "// unified-husky-config:end",
+};
+
+/**
+ * Находит конфиг ESLint в директории
+ * @param {string} dir - Директория проекта
+ * @param {Object} [pkg] - package.json (для поля eslintConfig)
+ * @returns {{type: ('flat'|'legacy'), file: string, format: ('js'|'json'|'yaml'|'package')}|null}
+ */
+function findConfig(dir, pkg) {
+  const flat = FLAT_CONFIG_FILES.find((file) =>
+    fs.existsSync(path.join(dir, file))
+  );
+  if (flat) {
+    return { type: "flat", file: path.join(dir, flat), format: "js" };
+  }
+
+  const legacy = LEGACY_CONFIG_FILES.find((file) =>
+    fs.existsSync(path.join(dir, file))
+  );
+  if (legacy) {
+    const file = path.join(dir, legacy);
+    return { type: "legacy", file, format: detectFormat(file) };
+  }
+
+  if (pkg && pkg.eslintConfig) {
+    return {
+      type: "legacy",
+      file: path.join(dir, "package.json"),
+      format: "package",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Определяет формат файла .eslintrc
+ * @param {string} filePath - Путь к файлу
+ * @returns {('js'|'json'|'yaml')}
+ */
+function detectFormat(filePath) {
+  const ext = path.extname(filePath);
+  if (ext === ".js" || ext === ".cjs") return "js";
+  if (ext === ".yaml" || ext === ".yml") return "yaml";
+  if (ext === ".json") return "json";
+
+  // .eslintrc может быть как JSON, так и YAML
+  const content = fs.readFileSync(filePath, "utf8").trim();
+  return content.startsWith("{") ? "json" : "yaml";
+}
+
+/**
+ * Определяет мажорную версию ESLint проекта
+ * @param {string[]} dirs - Директории проекта (проект, затем корень workspace)
+ * @param {string} [fallbackRange] - Диапазон, который будет установлен,
+ * если ESLint еще нет в проекте
+ * @returns {number|null}
+ *
+ * @description
+ * Берется установленная версия, иначе минимальная версия диапазона
+ * из package.json, иначе минимальная версия fallbackRange.
+ */
+function getMajorVersion(dirs, fallbackRange) {
+  const installed = dirs
+    .map((dir) => dependencies.getInstalledVersion("eslint", dir))
+    .find(Boolean);
+  const declared = dependencies.findDeclared("eslint", dirs);
+  const version =
+    installed ||
+    (declared && semver.minVersion(declared.range)) ||
+    (fallbackRange && semver.minVersion(fallbackRange));
+
+  const parsed = version && semver.parseVersion(version);
+  return parsed ? parsed.major : null;
+}
+
+/**
+ * Проверяет, является ли значение простым объектом
+ * @param {*} value - Значение
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Дополняет конфиг проекта значениями пресета
+ * @param {Object} existing - Конфиг проекта (.eslintrc)
+ * @param {Object} generated - Конфиг пресета (.eslintrc)
+ * @returns {{config: Object, added: string[], conflicts: string[]}}
+ * Итоговый конфиг, добавленные ключи/значения и ключи, где значение
+ * проекта отличается от пресета (сохраняется значение проекта)
+ *
+ * @description
+ * Списки (extends, plugins) дополняются недостающими элементами,
+ * объекты (rules, env, parserOptions) - недостающими ключами.
+ *
+ * @example
+ * mergeConfig(
+ *   { extends: "next", rules: { semi: "error" } },
+ *   { extends: ["next/core-web-vitals"], rules: { semi: "off", eqeqeq: "warn" } }
+ * );
+ * // config: { extends: ["next", "next/core-web-vitals"],
+ * //           rules: { semi: "error", eqeqeq: "warn" } }
+ * // added: ["extends: next/core-web-vitals", "rules.eqeqeq"]
+ * // conflicts: ["rules.semi"]
+ */
+function mergeConfig(existing = {}, generated = {}) {
+  const added = [];
+  const conflicts = [];
+
+  const merge = (target, source, prefix) => {
+    const result = { ...target };
+
+    Object.entries(source).forEach(([key, value]) => {
+      const name = prefix ? `${prefix}.${key}` : key;
+      const current = result[key];
+
+      if (current === undefined) {
+        result[key] = value;
+        added.push(name);
+      } else if (isPlainObject(current) && isPlainObject(value)) {
+        result[key] = merge(current, value, name);
+      } else if (Array.isArray(value) || Array.isArray(current)) {
+        // extends и plugins могут быть строкой или массивом
+        const list = Array.isArray(current) ? current : [current];
+        const missing = (Array.isArray(value) ? value : [value]).filter(
+          (item) => !list.includes(item)
+        );
+        if (missing.length > 0) {
+          result[key] = [...list, ...missing];
+          missing.forEach((item) => added.push(`${name}: ${item}`));
+        }
+      } else if (JSON.stringify(current) !== JSON.stringify(value)) {
+        conflicts.push(name);
+      }
+    });
+
+    return result;
+  };
+
+  return { config: merge(existing, generated, ""), added, conflicts };
+}
+
+/**
+ * Читает конфиг .eslintrc в формате JSON или YAML
+ * @param {{file: string, format: string}} found - Результат findConfig
+ * (поле eslintConfig в package.json читается установщиком напрямую)
+ * @returns {Object}
+ * @throws {Error} Если конфиг нельзя безопасно изменить автоматически
+ */
+function readLegacyConfig(found) {
+  if (found.format === "js") {
+    throw new Error(
+      `${path.basename(
+        found.file
+      )} - JavaScript конфиг, автоматическое слияние невозможно`
+    );
+  }
+
+  const content = fs.readFileSync(found.file, "utf8");
+  const config =
+    found.format === "json" ? JSON.parse(content) : yaml.parse(content);
+  return config || {};
+}
+
+/**
+ * Сериализует конфиг .eslintrc
+ * @param {('json'|'yaml')} format - Формат файла
+ * @param {Object} config - Конфиг
+ * @returns {string}
+ */
+function serializeLegacyConfig(format, config) {
+  if (format === "yaml") {
+    return yaml.stringify(config);
+  }
+  return `${JSON.stringify(config, null, 2)}\n`;
+}
+
+/**
+ * Возвращает имя создаваемого flat конфига. Сгенерированный конфиг -
+ * CommonJS, поэтому в ES-модульных проектах ("type": "module") он
+ * записывается в .cjs
+ * @param {Object} [pkg] - package.json проекта
+ * @returns {('eslint.config.js'|'eslint.config.cjs')}
+ */
+function getFlatConfigFileName(pkg) {
+  return pkg && pkg.type === "module"
+    ? "eslint.config.cjs"
+    : "eslint.config.js";
+}
+
+/**
+ * Формирует flat конфиг, подключающий конфиг пресета через FlatCompat
+ * @param {Object} config - Конфиг пресета (.eslintrc)
+ * @param {string} [fileName="eslint.config.js"] - Имя файла (для заголовка)
+ * @returns {string} Содержимое eslint.config.js
+ */
+function renderFlatConfig(config, fileName = "eslint.config.js") {
+  const json = JSON.stringify(config, null, 2);
+
+  return `// ${fileName}
+// Создан unified-husky-config: конфиг пресета в формате .eslintrc
+// подключается через FlatCompat. Свои настройки добавляйте
+// в конец массива - блок между маркерами обновляется установщиком.
+const { FlatCompat } = require("@eslint/eslintrc");
+const js = require("@eslint/js");
+
+const compat = new FlatCompat({
+  baseDirectory: __dirname,
+  recommendedConfig: js.configs.recommended,
+});
+
+${PRESET_MARKERS.begin}
+const presetConfig = ${json};
+${PRESET_MARKERS.end}
+
+module.exports = [...compat.config(presetConfig)];
+`;
+}
+
+/**
+ * Извлекает конфиг пресета из сгенерированного flat конфига
+ * @param {string} content - Содержимое eslint.config.js
+ * @returns {Object|null} Конфиг или null, если файл создан не установщиком
+ */
+function readFlatPreset(content) {
+  const begin = content.indexOf(PRESET_MARKERS.begin);
+  const end = content.indexOf(PRESET_MARKERS.end);
+  if (begin === -1 || end === -1 || end < begin) return null;
+
+  const block = content
+    .slice(begin + PRESET_MARKERS.begin.length, end)
+    .trim()
+    .replace(/^const presetConfig = /, "")
+    .replace(/;$/, "");
+
+  try {
+    return JSON.parse(block);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Заменяет конфиг пресета в сгенерированном flat конфиге
+ * @param {string} content - Содержимое eslint.config.js
+ * @param {Object} config - Новый конфиг пресета
+ * @returns {string}
+ */
+function replaceFlatPreset(content, config) {
+  const begin = content.indexOf(PRESET_MARKERS.begin);
+  const end = content.indexOf(PRESET_MARKERS.end);
+
+  return `${content.slice(0, begin)}${
+    PRESET_MARKERS.begin
+  }\nconst presetConfig = ${JSON.stringify(config, null, 2)};\n${content.slice(
+    end
+  )}`;
+}
+
+module.exports = {
+  FLAT_CONFIG_FILES,
+  LEGACY_CONFIG_FILES,
+  FLAT_COMPAT_DEPENDENCIES,
+  findConfig,
+  getFlatConfigFileName,
+  getMajorVersion,
+  mergeConfig,
+  readLegacyConfig,
+  serializeLegacyConfig,
+  renderFlatConfig,
+  readFlatPreset,
+  replaceFlatPreset,
+};
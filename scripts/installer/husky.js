@@ -0,0 +1,256 @@
+/**
+ * @file husky.js
+ * @version 1.0.0
+ * @description Различия между раскладками Husky v8 и v9
+ * @module installer/husky
+ *
+ * @overview
+ * Husky v8 инициализируется командой `husky install`, запускает хуки прямо
+ * из .husky/ (core.hooksPath = .husky) и требует подключения _/husky.sh
+ * в каждом хуке. Husky v9 инициализируется командой `husky`, держит свои
+ * обертки в .husky/_ (core.hooksPath = .husky/_) и запускает хуки из .husky/
+ * через `sh -e`, поэтому они должны быть shell-скриптами.
+ *
+ * Node-скрипты хуков устанавливаются как .husky/<hook>.js, а .husky/<hook> -
+ * это shell-обертка, формат которой зависит от версии.
+ *
+ * Husky ищет .git в текущей директории, поэтому если проект лежит
+ * в поддиректории репозитория, инициализация запускается из корня git
+ * с путем к .husky ("cd .. && husky frontend/.husky").
+ *
+ * @requires fs
+ * @requires path
+ * @requires child_process
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+
+/**
+ * Маркер, по которому узнаются обертки, созданные установщиком
+ * @constant
+ * @type {string}
+ */
+const WRAPPER_MARKER = "# unified-husky-config";
+
+/**
+ * Строка подключения husky.sh, обязательная в хуках v8
+ * @constant
+ * @type {string}
+ */
+const HUSKY_SH_LINE = '. "$(dirname -- "$0")/_/husky.sh"';
+
+/**
+ * Возвращает мажорную версию Husky
+ * @param {string} version - Версия или диапазон ("8.0.3", "^9.1.0")
+ * @returns {number}
+ */
+function getMajorVersion(version) {
+  const match = String(version || "").match(/(\d+)/);
+  return match ? parseInt(match[1], 10) : 8;
+}
+
+/**
+ * Определяет версию Husky, установленную в node_modules проекта
+ * @param {string} projectRoot - Корневая директория проекта
+ * @returns {string|null}
+ */
+function getInstalledVersion(projectRoot) {
+  try {
+    const pkgPath = require.resolve("husky/package.json", {
+      paths: [projectRoot],
+    });
+    return JSON.parse(fs.readFileSync(pkgPath, "utf8")).version;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Находит исполняемый файл Husky, установленный в проекте
+ * @param {string} projectRoot - Корневая директория проекта
+ * @returns {string|null} Абсолютный путь или null
+ */
+function getBinPath(projectRoot) {
+  try {
+    const pkgPath = require.resolve("husky/package.json", {
+      paths: [projectRoot],
+    });
+    const { bin } = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+    const binFile = typeof bin === "string" ? bin : bin && bin.husky;
+    return binFile ? path.join(path.dirname(pkgPath), binFile) : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Определяет раскладку уже существующей директории .husky
+ * @param {string} huskyDir - Путь к .husky
+ * @returns {(8|9|null)} Мажорная версия раскладки или null
+ */
+function detectLayout(huskyDir) {
+  if (fs.existsSync(path.join(huskyDir, "_", "h"))) return 9;
+  if (fs.existsSync(path.join(huskyDir, "_", "husky.sh"))) return 8;
+  return null;
+}
+
+/**
+ * Команда инициализации Husky (без запускающего префикса npx/pnpm exec)
+ * @param {number} major - Мажорная версия
+ * @param {string} [huskyDir=".husky"] - Путь к .husky относительно git корня
+ * @returns {string}
+ */
+function getInitCommand(major, huskyDir = ".husky") {
+  const dirArg = huskyDir === ".husky" ? "" : ` ${huskyDir}`;
+  return major >= 9 ? `husky${dirArg}` : `husky install${dirArg}`;
+}
+
+/**
+ * Скрипт prepare для package.json
+ * @param {number} major - Мажорная версия
+ * @param {string} [huskyDir=".husky"] - Путь к .husky относительно git корня
+ * @param {string|null} [gitRoot=null] - Путь к корню git относительно
+ * проекта (null - проект в корне репозитория)
+ * @returns {string}
+ *
+ * @example
+ * getPrepareScript(9); // "husky"
+ * getPrepareScript(9, "frontend/.husky", ".."); // "cd .. && husky frontend/.husky"
+ */
+function getPrepareScript(major, huskyDir = ".husky", gitRoot = null) {
+  const init = getInitCommand(major, huskyDir);
+  return gitRoot ? `cd ${gitRoot} && ${init}` : init;
+}
+
+/**
+ * Ожидаемое значение core.hooksPath
+ * @param {number} major - Мажорная версия
+ * @param {string} [huskyDir=".husky"] - Путь к .husky относительно git корня
+ * @returns {string}
+ */
+function getHooksPath(major, huskyDir = ".husky") {
+  return major >= 9 ? `${huskyDir}/_` : huskyDir;
+}
+
+/**
+ * Проверяет, что prepare скрипт был создан Husky (и его можно заменить)
+ * @param {string} [script] - Текущий prepare скрипт
+ * @returns {boolean}
+ */
+function isHuskyPrepareScript(script) {
+  return (
+    !script ||
+    /^(cd [^&|;]+ && )?husky( install)?( [^&|;]+)?$/.test(script.trim())
+  );
+}
+
+/**
+ * Генерирует shell-обертку, запускающую Node-скрипт хука
+ * @param {string} hookName - Имя хука (pre-commit, commit-msg, pre-push)
+ * @param {number} major - Мажорная версия Husky
+ * @returns {string} Содержимое файла .husky/<hookName>
+ */
+function renderHookWrapper(hookName, major) {
+  const lines = [];
+
+  if (major < 9) {
+    lines.push("#!/usr/bin/env sh", HUSKY_SH_LINE, "");
+  }
+
+  lines.push(WRAPPER_MARKER, `node "$(dirname -- "$0")/${hookName}.js" "$@"`);
+
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Проверяет, создана ли обертка установщиком
+ * @param {string} content - Содержимое хука
+ * @returns {boolean}
+ */
+function isGeneratedWrapper(content) {
+  return content.includes(WRAPPER_MARKER);
+}
+
+/**
+ * Приводит пользовательский shell-хук к формату нужной версии
+ * @param {string} content - Содержимое хука
+ * @param {number} major - Целевая мажорная версия
+ * @returns {string}
+ *
+ * @description
+ * Для v9 удаляет шебанг и подключение husky.sh (как в руководстве по
+ * миграции Husky), для v8 добавляет их, если их нет.
+ */
+function convertHook(content, major) {
+  const lines = content.split("\n");
+
+  if (major >= 9) {
+    return lines
+      .filter(
+        (line, index) =>
+          !(index === 0 && line.startsWith("#!")) &&
+          line.trim() !== HUSKY_SH_LINE
+      )
+      .join("\n")
+      .replace(/^\n+/, "");
+  }
+
+  if (lines.some((line) => line.trim() === HUSKY_SH_LINE)) {
+    return content;
+  }
+
+  const body = lines[0] && lines[0].startsWith("#!") ? lines.slice(1) : lines;
+  return ["#!/usr/bin/env sh", HUSKY_SH_LINE, "", ...body].join("\n");
+}
+
+/**
+ * Читает core.hooksPath из git config
+ * @param {string} cwd - Директория репозитория
+ * @returns {string|null}
+ */
+function readHooksPath(cwd) {
+  try {
+    return (
+      execSync("git config --local --get core.hooksPath", {
+        cwd,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trim() || null
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Записывает или удаляет core.hooksPath в git config
+ * @param {string} cwd - Директория репозитория
+ * @param {string|null} value - Значение (null - удалить)
+ */
+function writeHooksPath(cwd, value) {
+  const command =
+    value === null
+      ? "git config --local --unset core.hooksPath"
+      : `git config --local core.hooksPath "${value}"`;
+  execSync(command, { cwd, stdio: "ignore" });
+}
+
+module.exports = {
+  WRAPPER_MARKER,
+  HUSKY_SH_LINE,
+  getMajorVersion,
+  getInstalledVersion,
+  getBinPath,
+  detectLayout,
+  getInitCommand,
+  getPrepareScript,
+  getHooksPath,
+  isHuskyPrepareScript,
+  renderHookWrapper,
+  isGeneratedWrapper,
+  convertHook,
+  readHooksPath,
+  writeHooksPath,
+};
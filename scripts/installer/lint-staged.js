@@ -0,0 +1,305 @@
+/**
+ * @file lint-staged.js
+ * @version 1.0.0
+ * @description Генерация и слияние конфигурации lint-staged
+ * @module installer/lint-staged
+ *
+ * @overview
+ * Находит существующую конфигурацию lint-staged в проекте, объединяет её
+ * с правилами из пресета проекта и сериализует результат обратно
+ * в исходный формат. Пользовательские glob-паттерны никогда не удаляются.
+ *
+ * @requires fs
+ * @requires path
+ * @requires ../utils/yaml
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("../utils/yaml");
+
+/**
+ * Файлы конфигурации lint-staged в порядке поиска
+ * @constant
+ * @type {string[]}
+ */
+const CONFIG_FILES = [
+  ".lintstagedrc",
+  ".lintstagedrc.json",
+  ".lintstagedrc.yaml",
+  ".lintstagedrc.yml",
+  ".lintstagedrc.mjs",
+  ".lintstagedrc.js",
+  ".lintstagedrc.cjs",
+  "lint-staged.config.mjs",
+  "lint-staged.config.js",
+  "lint-staged.config.cjs",
+];
+
+/**
+ * Находит файл конфигурации lint-staged в корне проекта
+ * @param {string} projectRoot - Корневая директория проекта
+ * @returns {string|null} Абсолютный путь к файлу или null
+ */
+function findConfigFile(projectRoot) {
+  for (const fileName of CONFIG_FILES) {
+    const filePath = path.join(projectRoot, fileName);
+    if (fs.existsSync(filePath)) {
+      return filePath;
+    }
+  }
+  return null;
+}
+
+/**
+ * Определяет формат файла конфигурации
+ * @param {string} filePath - Путь к файлу
+ * @param {string} [content] - Содержимое файла (для .lintstagedrc без расширения)
+ * @returns {('json'|'yaml'|'js')} Формат
+ */
+function detectFormat(filePath, content = "") {
+  const ext = path.extname(filePath);
+
+  if (ext === ".json") return "json";
+  if (ext === ".yaml" || ext === ".yml") return "yaml";
+  if ([".js", ".cjs", ".mjs"].includes(ext)) return "js";
+
+  // .lintstagedrc может быть как JSON, так и YAML
+  return content.trim().startsWith("{") ? "json" : "yaml";
+}
+
+/**
+ * Читает конфигурацию lint-staged из файла
+ * @param {string} filePath - Путь к файлу
+ * @returns {{format: string, rules: Object, content: string}}
+ * @throws {Error} Если конфигурацию нельзя безопасно изменить автоматически
+ */
+function readConfigFile(filePath) {
+  const content = fs.readFileSync(filePath, "utf8");
+  const format = detectFormat(filePath, content);
+
+  if (format === "js") {
+    // JS конфиги могут содержать функции и комментарии - не переписываем их
+    throw new Error(
+      `${path.basename(
+        filePath
+      )} - JavaScript конфиг, автоматическое слияние невозможно`
+    );
+  }
+
+  const rules = format === "json" ? JSON.parse(content) : yaml.parse(content);
+  return { format, rules: rules || {}, content };
+}
+
+/**
+ * Сериализует правила в формат исходного файла
+ * @param {('json'|'yaml')} format - Формат файла
+ * @param {Object} rules - Правила lint-staged
+ * @returns {string} Содержимое файла
+ */
+function serializeRules(format, rules) {
+  if (format === "yaml") {
+    return yaml.stringify(rules);
+  }
+  return `${JSON.stringify(rules, null, 2)}\n`;
+}
+
+/**
+ * Приводит значение правила к массиву команд
+ * @param {string|string[]} commands - Команда или список команд
+ * @returns {string[]}
+ */
+function toCommandList(commands) {
+  if (Array.isArray(commands)) return commands;
+  return commands === undefined || commands === null ? [] : [commands];
+}
+
+/**
+ * Возвращает имя инструмента команды (первое слово без npx)
+ * @param {string} command - Команда ("npx eslint --fix")
+ * @returns {string} eslint
+ */
+function getToolName(command) {
+  const words = String(command).trim().split(/\s+/);
+  return words[0] === "npx" ? words[1] : words[0];
+}
+
+/**
+ * Разбирает glob-паттерн вида "**\/*.{js,ts}" на части
+ * @param {string} glob - Паттерн lint-staged
+ * @returns {{dir: string, infix: string, extensions: (string[]|null), covers: boolean}|null}
+ * dir - путь до имени файла ("", "**\/", "src/"), infix - часть имени
+ * между * и расширением (".test"), extensions - расширения (null - любые),
+ * covers - паттерн совпадает со всеми файлами этих расширений;
+ * null - паттерн другого вида
+ */
+function parseGlob(glob) {
+  const slash = glob.lastIndexOf("/");
+  const dir = glob.slice(0, slash + 1);
+  const name = glob.slice(slash + 1);
+  const isRoot = dir === "" || dir === "**/";
+
+  if (name === "*" || name === "**") {
+    return { dir, infix: "", extensions: null, covers: isRoot };
+  }
+
+  const match = name.match(
+    /^\*((?:\.[\w-]+)*)\.(?:\{([\w-]+(?:,[\w-]+)*)\}|([\w-]+))$/
+  );
+  if (!match || /[{}]/.test(dir)) return null;
+
+  return {
+    dir,
+    infix: match[1],
+    extensions: match[2] ? match[2].split(",") : [match[3]],
+    covers: isRoot && match[1] === "",
+  };
+}
+
+/**
+ * Собирает glob-паттерн из частей (см. parseGlob)
+ * @param {{dir: string, infix: string}} parts - Части паттерна
+ * @param {string[]} extensions - Расширения
+ * @returns {string} "**\/*.{js,ts}"
+ */
+function formatGlob({ dir, infix }, extensions) {
+  const ext =
+    extensions.length > 1 ? `{${extensions.join(",")}}` : extensions[0];
+  return `${dir}*${infix}.${ext}`;
+}
+
+/**
+ * Дополняет правило недостающими командами (сравнение по инструменту)
+ * @param {Object} rules - Правила (изменяются на месте)
+ * @param {string} glob - Паттерн правила
+ * @param {string|string[]} commands - Команды пресета
+ * @returns {boolean} Были ли добавлены команды
+ */
+function appendCommands(rules, glob, commands) {
+  const current = toCommandList(rules[glob]);
+  const tools = current.map(getToolName);
+  const missing = toCommandList(commands).filter(
+    (command) => !tools.includes(getToolName(command))
+  );
+
+  if (missing.length === 0) return false;
+  rules[glob] = [...current, ...missing];
+  return true;
+}
+
+/**
+ * Объединяет существующие правила lint-staged со сгенерированными
+ * @param {Object} existing - Правила проекта
+ * @param {Object} generated - Правила из пресета
+ * @returns {{rules: Object, added: string[], extended: string[], skipped: Array<{glob: string, userGlob: string, extensions: string[]}>}}
+ * Итоговые правила, добавленные glob-паттерны, дополненные паттерны
+ * и расширения пресета, пропущенные из-за пересечения с паттернами
+ * проекта
+ *
+ * @description
+ * Пользовательские паттерны сохраняются в исходном порядке и виде.
+ * Для совпадающих паттернов недостающие команды пресета (инструменты,
+ * которых еще нет в правиле) добавляются в конец списка, новые паттерны
+ * добавляются в конец конфига.
+ *
+ * lint-staged запускает правила параллельно, поэтому паттерн пресета
+ * не должен совпадать с теми же файлами, что и паттерн проекта: если
+ * паттерн проекта покрывает расширение целиком ("*.ts", "**\/*.ts"),
+ * команды пресета добавляются в него, а расширение исключается
+ * из паттерна пресета. При частичном пересечении ("src/**\/*.ts",
+ * "*.test.ts") расширение пропускается с предупреждением.
+ *
+ * @example
+ * mergeRules(
+ *   { "*.css": "stylelint --fix" },
+ *   { "*.css": ["prettier --write"] }
+ * );
+ * // { rules: { "*.css": ["stylelint --fix", "prettier --write"] }, ... }
+ *
+ * mergeRules(
+ *   { "*.ts": "eslint --fix" },
+ *   { "**\/*.{js,ts}": ["eslint --fix --max-warnings=0", "prettier --write"] }
+ * ).rules;
+ * // { "*.ts": ["eslint --fix", "prettier --write"],
+ * //   "**\/*.js": ["eslint --fix --max-warnings=0", "prettier --write"] }
+ */
+function mergeRules(existing = {}, generated = {}) {
+  const rules = { ...existing };
+  const added = [];
+  const extended = [];
+  const skipped = [];
+
+  // Пересечения ищутся только с паттернами проекта
+  const userGlobs = Object.keys(rules)
+    .map((glob) => ({ glob, parts: parseGlob(glob) }))
+    .filter(({ parts }) => parts);
+
+  const extend = (glob, commands) => {
+    if (typeof rules[glob] === "function") return; // Функции не трогаем
+    if (appendCommands(rules, glob, commands) && !extended.includes(glob)) {
+      extended.push(glob);
+    }
+  };
+
+  Object.entries(generated).forEach(([glob, commands]) => {
+    if (glob in rules) {
+      extend(glob, commands);
+      return;
+    }
+
+    // Паттерны пресета другого вида ("*") добавляются как есть
+    const preset = parseGlob(glob);
+    const extensions = preset && preset.extensions;
+    let remaining = extensions;
+
+    if (extensions) {
+      userGlobs.forEach(({ glob: userGlob, parts }) => {
+        const overlap = remaining.filter(
+          (ext) => parts.extensions === null || parts.extensions.includes(ext)
+        );
+        if (overlap.length === 0) return;
+
+        // Команды пресета можно добавить в паттерн проекта, только если
+        // он совпадает ровно с файлами этих расширений
+        const canExtend =
+          parts.covers &&
+          preset.covers &&
+          parts.extensions !== null &&
+          parts.extensions.every((ext) => extensions.includes(ext)) &&
+          typeof rules[userGlob] !== "function";
+
+        if (canExtend) {
+          extend(userGlob, commands);
+        } else {
+          skipped.push({ glob, userGlob, extensions: overlap });
+        }
+        remaining = remaining.filter((ext) => !overlap.includes(ext));
+      });
+
+      if (remaining.length === 0) return;
+    }
+
+    const target =
+      extensions && remaining.length < extensions.length
+        ? formatGlob(preset, remaining)
+        : glob;
+    if (target in rules) {
+      extend(target, commands);
+      return;
+    }
+    rules[target] = toCommandList(commands);
+    added.push(target);
+  });
+
+  return { rules, added, extended, skipped };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  detectFormat,
+  readConfigFile,
+  serializeRules,
+  parseGlob,
+  mergeRules,
+};
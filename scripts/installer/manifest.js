@@ -0,0 +1,601 @@
+/**
+ * @file manifest.js
+ * @version 1.0.0
+ * @description Манифест установки и откат изменений установщика
+ * @module installer/manifest
+ *
+ * @overview
+ * Перед установкой делает снимок отслеживаемых файлов (.husky/, package.json,
+ * lock-файлы, конфиги, которые пишет установщик) и core.hooksPath. После
+ * установки сравнивает снимок с результатом и сохраняет манифест: какие
+ * файлы созданы, какие изменены (с исходным содержимым) и какие ключи
+ * package.json изменены.
+ * По манифесту команда uninstall восстанавливает исходное состояние.
+ *
+ * Также манифест хранит хэши версий файлов из релиза, которые были
+ * установлены (installed). Манифест коммитится вместе с .husky/, поэтому
+ * содержимое этих версий (база для трехстороннего слияния в update)
+ * и исходных lock-файлов хранится локально - в content-store.
+ *
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ * @requires ./husky
+ * @requires ./content-store
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { readHooksPath, writeHooksPath } = require("./husky");
+const contentStore = require("./content-store");
+
+/**
+ * Путь к манифесту относительно корня проекта
+ * @constant
+ * @type {string}
+ */
+const MANIFEST_FILE = ".husky/.install-manifest.json";
+
+/**
+ * Директории, все файлы которых отслеживаются целиком
+ * @constant
+ * @type {string[]}
+ */
+const WATCHED_DIRS = [".husky"];
+
+/**
+ * Файлы, которые хуки создают во время работы (удаляются при uninstall)
+ * @constant
+ * @type {string[]}
+ */
+const RUNTIME_FILES = [".husky-config.json"];
+
+/**
+ * Вычисляет sha256 хэш содержимого
+ * @param {string|Buffer} content - Содержимое
+ * @returns {string}
+ */
+function hash(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Проверяет, является ли значение простым объектом
+ * @param {*} value - Значение
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Глубокое сравнение JSON-значений
+ * @param {*} a - Первое значение
+ * @param {*} b - Второе значение
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Возвращает значение по пути ключей
+ * @param {Object} object - Объект
+ * @param {string[]} keys - Путь
+ * @returns {*} Значение или undefined
+ */
+function getPath(object, keys) {
+  return keys.reduce(
+    (current, key) => (isPlainObject(current) ? current[key] : undefined),
+    object
+  );
+}
+
+/**
+ * Устанавливает или удаляет (value === undefined) значение по пути ключей
+ * @param {Object} object - Объект (изменяется на месте)
+ * @param {string[]} keys - Путь
+ * @param {*} value - Значение
+ */
+function setPath(object, keys, value) {
+  const parents = [object];
+  let current = object;
+
+  for (const key of keys.slice(0, -1)) {
+    if (!isPlainObject(current[key])) {
+      if (value === undefined) return; // Удалять нечего
+      current[key] = {};
+    }
+    current = current[key];
+    parents.push(current);
+  }
+
+  const last = keys[keys.length - 1];
+  if (value === undefined) {
+    delete current[last];
+    // Удаляем опустевшие родительские объекты, созданные установщиком
+    for (let i = parents.length - 1; i > 0; i--) {
+      if (Object.keys(parents[i]).length > 0) break;
+      delete parents[i - 1][keys[i - 1]];
+    }
+  } else {
+    current[last] = value;
+  }
+}
+
+/**
+ * Вычисляет изменения ключей между двумя объектами
+ * @param {Object} before - Исходный объект
+ * @param {Object} after - Новый объект
+ * @param {string[]} [prefix=[]] - Текущий путь
+ * @returns {Array<{path: string[], before: *, after: *}>}
+ */
+function diffKeys(before, after, prefix = []) {
+  const changes = [];
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  keys.forEach((key) => {
+    const keyPath = [...prefix, key];
+    const a = before[key];
+    const b = after[key];
+
+    if (isEqual(a, b)) return;
+
+    if (isPlainObject(a) && isPlainObject(b)) {
+      changes.push(...diffKeys(a, b, keyPath));
+    } else {
+      changes.push({ path: keyPath, before: a, after: b });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Рекурсивно собирает файлы и директории
+ * @param {string} dir - Абсолютный путь к директории
+ * @returns {{files: string[], dirs: string[]}} Абсолютные пути
+ */
+function walk(dir) {
+  const result = { files: [], dirs: [] };
+  if (!fs.existsSync(dir)) return result;
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      result.dirs.push(fullPath);
+      const nested = walk(fullPath);
+      result.files.push(...nested.files);
+      result.dirs.push(...nested.dirs);
+    } else if (entry.isFile()) {
+      result.files.push(fullPath);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Манифест установки
+ * @class
+ *
+ * @example
+ * const manifest = new InstallManifest(projectRoot);
+ * manifest.begin();
+ * // ... установка ...
+ * manifest.track(path.join(projectRoot, ".lintstagedrc.json"));
+ * manifest.recordInstalled(hookPath, hookContent);
+ * manifest.finish({ version: "1.0.0", projectType: "vite" });
+ */
+class InstallManifest {
+  /**
+   * @constructor
+   * @param {string} projectRoot - Корневая директория проекта
+   */
+  constructor(projectRoot) {
+    /** @private */
+    this.projectRoot = projectRoot;
+
+    /** @private */
+    this.snapshots = new Map();
+
+    /** @private */
+    this.dirsBefore = new Set();
+
+    /** @private */
+    this.packageJsonBefore = null;
+
+    /** @private */
+    this.hooksPathBefore = null;
+
+    /** @private */
+    this.installed = new Map();
+
+    /**
+     * Файлы, исходное содержимое которых хранится вне манифеста
+     * @private
+     * @type {Set<string>}
+     */
+    this.stored = new Set();
+
+    /**
+     * Содержимое для content-store (хэш → содержимое)
+     * @private
+     * @type {Map<string, string>}
+     */
+    this.contents = new Map();
+  }
+
+  /**
+   * Путь к файлу манифеста
+   * @param {string} projectRoot - Корневая директория проекта
+   * @returns {string}
+   */
+  static getPath(projectRoot) {
+    return path.join(projectRoot, MANIFEST_FILE);
+  }
+
+  /**
+   * Загружает сохраненный манифест
+   * @param {string} projectRoot - Корневая директория проекта
+   * @returns {Object|null} Данные манифеста или null
+   */
+  static load(projectRoot) {
+    const manifestPath = InstallManifest.getPath(projectRoot);
+    if (!fs.existsSync(manifestPath)) return null;
+    return JSON.parse(fs.readFileSync(manifestPath, "utf8"));
+  }
+
+  /**
+   * Преобразует абсолютный путь в относительный (с / в качестве разделителя)
+   * @private
+   * @param {string} filePath - Абсолютный путь
+   * @returns {string}
+   */
+  relative(filePath) {
+    return path.relative(this.projectRoot, filePath).split(path.sep).join("/");
+  }
+
+  /**
+   * Делает снимок состояния перед установкой
+   * @param {Object} [params={}]
+   * @param {string[]} [params.files=[]] - Дополнительные файлы (абсолютные
+   * пути), например lock-файлы: если установка зависимостей создаст
+   * или изменит их, uninstall удалит или восстановит их. Исходное
+   * содержимое этих файлов в манифест не попадает (см. content-store)
+   */
+  begin({ files: extraFiles = [] } = {}) {
+    const pkgPath = path.join(this.projectRoot, "package.json");
+    if (fs.existsSync(pkgPath)) {
+      this.packageJsonBefore = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+    } else {
+      this.track(pkgPath);
+    }
+
+    WATCHED_DIRS.forEach((dir) => {
+      const { files, dirs } = walk(path.join(this.projectRoot, dir));
+      files.forEach((file) => this.track(file));
+      dirs.forEach((d) => this.dirsBefore.add(this.relative(d)));
+      if (fs.existsSync(path.join(this.projectRoot, dir))) {
+        this.dirsBefore.add(dir);
+      }
+    });
+
+    extraFiles.forEach((file) => {
+      this.track(file);
+      this.stored.add(this.relative(file));
+    });
+
+    this.hooksPathBefore = readHooksPath(this.projectRoot);
+  }
+
+  /**
+   * Запоминает исходное состояние файла перед первой записью
+   * @param {string} filePath - Абсолютный путь к файлу
+   */
+  track(filePath) {
+    const key = this.relative(filePath);
+    if (key === MANIFEST_FILE) return;
+    if (this.snapshots.has(key)) return;
+
+    // Изменения существующего package.json отслеживаются по ключам
+    if (key === "package.json" && this.packageJsonBefore) return;
+
+    this.snapshots.set(
+      key,
+      fs.existsSync(filePath) ? fs.readFileSync(filePath, "utf8") : null
+    );
+  }
+
+  /**
+   * Запоминает версию файла из релиза, записанную установщиком
+   * @param {string} filePath - Абсолютный путь к файлу
+   * @param {string} content - Содержимое файла в релизе
+   */
+  recordInstalled(filePath, content) {
+    const key = this.relative(filePath);
+    const contentHash = hash(content);
+    this.installed.set(key, { path: key, hash: contentHash });
+    this.contents.set(contentHash, content);
+  }
+
+  /**
+   * Сравнивает состояние с исходным снимком и сохраняет манифест
+   * @param {Object} meta - Информация об установке (version, projectType и т.д.)
+   * @returns {Object} Данные манифеста
+   */
+  finish(meta) {
+    // Новые файлы в отслеживаемых директориях (например, созданные husky init)
+    WATCHED_DIRS.forEach((dir) => {
+      walk(path.join(this.projectRoot, dir)).files.forEach((file) => {
+        const key = this.relative(file);
+        if (!this.snapshots.has(key)) this.snapshots.set(key, null);
+      });
+    });
+    this.snapshots.delete(MANIFEST_FILE);
+
+    const files = [];
+    this.snapshots.forEach((previous, relativePath) => {
+      const filePath = path.join(this.projectRoot, relativePath);
+      const current = fs.existsSync(filePath)
+        ? fs.readFileSync(filePath, "utf8")
+        : null;
+
+      if (current === previous) return;
+
+      const entry = {
+        path: relativePath,
+        created: previous === null,
+        previous,
+        hash: current === null ? null : hash(current),
+      };
+      if (previous !== null && this.stored.has(relativePath)) {
+        delete entry.previous;
+        entry.previousHash = hash(previous);
+        this.contents.set(entry.previousHash, previous);
+      }
+      files.push(entry);
+    });
+
+    this.contents.forEach((content, contentHash) =>
+      contentStore.save(this.projectRoot, contentHash, content)
+    );
+
+    const directories = WATCHED_DIRS.flatMap((dir) => {
+      const fullPath = path.join(this.projectRoot, dir);
+      if (!fs.existsSync(fullPath)) return [];
+      return [fullPath, ...walk(fullPath).dirs].map((d) => this.relative(d));
+    }).filter((dir) => !this.dirsBefore.has(dir));
+
+    let packageJson = [];
+    const pkgPath = path.join(this.projectRoot, "package.json");
+    if (this.packageJsonBefore && fs.existsSync(pkgPath)) {
+      packageJson = diffKeys(
+        this.packageJsonBefore,
+        JSON.parse(fs.readFileSync(pkgPath, "utf8"))
+      );
+    }
+
+    const hooksPathAfter = readHooksPath(this.projectRoot);
+    const gitConfig =
+      hooksPathAfter === this.hooksPathBefore
+        ? {}
+        : {
+            "core.hooksPath": {
+              before: this.hooksPathBefore,
+              after: hooksPathAfter,
+            },
+          };
+
+    const data = mergeManifests(InstallManifest.load(this.projectRoot), {
+      ...meta,
+      installedAt: new Date().toISOString(),
+      files,
+      directories,
+      packageJson,
+      gitConfig,
+      installed: Array.from(this.installed.values()),
+    });
+
+    fs.writeFileSync(
+      InstallManifest.getPath(this.projectRoot),
+      `${JSON.stringify(data, null, 2)}\n`
+    );
+
+    return data;
+  }
+}
+
+/**
+ * Объединяет манифест повторной установки с предыдущим
+ * @param {Object|null} previous - Предыдущий манифест
+ * @param {Object} next - Новый манифест
+ * @returns {Object}
+ *
+ * @description
+ * Исходное состояние берется из самой первой установки, итоговое - из
+ * последней, чтобы uninstall возвращал проект к состоянию до установщика.
+ * Версии из релиза (installed) заменяются только для записанных файлов.
+ */
+function mergeManifests(previous, next) {
+  if (!previous) return next;
+
+  const files = new Map(previous.files.map((file) => [file.path, file]));
+  next.files.forEach((file) => {
+    const earlier = files.get(file.path);
+    files.set(
+      file.path,
+      earlier
+        ? {
+            ...file,
+            created: earlier.created,
+            previous: earlier.previous,
+            previousHash: earlier.previousHash,
+          }
+        : file
+    );
+  });
+
+  const packageJson = new Map(
+    previous.packageJson.map((change) => [change.path.join("\0"), change])
+  );
+  next.packageJson.forEach((change) => {
+    const key = change.path.join("\0");
+    const earlier = packageJson.get(key);
+    packageJson.set(
+      key,
+      earlier ? { ...change, before: earlier.before } : change
+    );
+  });
+
+  const gitConfig = { ...next.gitConfig };
+  Object.entries(previous.gitConfig || {}).forEach(([key, value]) => {
+    gitConfig[key] = gitConfig[key]
+      ? { ...gitConfig[key], before: value.before }
+      : value;
+  });
+
+  // Содержимое из манифестов прошлых версий не переносится
+  const installed = new Map(
+    (previous.installed || []).map(({ path: file, hash: fileHash }) => [
+      file,
+      { path: file, hash: fileHash },
+    ])
+  );
+  next.installed.forEach((file) => installed.set(file.path, file));
+
+  return {
+    ...next,
+    firstInstalledAt: previous.firstInstalledAt || previous.installedAt,
+    files: Array.from(files.values()),
+    directories: Array.from(
+      new Set([...previous.directories, ...next.directories])
+    ),
+    packageJson: Array.from(packageJson.values()),
+    gitConfig,
+    installed: Array.from(installed.values()),
+  };
+}
+
+/**
+ * Откатывает изменения установщика по манифесту
+ * @param {string} projectRoot - Корневая директория проекта
+ * @param {Object} manifest - Данные манифеста
+ * @returns {{removed: string[], restored: string[], kept: string[]}}
+ * Удаленные и восстановленные файлы/ключи, а также сохраненные
+ * из-за ручных изменений после установки
+ */
+function revert(projectRoot, manifest) {
+  const report = { removed: [], restored: [], kept: [] };
+
+  // 1. Файлы
+  manifest.files.forEach((file) => {
+    const filePath = path.join(projectRoot, file.path);
+    const exists = fs.existsSync(filePath);
+    const current = exists ? fs.readFileSync(filePath, "utf8") : null;
+
+    if (file.hash && current !== null && hash(current) !== file.hash) {
+      report.kept.push(`${file.path} (изменен после установки)`);
+      return;
+    }
+
+    if (file.created) {
+      if (exists) {
+        fs.unlinkSync(filePath);
+        report.removed.push(file.path);
+      }
+    } else {
+      const previous = file.previousHash
+        ? contentStore.load(projectRoot, file.previousHash)
+        : file.previous;
+      if (previous === null) {
+        report.kept.push(
+          `${file.path} (исходная версия недоступна, восстановите из git)`
+        );
+        return;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, previous);
+      report.restored.push(file.path);
+    }
+  });
+
+  // 2. Ключи package.json
+  const pkgPath = path.join(projectRoot, "package.json");
+  if (manifest.packageJson.length > 0 && fs.existsSync(pkgPath)) {
+    const content = fs.readFileSync(pkgPath, "utf8");
+    const pkg = JSON.parse(content);
+    let changed = false;
+
+    manifest.packageJson.forEach((change) => {
+      const name = `package.json: ${change.path.join(".")}`;
+      if (!isEqual(getPath(pkg, change.path), change.after)) {
+        report.kept.push(`${name} (изменен после установки)`);
+        return;
+      }
+      setPath(pkg, change.path, change.before);
+      changed = true;
+      (change.before === undefined ? report.removed : report.restored).push(
+        name
+      );
+    });
+
+    // Сохраняем отступ и перевод строки в конце файла проекта
+    if (changed) {
+      const indent = (content.match(/^[ \t]+(?=")/m) || ["  "])[0];
+      const newline = content.endsWith("\n") ? "\n" : "";
+      fs.writeFileSync(
+        pkgPath,
+        `${JSON.stringify(pkg, null, indent)}${newline}`
+      );
+    }
+  }
+
+  // 3. git config
+  Object.entries(manifest.gitConfig || {}).forEach(([key, value]) => {
+    if (readHooksPath(projectRoot) !== value.after) {
+      report.kept.push(`git config ${key} (изменен после установки)`);
+      return;
+    }
+    try {
+      writeHooksPath(projectRoot, value.before);
+      (value.before === null ? report.removed : report.restored).push(
+        `git config ${key}`
+      );
+    } catch {
+      report.kept.push(`git config ${key} (не удалось изменить)`);
+    }
+  });
+
+  // 4. Файлы, созданные хуками во время работы
+  RUNTIME_FILES.forEach((file) => {
+    const filePath = path.join(projectRoot, file);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+      report.removed.push(file);
+    }
+  });
+
+  // 5. Манифест и опустевшие директории (сначала самые вложенные)
+  fs.rmSync(InstallManifest.getPath(projectRoot), { force: true });
+  [...manifest.directories]
+    .sort((a, b) => b.length - a.length)
+    .forEach((dir) => {
+      const dirPath = path.join(projectRoot, dir);
+      if (fs.existsSync(dirPath) && fs.readdirSync(dirPath).length === 0) {
+        fs.rmdirSync(dirPath);
+        report.removed.push(`${dir}/`);
+      }
+    });
+
+  return report;
+}
+
+module.exports = InstallManifest;
+module.exports.InstallManifest = InstallManifest;
+module.exports.MANIFEST_FILE = MANIFEST_FILE;
+module.exports.hash = hash;
+module.exports.diffKeys = diffKeys;
+module.exports.walk = walk;
+module.exports.revert = revert;
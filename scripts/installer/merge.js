@@ -0,0 +1,78 @@
+/**
+ * @file merge.js
+ * @version 1.0.0
+ * @description Трехстороннее слияние файлов через git merge-file
+ * @module installer/merge
+ *
+ * @overview
+ * Объединяет локальные изменения файла (current) с новой версией из релиза
+ * (next) относительно версии, которая была установлена (base). Используется
+ * командой update для файлов, измененных пользователем.
+ *
+ * @requires fs
+ * @requires os
+ * @requires path
+ * @requires child_process
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawnSync } = require("child_process");
+
+/**
+ * Выполняет трехстороннее слияние
+ * @param {string} current - Текущее содержимое (с изменениями пользователя)
+ * @param {string} base - Установленная ранее версия
+ * @param {string} next - Новая версия из релиза
+ * @returns {{merged: string, conflicts: number}|null}
+ * Результат слияния (conflicts > 0 - merged содержит маркеры конфликтов)
+ * или null, если git merge-file недоступен
+ *
+ * @example
+ * const result = mergeThreeWay(local, installed, release);
+ * if (result && result.conflicts === 0) {
+ *   fs.writeFileSync(file, result.merged);
+ * }
+ */
+function mergeThreeWay(current, base, next) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "husky-merge-"));
+
+  try {
+    const files = { current, base, next };
+    Object.entries(files).forEach(([name, content]) => {
+      fs.writeFileSync(path.join(tmpDir, name), content);
+    });
+
+    const result = spawnSync(
+      "git",
+      [
+        "merge-file",
+        "-p",
+        "-L",
+        "локальная версия",
+        "-L",
+        "установленная версия",
+        "-L",
+        "новая версия",
+        "current",
+        "base",
+        "next",
+      ],
+      { cwd: tmpDir, encoding: "utf8" }
+    );
+
+    // Код выхода - число конфликтов, отрицательный (255) - ошибка
+    if (result.error || result.status === null || result.status > 127) {
+      return null;
+    }
+
+    return { merged: result.stdout, conflicts: result.status };
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  mergeThreeWay,
+};
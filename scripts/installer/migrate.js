@@ -0,0 +1,421 @@
+/**
+ * @file migrate.js
+ * @version 1.0.0
+ * @description Перенос существующих настроек хуков в единый конфиг
+ * @module installer/migrate
+ *
+ * @overview
+ * Находит в проекте commitlint, simple-git-hooks и собственные shell-хуки
+ * в .husky/ и переводит их в формат .huskyrc.json:
+ * - правила commitlint type-enum, scope-enum, scope-empty,
+ *   header-max-length и header-min-length → commitMsg;
+ * - команды хуков pre-commit и pre-push → проверки { name, command };
+ * - запуск lint-staged и commitlint из хуков заменяется встроенными
+ *   проверками.
+ * Все, что перенести не удалось, попадает в отчет (skipped).
+ * Конфиги lint-staged (.lintstagedrc) дополняются установщиком
+ * на месте (см. setupLintStaged) и здесь не переносятся.
+ *
+ * @requires fs
+ * @requires path
+ * @requires ../utils/yaml
+ * @requires ./husky
+ * @requires ./wizard
+ */
+
+const fs = require("fs");
+const path = require("path");
+const yaml = require("../utils/yaml");
+const husky = require("./husky");
+const { buildCommitPattern } = require("./wizard");
+
+/**
+ * Файлы конфига commitlint в порядке поиска
+ * @constant
+ * @type {string[]}
+ */
+const COMMITLINT_FILES = [
+  ".commitlintrc",
+  ".commitlintrc.json",
+  ".commitlintrc.yaml",
+  ".commitlintrc.yml",
+  ".commitlintrc.js",
+  ".commitlintrc.cjs",
+  ".commitlintrc.mjs",
+  ".commitlintrc.ts",
+  "commitlint.config.js",
+  "commitlint.config.cjs",
+  "commitlint.config.mjs",
+  "commitlint.config.ts",
+];
+
+/**
+ * Файлы конфига simple-git-hooks в порядке поиска
+ * @constant
+ * @type {string[]}
+ */
+const SIMPLE_GIT_HOOKS_FILES = [
+  ".simple-git-hooks.cjs",
+  ".simple-git-hooks.js",
+  ".simple-git-hooks.json",
+  "simple-git-hooks.cjs",
+  "simple-git-hooks.js",
+  "simple-git-hooks.json",
+];
+
+/**
+ * Хуки, которые устанавливает установщик, и их секции в конфиге
+ * @constant
+ * @type {Object<string, string>}
+ */
+const HOOK_SECTIONS = {
+  "pre-commit": "preCommit",
+  "commit-msg": "commitMsg",
+  "pre-push": "prePush",
+};
+
+/**
+ * Пресеты commitlint, совпадающие с форматом commitMsg по умолчанию
+ * @constant
+ * @type {string[]}
+ */
+const CONVENTIONAL_PRESETS = [
+  "@commitlint/config-conventional",
+  "@commitlint/config-angular",
+];
+
+/**
+ * Читает конфиг в формате JSON, YAML или CommonJS
+ * @param {string} filePath - Путь к файлу
+ * @returns {Object}
+ * @throws {Error} Для ES-модулей и TypeScript или при ошибке разбора
+ */
+function readConfigFile(filePath) {
+  const ext = path.extname(filePath);
+
+  if ([".mjs", ".ts"].includes(ext)) {
+    throw new Error("ES-модули и TypeScript не читаются автоматически");
+  }
+
+  if ([".js", ".cjs"].includes(ext)) {
+    delete require.cache[require.resolve(filePath)];
+    const loaded = require(filePath);
+    return (loaded && loaded.default) || loaded || {};
+  }
+
+  const content = fs.readFileSync(filePath, "utf8");
+  if (ext === ".json" || content.trim().startsWith("{")) {
+    return JSON.parse(content);
+  }
+  return yaml.parse(content) || {};
+}
+
+/**
+ * Находит конфиг в файлах или в поле package.json
+ * @param {string} dir - Директория проекта
+ * @param {string[]} files - Имена файлов в порядке поиска
+ * @param {Object} pkg - package.json проекта
+ * @param {string} field - Поле package.json
+ * @returns {{source: string, config?: Object, error?: string}|null}
+ */
+function findConfig(dir, files, pkg, field) {
+  const file = files.find((name) => fs.existsSync(path.join(dir, name)));
+
+  if (file) {
+    try {
+      return { source: file, config: readConfigFile(path.join(dir, file)) };
+    } catch (error) {
+      return { source: file, error: error.message };
+    }
+  }
+
+  if (pkg && pkg[field]) {
+    return { source: `package.json (${field})`, config: pkg[field] };
+  }
+
+  return null;
+}
+
+/**
+ * Возвращает значение включенного правила commitlint
+ * @param {Array} rule - Правило [уровень, "always"|"never", значение]
+ * @returns {{applies: ('always'|'never'), value: *}|null} null для
+ * отключенного правила (уровень 0)
+ */
+function readRule(rule) {
+  if (!Array.isArray(rule) || rule[0] === 0) return null;
+  return { applies: rule[1] || "always", value: rule[2] };
+}
+
+/**
+ * Переводит конфиг commitlint в секцию commitMsg
+ * @param {Object} config - Конфиг commitlint
+ * @returns {{commitMsg: Object, converted: string[], skipped: string[]}}
+ *
+ * @example
+ * convertCommitlint({
+ *   rules: { "type-enum": [2, "always", ["feat", "fix"]] },
+ * });
+ * // commitMsg: { types: ["feat", "fix"], pattern: "^(feat|fix)(\\(.+\\))?: .+" }
+ */
+function convertCommitlint(config) {
+  const commitMsg = {};
+  const converted = [];
+  const skipped = [];
+
+  const presets = [].concat(config.extends || []);
+  presets.forEach((preset) => {
+    if (CONVENTIONAL_PRESETS.includes(preset)) {
+      converted.push(`extends ${preset} → формат commitMsg по умолчанию`);
+    } else {
+      skipped.push(`extends ${preset}`);
+    }
+  });
+
+  Object.entries(config.rules || {}).forEach(([name, rule]) => {
+    const parsed = readRule(rule);
+    if (!parsed) return;
+
+    const { applies, value } = parsed;
+    if (name === "type-enum" && applies === "always" && Array.isArray(value)) {
+      commitMsg.types = value;
+      commitMsg.pattern = buildCommitPattern(value);
+      converted.push("type-enum → commitMsg.types");
+    } else if (
+      name === "scope-enum" &&
+      applies === "always" &&
+      Array.isArray(value)
+    ) {
+      commitMsg.scopes = value;
+      converted.push("scope-enum → commitMsg.scopes");
+    } else if (name === "scope-empty" && applies === "never") {
+      commitMsg.requireScope = true;
+      converted.push("scope-empty → commitMsg.requireScope");
+    } else if (name === "header-max-length" && typeof value === "number") {
+      commitMsg.maxLength = value;
+      converted.push("header-max-length → commitMsg.maxLength");
+    } else if (name === "header-min-length" && typeof value === "number") {
+      commitMsg.minLength = value;
+      converted.push("header-min-length → commitMsg.minLength");
+    } else {
+      skipped.push(`правило ${name}`);
+    }
+  });
+
+  ["plugins", "parserPreset", "ignores", "prompt"].forEach((key) => {
+    if (config[key] !== undefined) skipped.push(key);
+  });
+
+  return { commitMsg, converted, skipped };
+}
+
+/**
+ * Убирает из shell-скрипта шебанг, подключение husky.sh, комментарии
+ * и пустые строки
+ * @param {string} content - Содержимое хука
+ * @returns {string[]} Строки с командами
+ */
+function parseScript(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(
+      (line) => line && !line.startsWith("#") && !/_\/husky\.sh/.test(line)
+    );
+}
+
+/**
+ * Переводит команды хука в проверки
+ * @param {string} source - Откуда команды (для имени проверки и отчета)
+ * @param {string} hook - Имя хука
+ * @param {string[]} lines - Команды (результат parseScript)
+ * @returns {{checks: Array<Object>, converted: string[], skipped: string[]}}
+ *
+ * @description
+ * lint-staged и commitlint заменяются встроенными проверками, остальные
+ * строки pre-commit и pre-push сохраняются одной проверкой с command
+ * (порядок и многострочные конструкции не нарушаются). Команды других
+ * хуков не переносятся: у commit-msg нет списка проверок, а прочие
+ * хуки установщик не изменяет.
+ */
+function convertHookCommands(source, hook, lines) {
+  const checks = [];
+  const converted = [];
+  const skipped = [];
+  const rest = [];
+
+  const builtIn = (command) =>
+    (hook === "pre-commit" && /\blint-staged\b/.test(command)) ||
+    (hook === "commit-msg" && /\bcommitlint\b/.test(command));
+
+  lines.forEach((line) => {
+    // "npx lint-staged && npm run typecheck": встроенная проверка
+    // заменяет только свою часть цепочки
+    const parts = builtIn(line) ? line.split(/\s*&&\s*/) : [line];
+    const own = parts.filter((part) => !builtIn(part));
+
+    parts.filter(builtIn).forEach((part) => {
+      converted.push(
+        `${hook}: ${part} → встроенная проверка ${
+          hook === "pre-commit" ? "lint-staged" : "commit-msg"
+        }`
+      );
+    });
+    if (own.length > 0) rest.push(own.join(" && "));
+  });
+
+  if (rest.length === 0) {
+    return { checks, converted, skipped };
+  }
+
+  if (hook === "pre-commit" || hook === "pre-push") {
+    const name = `${source}-${hook}`;
+    checks.push({
+      name,
+      command: rest.join("\n"),
+      enabled: true,
+      critical: true,
+    });
+    converted.push(`${hook}: ${rest.join(" ↵ ")} → проверка ${name}`);
+
+    if (rest.some((line) => /\$[@*1-9]/.test(line))) {
+      skipped.push(
+        `${hook}: аргументы хука ($1, $@) не передаются в проверку ${name}`
+      );
+    }
+  } else {
+    skipped.push(`${hook}: ${rest.join(" ↵ ")}`);
+  }
+
+  return { checks, converted, skipped };
+}
+
+/**
+ * Находит собственные shell-хуки в .husky/
+ * @param {string} huskyDir - Путь к .husky
+ * @returns {Array<{hook: string, lines: string[]}>} Хуки, которые
+ * установщик перезапишет (обертки установщика и прочие хуки пропускаются)
+ */
+function findCustomHooks(huskyDir) {
+  return Object.keys(HOOK_SECTIONS)
+    .map((hook) => path.join(huskyDir, hook))
+    .filter((file) => fs.existsSync(file) && fs.statSync(file).isFile())
+    .map((file) => ({ file, content: fs.readFileSync(file, "utf8") }))
+    .filter(({ content }) => !husky.isGeneratedWrapper(content))
+    .map(({ file, content }) => ({
+      hook: path.basename(file),
+      lines: parseScript(content),
+    }));
+}
+
+/**
+ * Находит существующие настройки хуков и переводит их в единый конфиг
+ * @param {string} projectRoot - Корень проекта
+ * @param {Object} pkg - package.json проекта
+ * @returns {{config: Object, sources: string[], converted: string[], skipped: string[], hints: string[]}}
+ * Дополнение для .huskyrc.json (секции preCommit, prePush, commitMsg),
+ * найденные источники, перенесенные и не перенесенные настройки
+ * и подсказки (какие пакеты можно удалить)
+ *
+ * @example
+ * const migration = detectMigration(projectRoot, pkg);
+ * if (migration.sources.length > 0) {
+ *   console.log(migration.converted, migration.skipped);
+ * }
+ */
+function detectMigration(projectRoot, pkg = {}) {
+  const result = {
+    config: {},
+    sources: [],
+    converted: [],
+    skipped: [],
+    hints: [],
+  };
+
+  const addChecks = (hook, checks) => {
+    if (checks.length === 0) return;
+    const section = HOOK_SECTIONS[hook];
+    result.config[section] = result.config[section] || { checks: [] };
+    result.config[section].checks.push(...checks);
+  };
+
+  const addHook = (source, label, hook, lines) => {
+    const converted = convertHookCommands(source, hook, lines);
+    addChecks(hook, converted.checks);
+    result.converted.push(...converted.converted.map((c) => `${label}: ${c}`));
+    result.skipped.push(...converted.skipped.map((s) => `${label}: ${s}`));
+  };
+
+  // commitlint
+  const commitlint = findConfig(
+    projectRoot,
+    COMMITLINT_FILES,
+    pkg,
+    "commitlint"
+  );
+  if (commitlint) {
+    result.sources.push(commitlint.source);
+    if (commitlint.error) {
+      result.skipped.push(`${commitlint.source}: ${commitlint.error}`);
+    } else {
+      const { commitMsg, converted, skipped } = convertCommitlint(
+        commitlint.config
+      );
+      if (Object.keys(commitMsg).length > 0) {
+        result.config.commitMsg = commitMsg;
+      }
+      result.converted.push(
+        ...converted.map((c) => `${commitlint.source}: ${c}`)
+      );
+      result.skipped.push(...skipped.map((s) => `${commitlint.source}: ${s}`));
+    }
+    result.hints.push(
+      "commitlint больше не нужен: удалите @commitlint/* из devDependencies"
+    );
+  }
+
+  // simple-git-hooks
+  const simpleGitHooks = findConfig(
+    projectRoot,
+    SIMPLE_GIT_HOOKS_FILES,
+    pkg,
+    "simple-git-hooks"
+  );
+  if (simpleGitHooks) {
+    result.sources.push(simpleGitHooks.source);
+    if (simpleGitHooks.error) {
+      result.skipped.push(`${simpleGitHooks.source}: ${simpleGitHooks.error}`);
+    } else {
+      Object.entries(simpleGitHooks.config).forEach(([hook, command]) => {
+        if (typeof command !== "string") return; // preserveUnused и т.п.
+        addHook(
+          "simple-git-hooks",
+          simpleGitHooks.source,
+          hook,
+          parseScript(command)
+        );
+      });
+    }
+    result.hints.push(
+      "simple-git-hooks больше не нужен: удалите пакет и его конфиг"
+    );
+  }
+
+  // Собственные хуки в .husky/
+  findCustomHooks(path.join(projectRoot, ".husky")).forEach(
+    ({ hook, lines }) => {
+      result.sources.push(`.husky/${hook}`);
+      addHook("husky", ".husky", hook, lines);
+    }
+  );
+
+  return result;
+}
+
+module.exports = {
+  COMMITLINT_FILES,
+  SIMPLE_GIT_HOOKS_FILES,
+  convertCommitlint,
+  convertHookCommands,
+  detectMigration,
+};
@@ -0,0 +1,267 @@
+/**
+ * @file package-manager.js
+ * @version 1.0.0
+ * @description Определение менеджера пакетов проекта
+ * @module installer/package-manager
+ *
+ * @overview
+ * Определяет менеджер пакетов по полю packageManager в package.json
+ * и по lock-файлам (с подъемом до корня workspace), а также формирует
+ * команды установки dev-зависимостей с учетом флагов корня workspace.
+ *
+ * @example
+ * const pm = detectPackageManager(process.cwd());
+ * const { command, cwd } = getAddDevCommand(pm, ["husky@9.1.7"]);
+ *
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Поддерживаемые менеджеры пакетов
+ * @constant
+ * @type {string[]}
+ */
+const PACKAGE_MANAGERS = ["npm", "pnpm", "yarn", "bun"];
+
+/**
+ * Lock-файлы в порядке приоритета
+ * @constant
+ * @type {Array<{file: string, name: string}>}
+ */
+const LOCKFILES = [
+  { file: "pnpm-lock.yaml", name: "pnpm" },
+  { file: "yarn.lock", name: "yarn" },
+  { file: "bun.lockb", name: "bun" },
+  { file: "bun.lock", name: "bun" },
+  { file: "package-lock.json", name: "npm" },
+  { file: "npm-shrinkwrap.json", name: "npm" },
+];
+
+/**
+ * Читает package.json из директории
+ * @param {string} dir - Директория
+ * @returns {Object|null}
+ */
+function readPackageJson(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Разбирает значение поля packageManager ("pnpm@8.15.0+sha512...")
+ * @param {string} value - Значение поля
+ * @returns {{name: string, version: (string|null)}|null}
+ */
+function parsePackageManagerField(value) {
+  if (typeof value !== "string") return null;
+
+  const match = value.match(/^(npm|pnpm|yarn|bun)(?:@([^+]+))?/);
+  if (!match) return null;
+
+  return { name: match[1], version: match[2] || null };
+}
+
+/**
+ * Проверяет, является ли директория корнем workspace
+ * @param {string} dir - Директория
+ * @param {Object|null} pkg - Содержимое package.json из директории
+ * @returns {boolean}
+ */
+function isWorkspaceRoot(dir, pkg) {
+  return (
+    fs.existsSync(path.join(dir, "pnpm-workspace.yaml")) ||
+    Boolean(pkg && pkg.workspaces)
+  );
+}
+
+/**
+ * Находит ближайшую директорию (вверх от startDir) с lock-файлом
+ * или полем packageManager
+ * @param {string} startDir - Начальная директория
+ * @returns {{dir: string, lockfiles: string[], pkg: (Object|null)}|null}
+ */
+function findManagerRoot(startDir) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    const pkg = readPackageJson(dir);
+    const lockfiles = LOCKFILES.filter(({ file }) =>
+      fs.existsSync(path.join(dir, file))
+    ).map(({ file }) => file);
+
+    if (lockfiles.length > 0 || (pkg && pkg.packageManager)) {
+      return { dir, lockfiles, pkg };
+    }
+
+    // Не выходим за пределы git репозитория
+    if (fs.existsSync(path.join(dir, ".git"))) return null;
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Определяет менеджер пакетов проекта
+ * @param {string} projectRoot - Корневая директория проекта
+ * @param {string} [override] - Явно выбранный менеджер пакетов
+ * @returns {Object} Описание менеджера пакетов
+ * @property {string} name - npm, pnpm, yarn или bun
+ * @property {string|null} version - Версия из поля packageManager
+ * @property {boolean} isBerry - Yarn 2+ (Berry)
+ * @property {string} source - Откуда взят выбор: option, packageManager, lockfile, default
+ * @property {string} root - Директория с lock-файлом (корень workspace)
+ * @property {string} projectRoot - Корневая директория проекта
+ * @property {boolean} isWorkspaceRoot - projectRoot является корнем workspace
+ * @property {string[]} warnings - Предупреждения (например, несколько lock-файлов)
+ * @throws {Error} Если передан неизвестный менеджер пакетов
+ */
+function detectPackageManager(projectRoot, override) {
+  const warnings = [];
+  const found = findManagerRoot(projectRoot);
+  const root = found ? found.dir : projectRoot;
+  const rootPkg = found ? found.pkg : readPackageJson(projectRoot);
+  const field = parsePackageManagerField(rootPkg && rootPkg.packageManager);
+
+  let name = "npm";
+  let version = null;
+  let source = "default";
+
+  if (override) {
+    const parsed = parsePackageManagerField(override);
+    if (!parsed) {
+      throw new Error(
+        `Неизвестный менеджер пакетов "${override}" (доступны: ${PACKAGE_MANAGERS.join(
+          ", "
+        )})`
+      );
+    }
+    ({ name, version } = parsed);
+    source = "option";
+  } else if (field) {
+    ({ name, version } = field);
+    source = "packageManager";
+  } else if (found && found.lockfiles.length > 0) {
+    name = LOCKFILES.find(({ file }) => file === found.lockfiles[0]).name;
+    source = "lockfile";
+  }
+
+  if (found && found.lockfiles.length > 1) {
+    warnings.push(
+      `Найдено несколько lock-файлов: ${found.lockfiles.join(
+        ", "
+      )}. Используется ${name}`
+    );
+  }
+
+  if (field && source === "packageManager" && found) {
+    const foreign = found.lockfiles.filter(
+      (file) => LOCKFILES.find((l) => l.file === file).name !== name
+    );
+    if (foreign.length > 0) {
+      warnings.push(
+        `packageManager указывает ${name}, но найден ${foreign.join(", ")}`
+      );
+    }
+  }
+
+  const isBerry =
+    name === "yarn" &&
+    (version
+      ? parseInt(version, 10) >= 2
+      : fs.existsSync(path.join(root, ".yarnrc.yml")));
+
+  return {
+    name,
+    version,
+    isBerry,
+    source,
+    root,
+    projectRoot: path.resolve(projectRoot),
+    isWorkspaceRoot:
+      path.resolve(root) === path.resolve(projectRoot) &&
+      isWorkspaceRoot(root, rootPkg),
+    warnings,
+  };
+}
+
+/**
+ * Формирует команду установки dev-зависимостей
+ * @param {Object} pm - Результат detectPackageManager
+ * @param {string[]} packages - Пакеты с версиями (name@version)
+ * @returns {{command: string, cwd: string}} Команда и директория запуска
+ *
+ * @example
+ * getAddDevCommand(pnpmWorkspaceRoot, ["husky@9.1.7"]);
+ * // { command: "pnpm add -D -w husky@9.1.7", cwd: "/repo" }
+ */
+function getAddDevCommand(pm, packages) {
+  const list = packages.join(" ");
+  const cwd = pm.projectRoot;
+
+  switch (pm.name) {
+    case "pnpm":
+      return {
+        command: `pnpm add -D${pm.isWorkspaceRoot ? " -w" : ""} ${list}`,
+        cwd,
+      };
+    case "yarn":
+      return {
+        command: `yarn add --dev${
+          pm.isWorkspaceRoot && !pm.isBerry ? " -W" : ""
+        } ${list}`,
+        cwd,
+      };
+    case "bun":
+      return { command: `bun add -d ${list}`, cwd };
+    default: {
+      // Внутри пакета npm workspace устанавливаем из корня с --workspace
+      const relative = path.relative(pm.root, pm.projectRoot);
+      if (relative && !relative.startsWith("..")) {
+        return {
+          command: `npm install --save-dev --workspace=${relative
+            .split(path.sep)
+            .join("/")} ${list}`,
+          cwd: pm.root,
+        };
+      }
+      return { command: `npm install --save-dev ${list}`, cwd };
+    }
+  }
+}
+
+/**
+ * Возвращает команду для запуска бинарника из зависимостей проекта
+ * @param {Object} pm - Результат detectPackageManager
+ * @param {string} bin - Команда (например, "husky init")
+ * @returns {string}
+ */
+function getExecCommand(pm, bin) {
+  switch (pm.name) {
+    case "pnpm":
+      return `pnpm exec ${bin}`;
+    case "yarn":
+      return `yarn ${bin}`;
+    case "bun":
+      return `bunx ${bin}`;
+    default:
+      return `npx ${bin}`;
+  }
+}
+
+module.exports = {
+  PACKAGE_MANAGERS,
+  LOCKFILES,
+  parsePackageManagerField,
+  detectPackageManager,
+  getAddDevCommand,
+  getExecCommand,
+};
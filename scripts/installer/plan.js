@@ -0,0 +1,174 @@
+/**
+ * @file plan.js
+ * @version 1.0.0
+ * @description План установки для режима --dry-run
+ * @module installer/plan
+ *
+ * @overview
+ * Накапливает действия, которые установщик выполнил бы: зависимости,
+ * команды, создаваемые и перезаписываемые файлы, diff конфигурационных
+ * файлов. Ничего не записывает на диск.
+ *
+ * @requires path
+ * @requires ./diff
+ */
+
+const path = require("path");
+const { createUnifiedDiff } = require("./diff");
+
+/**
+ * План установки
+ * @class
+ *
+ * @example
+ * const plan = new InstallPlan(process.cwd());
+ * plan.addCommand("npx husky init");
+ * plan.recordWrite("/project/.husky/pre-commit.js", null, content);
+ * plan.print();
+ */
+class InstallPlan {
+  /**
+   * Создает пустой план
+   * @constructor
+   * @param {string} projectRoot - Корневая директория проекта
+   */
+  constructor(projectRoot) {
+    /** @private */
+    this.projectRoot = projectRoot;
+
+    /** @public */
+    this.dependencies = [];
+
+    /** @public */
+    this.commands = [];
+
+    /** @public */
+    this.files = [];
+
+    /** @public */
+    this.removed = [];
+  }
+
+  /**
+   * Добавляет зависимости, которые будут установлены
+   * @param {string[]} packages - Пакеты в виде name@version
+   */
+  addDependencies(packages) {
+    this.dependencies.push(...packages);
+  }
+
+  /**
+   * Добавляет команду, которая будет выполнена
+   * @param {string} command - Команда
+   * @param {string} [cwd] - Директория запуска
+   */
+  addCommand(command, cwd) {
+    this.commands.push({ command, cwd });
+  }
+
+  /**
+   * Записывает файловую операцию (вместо записи на диск)
+   * @param {string} filePath - Абсолютный путь к файлу
+   * @param {string|null} original - Текущее содержимое на диске (null - файла нет)
+   * @param {string} content - Новое содержимое
+   * @param {Object} [options={}] - Параметры
+   * @param {boolean} [options.showDiff=false] - Показывать diff в плане
+   */
+  recordWrite(filePath, original, content, { showDiff = false } = {}) {
+    const existing = this.files.find((file) => file.path === filePath);
+    if (existing) {
+      // Повторная запись в тот же файл - исходное содержимое не меняется
+      existing.content = content;
+      existing.showDiff = existing.showDiff || showDiff;
+      return;
+    }
+    this.files.push({ path: filePath, original, content, showDiff });
+  }
+
+  /**
+   * Записывает удаление файла или директории
+   * @param {string} targetPath - Абсолютный путь
+   */
+  recordRemove(targetPath) {
+    this.removed.push(targetPath);
+  }
+
+  /**
+   * Возвращает содержимое файла с учетом запланированных записей
+   * @param {string} filePath - Абсолютный путь к файлу
+   * @returns {string|undefined} Содержимое или undefined, если файл не менялся
+   */
+  getContent(filePath) {
+    const file = this.files.find((entry) => entry.path === filePath);
+    return file ? file.content : undefined;
+  }
+
+  /**
+   * Проверяет, будет ли файл записан при установке
+   * @param {string} filePath - Абсолютный путь к файлу
+   * @returns {boolean}
+   */
+  hasFile(filePath) {
+    return this.files.some((file) => file.path === filePath);
+  }
+
+  /**
+   * Выводит план в консоль
+   */
+  print() {
+    const relative = (file) => path.relative(this.projectRoot, file) || file;
+
+    console.log("\n📋 План установки (--dry-run, изменения не применяются)");
+
+    console.log("\n📦 Зависимости:");
+    if (this.dependencies.length === 0) {
+      console.log("   (нет)");
+    }
+    this.dependencies.forEach((dep) => console.log(`   + ${dep}`));
+
+    console.log("\n⚙️  Команды:");
+    if (this.commands.length === 0) {
+      console.log("   (нет)");
+    }
+    this.commands.forEach(({ command, cwd }) => {
+      const where =
+        cwd && cwd !== this.projectRoot ? ` (в ${relative(cwd)})` : "";
+      console.log(`   $ ${command}${where}`);
+    });
+
+    console.log("\n📁 Файлы:");
+    if (this.files.length === 0 && this.removed.length === 0) {
+      console.log("   (нет)");
+    }
+    this.removed.forEach((file) => {
+      console.log(`   - ${relative(file)} (будет удален)`);
+    });
+    this.files.forEach((file) => {
+      let mark = "+";
+      let action = "будет создан";
+      if (file.original === file.content) {
+        mark = "=";
+        action = "без изменений";
+      } else if (file.original !== null) {
+        mark = "~";
+        action = "будет перезаписан";
+      }
+      console.log(`   ${mark} ${relative(file.path)} (${action})`);
+    });
+
+    this.files
+      .filter((file) => file.showDiff && file.original !== file.content)
+      .forEach((file) => {
+        const name = relative(file.path);
+        console.log(`\n📝 ${name}:`);
+        console.log(
+          createUnifiedDiff(file.original || "", file.content, {
+            oldLabel: file.original === null ? "/dev/null" : `a/${name}`,
+            newLabel: `b/${name}`,
+          })
+        );
+      });
+  }
+}
+
+module.exports = InstallPlan;
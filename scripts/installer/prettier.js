@@ -0,0 +1,147 @@
+/**
+ * @file prettier.js
+ * @version 1.0.0
+ * @description Настройка Prettier и его совместимость с ESLint
+ * @module installer/prettier
+ *
+ * @overview
+ * Правила lint-staged запускают prettier --write, поэтому установщик
+ * создает .prettierrc (если в проекте нет своего конфига) и дополняет
+ * .prettierignore каталогами сборки и кэша. Чтобы правила форматирования
+ * ESLint не конфликтовали с Prettier, в конфиг ESLint добавляется
+ * eslint-config-prettier.
+ *
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Файлы конфига Prettier в порядке поиска
+ * @constant
+ * @type {string[]}
+ */
+const CONFIG_FILES = [
+  ".prettierrc",
+  ".prettierrc.json",
+  ".prettierrc.yaml",
+  ".prettierrc.yml",
+  ".prettierrc.json5",
+  ".prettierrc.js",
+  ".prettierrc.cjs",
+  ".prettierrc.mjs",
+  ".prettierrc.ts",
+  ".prettierrc.toml",
+  "prettier.config.js",
+  "prettier.config.cjs",
+  "prettier.config.mjs",
+  "prettier.config.ts",
+];
+
+/**
+ * Файл исключений Prettier
+ * @constant
+ * @type {string}
+ */
+const IGNORE_FILE = ".prettierignore";
+
+/**
+ * Конфиг ESLint, отключающий правила форматирования
+ * @constant
+ * @type {string}
+ */
+const ESLINT_CONFIG = "prettier";
+
+/**
+ * Находит конфиг Prettier в директории
+ * @param {string} dir - Директория проекта
+ * @param {Object} [pkg] - package.json (для поля prettier)
+ * @returns {string|null} Имя файла, "package.json" или null
+ */
+function findConfig(dir, pkg) {
+  const file = CONFIG_FILES.find((name) => fs.existsSync(path.join(dir, name)));
+  if (file) return file;
+  if (pkg && pkg.prettier !== undefined) return "package.json";
+  return null;
+}
+
+/**
+ * Разбирает содержимое .prettierignore
+ * @param {string} content - Содержимое файла
+ * @returns {string[]} Паттерны без комментариев и пустых строк
+ */
+function parseIgnore(content) {
+  return content
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+}
+
+/**
+ * Нормализует паттерн для сравнения (dist, /dist, dist/ - одно и то же)
+ * @param {string} pattern - Паттерн
+ * @returns {string}
+ */
+function normalizePattern(pattern) {
+  return pattern.replace(/^\//, "").replace(/\/$/, "");
+}
+
+/**
+ * Дополняет .prettierignore недостающими паттернами
+ * @param {string|null} content - Текущее содержимое (null - файла нет)
+ * @param {string[]} patterns - Паттерны пресета
+ * @returns {{content: string, added: string[]}}
+ *
+ * @example
+ * mergeIgnore("dist\n", ["dist/", ".next/"]);
+ * // { content: "dist\n\n# unified-husky-config\n.next/\n", added: [".next/"] }
+ */
+function mergeIgnore(content, patterns) {
+  const existing = new Set(parseIgnore(content || "").map(normalizePattern));
+  const added = patterns.filter(
+    (pattern, index) =>
+      !existing.has(normalizePattern(pattern)) &&
+      patterns.indexOf(pattern) === index
+  );
+
+  if (content === null) {
+    return { content: `${added.join("\n")}\n`, added };
+  }
+  if (added.length === 0) {
+    return { content, added };
+  }
+
+  const base =
+    content.endsWith("\n") || content === "" ? content : `${content}\n`;
+  const separator = base === "" ? "" : "\n";
+  return {
+    content: `${base}${separator}# unified-husky-config\n${added.join("\n")}\n`,
+    added,
+  };
+}
+
+/**
+ * Добавляет eslint-config-prettier в конфиг ESLint (.eslintrc)
+ * @param {Object} eslintConfig - Конфиг ESLint пресета
+ * @returns {Object} Новый конфиг; "prettier" - последний в extends,
+ * чтобы отключить правила форматирования из предыдущих конфигов
+ */
+function withEslintConfig(eslintConfig) {
+  const current = eslintConfig.extends;
+  const list = (Array.isArray(current) ? current : [current]).filter(
+    (item) => item && item !== ESLINT_CONFIG
+  );
+
+  return { ...eslintConfig, extends: [...list, ESLINT_CONFIG] };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  IGNORE_FILE,
+  ESLINT_CONFIG,
+  findConfig,
+  mergeIgnore,
+  withEslintConfig,
+};
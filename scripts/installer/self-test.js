@@ -0,0 +1,96 @@
+/**
+ * @file self-test.js
+ * @version 1.0.0
+ * @description Самопроверка установленных хуков
+ * @module installer/self-test
+ *
+ * @overview
+ * Загружает каждый установленный модуль (хуки, проверки, конфиг) в отдельном
+ * процессе Node.js из корня проекта - так же, как их запускает git - и
+ * сообщает об ошибках разрешения модулей. Хуки при require не запускаются
+ * (они выполняются только как главный модуль).
+ *
+ * @requires child_process
+ */
+
+const { spawnSync } = require("child_process");
+
+/**
+ * Таймаут загрузки одного модуля, мс
+ * @constant
+ * @type {number}
+ */
+const LOAD_TIMEOUT = 15000;
+
+/**
+ * Код, выполняемый в дочернем процессе
+ * @constant
+ * @type {string}
+ */
+const LOADER_SOURCE = `
+const [file, kind] = process.argv.slice(1);
+const loaded = require(file);
+if (kind === "config") {
+  const getConfig = typeof loaded === "function" ? loaded : loaded.default;
+  getConfig("common");
+}
+`;
+
+/**
+ * Извлекает понятную причину ошибки из stderr дочернего процесса
+ * @param {string} stderr - Вывод ошибок
+ * @returns {string}
+ */
+function extractReason(stderr) {
+  const missing = stderr.match(/Cannot find module '([^']+)'/);
+  if (missing) {
+    return `не найден модуль ${missing[1]}`;
+  }
+
+  const errorLine = stderr
+    .split("\n")
+    .find((line) => /^\w*Error\b/.test(line.trim()));
+  return (errorLine || stderr.trim().split("\n")[0] || "неизвестная ошибка")
+    .trim()
+    .slice(0, 200);
+}
+
+/**
+ * Загружает модули в дочерних процессах
+ * @param {string} projectRoot - Корень проекта (cwd дочерних процессов)
+ * @param {Array<{file: string, kind: ('hook'|'check'|'config')}>} modules
+ * Абсолютные пути к модулям и их вид
+ * @returns {Array<{file: string, kind: string, ok: boolean, reason?: string}>}
+ *
+ * @example
+ * const results = runSelfTest(process.cwd(), [
+ *   { file: '/project/.husky/pre-commit.js', kind: 'hook' },
+ * ]);
+ * results.filter((r) => !r.ok);
+ */
+function runSelfTest(projectRoot, modules) {
+  return modules.map(({ file, kind }) => {
+    const result = spawnSync(
+      process.execPath,
+      ["-e", LOADER_SOURCE, file, kind],
+      {
+        cwd: projectRoot,
+        encoding: "utf8",
+        timeout: LOAD_TIMEOUT,
+        env: { ...process.env, HUSKY_VERBOSE: "false" },
+      }
+    );
+
+    if (result.error) {
+      return { file, kind, ok: false, reason: result.error.message };
+    }
+    if (result.status !== 0) {
+      return { file, kind, ok: false, reason: extractReason(result.stderr) };
+    }
+    return { file, kind, ok: true };
+  });
+}
+
+module.exports = {
+  runSelfTest,
+};
@@ -0,0 +1,334 @@
+/**
+ * @file semver.js
+ * @version 1.0.0
+ * @description Минимальная реализация semver для проверки диапазонов версий
+ * @module installer/semver
+ *
+ * @overview
+ * Поддерживает диапазоны из package.json: точные версии, ^, ~, >, >=, <, <=,
+ * =, x-диапазоны (1.x, 1.2.*, *), дефисные диапазоны (1.2.3 - 2.0.0)
+ * и объединение через ||. Правила semver для pre-release версий
+ * не учитываются. Значения, не являющиеся диапазонами (workspace:,
+ * file:, git-ссылки, теги вроде latest), считаются неизвестными.
+ *
+ * @example
+ * const semver = require('./semver');
+ * semver.satisfies('14.2.3', '^14.0.0'); // true
+ * semver.minVersion('>=8.57.0 <10'); // '8.57.0'
+ */
+
+/**
+ * Часть версии: число или x/X/* (любое значение)
+ * @constant
+ * @type {string}
+ */
+const PART = "(0|[1-9]\\d*|[xX*])";
+
+/**
+ * Частичная версия: 1, 1.2, 1.2.3, 1.2.3-beta.1 (с необязательным v)
+ * @constant
+ * @type {RegExp}
+ */
+const PARTIAL_RE = new RegExp(
+  `^v?${PART}(?:\\.${PART}(?:\\.${PART}(?:-([0-9A-Za-z.-]+))?)?)?$`
+);
+
+/**
+ * Проверяет, что часть версии - подстановочный знак
+ * @param {string|undefined} part - Часть версии
+ * @returns {boolean}
+ */
+function isWildcard(part) {
+  return part === undefined || /^[xX*]$/.test(part);
+}
+
+/**
+ * Разбирает частичную версию
+ * @param {string} value - Версия (1, 1.2, 1.x, 1.2.3-beta)
+ * @returns {{major: number|null, minor: number|null, patch: number|null, prerelease: string}|null}
+ * null-части означают подстановочный знак
+ */
+function parsePartial(value) {
+  const match = PARTIAL_RE.exec(value.trim());
+  if (!match) return null;
+
+  const [, major, minor, patch, prerelease = ""] = match;
+  const toNumber = (part) => (isWildcard(part) ? null : Number(part));
+
+  const result = {
+    major: toNumber(major),
+    minor: toNumber(minor),
+    patch: toNumber(patch),
+    prerelease,
+  };
+
+  // После подстановочного знака все части - подстановочные (1.x.3 → 1.x.x)
+  if (result.major === null) result.minor = null;
+  if (result.minor === null) result.patch = null;
+
+  return result;
+}
+
+/**
+ * Разбирает полную версию
+ * @param {string} value - Версия (1.2.3, v1.2.3-beta.1)
+ * @returns {{major: number, minor: number, patch: number, prerelease: string}|null}
+ */
+function parseVersion(value) {
+  const version = typeof value === "string" ? parsePartial(value) : null;
+  if (!version || version.patch === null) return null;
+  return version;
+}
+
+/**
+ * Сравнивает две версии
+ * @param {Object} a - Результат parseVersion
+ * @param {Object} b - Результат parseVersion
+ * @returns {number} Отрицательное, 0 или положительное
+ */
+function compare(a, b) {
+  const diff = a.major - b.major || a.minor - b.minor || a.patch - b.patch || 0;
+  if (diff !== 0) return diff;
+
+  // Версия без pre-release старше версии с pre-release
+  if (a.prerelease === b.prerelease) return 0;
+  if (!a.prerelease) return 1;
+  if (!b.prerelease) return -1;
+  return a.prerelease < b.prerelease ? -1 : 1;
+}
+
+/**
+ * Форматирует версию
+ * @param {Object} version - Результат parseVersion
+ * @returns {string}
+ */
+function format(version) {
+  const base = `${version.major}.${version.minor}.${version.patch}`;
+  return version.prerelease ? `${base}-${version.prerelease}` : base;
+}
+
+/**
+ * Создает версию major.minor.patch
+ * @param {number} major
+ * @param {number} minor
+ * @param {number} patch
+ * @param {string} [prerelease=""]
+ * @returns {Object}
+ */
+function version(major, minor, patch, prerelease = "") {
+  return { major, minor, patch, prerelease };
+}
+
+/**
+ * Нижняя граница верхнего предела (1.3.0-0 для "<1.3.0" без pre-release)
+ * @param {number} major
+ * @param {number} minor
+ * @param {number} patch
+ * @returns {Object}
+ */
+function upper(major, minor, patch) {
+  return version(major, minor, patch, "0");
+}
+
+/**
+ * Преобразует один компаратор в простые ограничения {op, version}
+ * @param {string} operator - ^, ~, >, >=, <, <=, = или ""
+ * @param {Object} partial - Результат parsePartial
+ * @returns {Array<{op: string, version: Object}>}
+ */
+function desugar(operator, partial) {
+  const { major, minor, patch, prerelease } = partial;
+  const lower = version(major || 0, minor || 0, patch || 0, prerelease);
+
+  if (major === null) {
+    // *, x, >=x - любая версия; <x, >x - ни одной
+    return ["<", ">"].includes(operator)
+      ? [{ op: "<", version: version(0, 0, 0, "0") }]
+      : [];
+  }
+
+  switch (operator) {
+    case "^": {
+      let limit;
+      if (major > 0 || minor === null) limit = upper(major + 1, 0, 0);
+      else if (minor > 0 || patch === null) limit = upper(0, minor + 1, 0);
+      else limit = upper(0, 0, patch + 1);
+      return [
+        { op: ">=", version: lower },
+        { op: "<", version: limit },
+      ];
+    }
+    case "~":
+      return [
+        { op: ">=", version: lower },
+        {
+          op: "<",
+          version:
+            minor === null
+              ? upper(major + 1, 0, 0)
+              : upper(major, minor + 1, 0),
+        },
+      ];
+    case ">":
+      if (minor === null) {
+        return [{ op: ">=", version: version(major + 1, 0, 0) }];
+      }
+      if (patch === null) {
+        return [{ op: ">=", version: version(major, minor + 1, 0) }];
+      }
+      return [{ op: ">", version: lower }];
+    case ">=":
+      return [{ op: ">=", version: lower }];
+    case "<":
+      return [
+        {
+          op: "<",
+          version: patch === null ? upper(major, minor || 0, 0) : lower,
+        },
+      ];
+    case "<=":
+      if (minor === null) {
+        return [{ op: "<", version: upper(major + 1, 0, 0) }];
+      }
+      if (patch === null) {
+        return [{ op: "<", version: upper(major, minor + 1, 0) }];
+      }
+      return [{ op: "<=", version: lower }];
+    default:
+      // Точная или частичная версия (1.2 → >=1.2.0 <1.3.0-0)
+      if (minor === null) {
+        return [
+          { op: ">=", version: lower },
+          { op: "<", version: upper(major + 1, 0, 0) },
+        ];
+      }
+      if (patch === null) {
+        return [
+          { op: ">=", version: lower },
+          { op: "<", version: upper(major, minor + 1, 0) },
+        ];
+      }
+      return [{ op: "=", version: lower }];
+  }
+}
+
+/**
+ * Разбирает диапазон версий
+ * @param {string} range - Диапазон из package.json
+ * @returns {Array<Array<{op: string, version: Object}>>|null}
+ * Наборы ограничений (объединенные через ||) или null, если это не диапазон
+ *
+ * @example
+ * parseRange('^14.0.0 || 15'); // [[>=14.0.0, <15.0.0-0], [>=15.0.0, <16.0.0-0]]
+ * parseRange('workspace:*'); // null
+ */
+function parseRange(range) {
+  if (typeof range !== "string") return null;
+
+  const sets = range.split("||").map((set) => set.trim());
+  const result = [];
+
+  for (const set of sets) {
+    if (set === "" || set === "*" || set === "x" || set === "X") {
+      result.push([]);
+      continue;
+    }
+
+    // Дефисный диапазон: 1.2.3 - 2.3.4
+    const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(set);
+    if (hyphen) {
+      const from = parsePartial(hyphen[1]);
+      const to = parsePartial(hyphen[2]);
+      if (!from || !to) return null;
+      result.push([...desugar(">=", from), ...desugar("<=", to)]);
+      continue;
+    }
+
+    const comparators = set.replace(/([<>=^~]+)\s+/g, "$1").split(/\s+/);
+    const constraints = [];
+    for (const comparator of comparators) {
+      const match = /^(\^|~>?|>=|<=|>|<|=)?(.+)$/.exec(comparator);
+      const partial = match && parsePartial(match[2]);
+      if (!partial) return null;
+      const operator = (match[1] || "").replace("~>", "~");
+      constraints.push(...desugar(operator, partial));
+    }
+    result.push(constraints);
+  }
+
+  return result;
+}
+
+/**
+ * Проверяет ограничение
+ * @param {Object} target - Версия
+ * @param {{op: string, version: Object}} constraint - Ограничение
+ * @returns {boolean}
+ */
+function test(target, { op, version: bound }) {
+  const diff = compare(target, bound);
+  switch (op) {
+    case ">":
+      return diff > 0;
+    case ">=":
+      return diff >= 0;
+    case "<":
+      return diff < 0;
+    case "<=":
+      return diff <= 0;
+    default:
+      return diff === 0;
+  }
+}
+
+/**
+ * Проверяет, удовлетворяет ли версия диапазону
+ * @param {string} value - Версия
+ * @param {string} range - Диапазон
+ * @returns {boolean|null} null, если версию или диапазон не удалось разобрать
+ */
+function satisfies(value, range) {
+  const target = parseVersion(value);
+  const sets = parseRange(range);
+  if (!target || !sets) return null;
+
+  return sets.some((set) =>
+    set.every((constraint) => test(target, constraint))
+  );
+}
+
+/**
+ * Находит минимальную версию, удовлетворяющую диапазону
+ * @param {string} range - Диапазон
+ * @returns {string|null} Версия или null (диапазон пуст или не разобран)
+ */
+function minVersion(range) {
+  const sets = parseRange(range);
+  if (!sets) return null;
+
+  const candidates = sets
+    .map((set) => {
+      let lowest = version(0, 0, 0);
+      set.forEach(({ op, version: bound }) => {
+        const candidate =
+          op === ">"
+            ? version(bound.major, bound.minor, bound.patch + 1)
+            : [">=", "="].includes(op) && bound;
+        if (candidate && compare(candidate, lowest) > 0) lowest = candidate;
+      });
+      return set.every((constraint) => test(lowest, constraint))
+        ? lowest
+        : null;
+    })
+    .filter(Boolean)
+    .sort(compare);
+
+  return candidates.length > 0 ? format(candidates[0]) : null;
+}
+
+module.exports = {
+  parseVersion,
+  parseRange,
+  satisfies,
+  minVersion,
+};
@@ -0,0 +1,203 @@
+/**
+ * @file transaction.js
+ * @version 1.0.0
+ * @description Откат незавершенной установки
+ * @module installer/transaction
+ *
+ * @overview
+ * Перед установкой запоминает содержимое файлов, которые установщик может
+ * изменить (package.json, lock-файлы, .husky/ и т.д.), и core.hooksPath.
+ * Если установка прервалась ошибкой, rollback возвращает их в исходное
+ * состояние: восстанавливает измененные файлы, удаляет созданные файлы
+ * и директории. В отличие от манифеста, снимок хранится только в памяти
+ * и используется только до конца текущего запуска.
+ *
+ * @requires fs
+ * @requires path
+ * @requires ./manifest
+ * @requires ./husky
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { walk } = require("./manifest");
+const { readHooksPath, writeHooksPath } = require("./husky");
+
+/**
+ * Проверяет, лежит ли путь внутри директории
+ * @param {string} target - Абсолютный путь
+ * @param {string} dir - Абсолютный путь к директории
+ * @returns {boolean}
+ */
+function isInside(target, dir) {
+  return target.startsWith(`${dir}${path.sep}`);
+}
+
+/**
+ * Транзакция установки
+ * @class
+ *
+ * @example
+ * const transaction = new InstallTransaction(projectRoot);
+ * transaction.begin({ files: ["package.json"], dirs: [".husky"] });
+ * try {
+ *   // ... установка ...
+ * } catch (error) {
+ *   const report = transaction.rollback();
+ * }
+ */
+class InstallTransaction {
+  /**
+   * @constructor
+   * @param {string} projectRoot - Корневая директория проекта
+   */
+  constructor(projectRoot) {
+    /** @private */
+    this.projectRoot = projectRoot;
+
+    /**
+     * Исходное содержимое файлов (null - файла не было)
+     * @private
+     * @type {Map<string, Buffer|null>}
+     */
+    this.snapshots = new Map();
+
+    /**
+     * Отслеживаемые директории и существовавшие в них поддиректории
+     * (null - директории не было) и файлы
+     * @private
+     * @type {Map<string, {dirs: Set<string>|null, files: Set<string>}>}
+     */
+    this.dirs = new Map();
+
+    /** @private */
+    this.hooksPathBefore = null;
+  }
+
+  /**
+   * Делает снимок состояния перед установкой
+   * @param {Object} params - Что отслеживать
+   * @param {string[]} [params.files=[]] - Файлы (абсолютные или относительно проекта)
+   * @param {string[]} [params.dirs=[]] - Директории, отслеживаемые целиком
+   */
+  begin({ files = [], dirs = [] }) {
+    files.forEach((file) => this.track(path.resolve(this.projectRoot, file)));
+
+    dirs.forEach((dir) => {
+      const dirPath = path.resolve(this.projectRoot, dir);
+      const existing = walk(dirPath);
+      existing.files.forEach((file) => this.track(file));
+      this.dirs.set(dirPath, {
+        dirs: fs.existsSync(dirPath)
+          ? new Set([dirPath, ...existing.dirs])
+          : null,
+        files: new Set(existing.files),
+      });
+    });
+
+    this.hooksPathBefore = readHooksPath(this.projectRoot);
+  }
+
+  /**
+   * Запоминает исходное содержимое файла перед первой записью
+   * @param {string} filePath - Абсолютный путь к файлу
+   */
+  track(filePath) {
+    if (this.snapshots.has(filePath)) return;
+    this.snapshots.set(
+      filePath,
+      fs.existsSync(filePath) ? fs.readFileSync(filePath) : null
+    );
+  }
+
+  /**
+   * Преобразует абсолютный путь в относительный для отчета
+   * @private
+   * @param {string} filePath - Абсолютный путь
+   * @returns {string}
+   */
+  relative(filePath) {
+    return path.relative(this.projectRoot, filePath).split(path.sep).join("/");
+  }
+
+  /**
+   * Возвращает отслеживаемые файлы и директории в исходное состояние
+   * @returns {{restored: string[], removed: string[], failed: string[]}}
+   * Восстановленные, удаленные и те, что не удалось откатить
+   */
+  rollback() {
+    const report = { restored: [], removed: [], failed: [] };
+
+    const attempt = (name, action) => {
+      try {
+        action();
+      } catch (error) {
+        report.failed.push(`${name} (${error.message})`);
+      }
+    };
+
+    // 1. Созданные директории удаляются целиком (в отчете - только верхние)
+    const createdDirs = [];
+    this.dirs.forEach(({ dirs: before }, dirPath) => {
+      if (!fs.existsSync(dirPath)) return;
+      [dirPath, ...walk(dirPath).dirs]
+        .filter((dir) => !before || !before.has(dir))
+        .forEach((dir) => {
+          if (!createdDirs.some((parent) => isInside(dir, parent))) {
+            createdDirs.push(dir);
+          }
+        });
+    });
+
+    createdDirs.forEach((dir) => {
+      attempt(`${this.relative(dir)}/`, () => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        report.removed.push(`${this.relative(dir)}/`);
+      });
+    });
+
+    // 2. Новые файлы в остальных отслеживаемых директориях: файлы,
+    // которых не было в begin(), удаляются
+    this.dirs.forEach(({ files: before }, dirPath) => {
+      walk(dirPath)
+        .files.filter((file) => !before.has(file))
+        .forEach((file) => this.snapshots.set(file, null));
+    });
+
+    // 3. Файлы: восстанавливаем измененные, удаляем созданные
+    this.snapshots.forEach((previous, filePath) => {
+      const name = this.relative(filePath);
+      const exists = fs.existsSync(filePath);
+
+      if (previous === null) {
+        if (!exists) return;
+        attempt(name, () => {
+          fs.unlinkSync(filePath);
+          report.removed.push(name);
+        });
+        return;
+      }
+
+      if (exists && fs.readFileSync(filePath).equals(previous)) return;
+
+      attempt(name, () => {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, previous);
+        report.restored.push(name);
+      });
+    });
+
+    // 4. core.hooksPath
+    if (readHooksPath(this.projectRoot) !== this.hooksPathBefore) {
+      attempt("git config core.hooksPath", () => {
+        writeHooksPath(this.projectRoot, this.hooksPathBefore);
+        report.restored.push("git config core.hooksPath");
+      });
+    }
+
+    return report;
+  }
+}
+
+module.exports = InstallTransaction;
+module.exports.InstallTransaction = InstallTransaction;
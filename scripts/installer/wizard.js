@@ -0,0 +1,361 @@
+/**
+ * @file wizard.js
+ * @version 1.0.0
+ * @description Интерактивная настройка при установке
+ * @module installer/wizard
+ *
+ * @overview
+ * Задает вопросы в терминале и формирует пользовательский конфиг проекта
+ * (.huskyrc.json): тип проекта, проверки pre-commit и pre-push и их флаг
+ * critical, типы и области коммитов, таймауты. Скопированные в .husky
+ * конфиги по умолчанию не изменяются - hooks-config.js объединяет
+ * с ними пользовательский конфиг.
+ *
+ * @requires readline
+ * @requires ../../configs/hooks-config
+ */
+
+const readline = require("readline");
+const {
+  utils: { mergeChecks },
+} = require("../../configs/hooks-config");
+
+/**
+ * Типы проектов, которые можно выбрать
+ * @constant
+ * @type {string[]}
+ */
+const PROJECT_TYPES = ["nextjs", "vite", "react", "common"];
+
+/**
+ * Типы коммитов по умолчанию (Conventional Commits)
+ * @constant
+ * @type {string[]}
+ */
+const DEFAULT_COMMIT_TYPES = [
+  "feat",
+  "fix",
+  "docs",
+  "style",
+  "refactor",
+  "test",
+  "chore",
+  "perf",
+  "build",
+  "ci",
+  "revert",
+];
+
+/**
+ * Проверяет, можно ли задавать вопросы
+ * @param {Object} [options={}] - Параметры установки
+ * @param {boolean} [options.yes] - Флаг --yes
+ * @returns {boolean}
+ */
+function isInteractive(options = {}) {
+  return !options.yes && Boolean(process.stdin.isTTY && process.stdout.isTTY);
+}
+
+/**
+ * Разбирает список через запятую
+ * @param {string} value - Ввод пользователя
+ * @returns {string[]}
+ */
+function parseList(value) {
+  return value
+    .split(/[,\s]+/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Строит паттерн сообщения коммита для списка типов
+ * @param {string[]} types - Типы коммитов
+ * @returns {string} Паттерн в виде строки (см. parsePattern в commit-msg.js)
+ *
+ * @example
+ * buildCommitPattern(['feat', 'fix']); // "^(feat|fix)(\\(.+\\))?: .+"
+ */
+function buildCommitPattern(types) {
+  return `^(${types.join("|")})(\\(.+\\))?: .+`;
+}
+
+/**
+ * Объединяет ответы мастера с существующим пользовательским конфигом
+ * @param {Object} existing - Текущее содержимое .huskyrc.json
+ * @param {Object} answers - Результат runWizard
+ * @returns {Object} Новое содержимое .huskyrc.json
+ *
+ * @description
+ * Ключи, о которых мастер не спрашивал, сохраняются как есть.
+ * Проверки объединяются по имени, чтобы не потерять их options.
+ */
+function mergeUserConfig(existing, answers) {
+  const result = { ...existing, projectType: answers.projectType };
+
+  ["preCommit", "prePush", "commitMsg"].forEach((section) => {
+    if (!answers[section]) return;
+
+    const { checks, ...rest } = answers[section];
+    result[section] = { ...existing[section], ...rest };
+
+    if (checks) {
+      result[section].checks = mergeChecks(existing[section]?.checks, checks);
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Обертка над readline с вопросами разных типов
+ * @class
+ * @private
+ */
+class Prompter {
+  /**
+   * @constructor
+   * @param {NodeJS.ReadableStream} input - Поток ввода
+   * @param {NodeJS.WritableStream} output - Поток вывода
+   */
+  constructor(input, output) {
+    /** @private */
+    this.output = output;
+
+    /** @private */
+    this.rl = readline.createInterface({ input, output, terminal: false });
+
+    /**
+     * Строки, введенные до вопроса (перенаправленный ввод читается сразу)
+     * @private
+     */
+    this.lines = [];
+
+    /** @private */
+    this.pending = null;
+
+    /** @private */
+    this.closed = false;
+
+    this.rl.on("line", (line) => {
+      if (this.pending) {
+        const resolve = this.pending;
+        this.pending = null;
+        resolve(line);
+      } else {
+        this.lines.push(line);
+      }
+    });
+
+    // Конец ввода (Ctrl+D) - дальше используются значения по умолчанию
+    this.rl.on("close", () => {
+      this.closed = true;
+      if (this.pending) {
+        this.pending("");
+        this.pending = null;
+      }
+    });
+  }
+
+  /**
+   * Задает вопрос
+   * @param {string} question - Текст вопроса
+   * @param {string} [defaultValue=""] - Значение по умолчанию (при пустом ответе)
+   * @returns {Promise<string>}
+   */
+  async ask(question, defaultValue = "") {
+    const hint = defaultValue ? ` [${defaultValue}]` : "";
+    this.output.write(`${question}${hint}: `);
+
+    let answer = "";
+    if (this.lines.length > 0) {
+      answer = this.lines.shift();
+    } else if (!this.closed) {
+      answer = await new Promise((resolve) => {
+        this.pending = resolve;
+      });
+    }
+
+    return answer.trim() || defaultValue;
+  }
+
+  /**
+   * Задает вопрос да/нет
+   * @param {string} question - Текст вопроса
+   * @param {boolean} defaultValue - Ответ по умолчанию
+   * @returns {Promise<boolean>}
+   */
+  async confirm(question, defaultValue) {
+    const answer = await this.ask(
+      `${question} (${defaultValue ? "Y/n" : "y/N"})`
+    );
+    if (!answer) return defaultValue;
+    return /^(y|yes|д|да)$/i.test(answer);
+  }
+
+  /**
+   * Предлагает выбор из списка (повторяет вопрос при неверном ответе)
+   * @param {string} question - Текст вопроса
+   * @param {string[]} choices - Варианты
+   * @param {string} defaultValue - Вариант по умолчанию
+   * @returns {Promise<string>}
+   */
+  async choose(question, choices, defaultValue) {
+    while (true) {
+      const answer = await this.ask(
+        `${question} (${choices.join("/")})`,
+        defaultValue
+      );
+      if (choices.includes(answer)) return answer;
+      console.log(`   Выберите один из вариантов: ${choices.join(", ")}`);
+    }
+  }
+
+  /**
+   * Запрашивает положительное целое число
+   * @param {string} question - Текст вопроса
+   * @param {number} defaultValue - Значение по умолчанию
+   * @returns {Promise<number>}
+   */
+  async number(question, defaultValue) {
+    while (true) {
+      const answer = await this.ask(question, String(defaultValue));
+      const value = Number(answer);
+      if (Number.isInteger(value) && value > 0) return value;
+      console.log("   Введите положительное целое число");
+    }
+  }
+
+  /**
+   * Закрывает readline
+   */
+  close() {
+    this.rl.close();
+  }
+}
+
+/**
+ * Задает вопросы о проверках хука
+ * @param {Prompter} prompter - Экземпляр Prompter
+ * @param {string} title - Название хука
+ * @param {Array<Object>} checks - Проверки из итогового конфига
+ * @returns {Promise<Array<{name: string, enabled: boolean, critical: boolean}>>}
+ */
+async function askChecks(prompter, title, checks) {
+  console.log(`\n🔍 Проверки ${title}:`);
+
+  const result = [];
+  for (const check of checks) {
+    const enabled = await prompter.confirm(
+      `   ${check.name}: включить?`,
+      check.enabled !== false
+    );
+    const critical = enabled
+      ? await prompter.confirm(
+          `   ${check.name}: критическая (отменяет операцию)?`,
+          Boolean(check.critical)
+        )
+      : Boolean(check.critical);
+    result.push({ name: check.name, enabled, critical });
+  }
+  return result;
+}
+
+/**
+ * Запускает интерактивную настройку
+ * @async
+ * @param {Object} params - Параметры
+ * @param {string} params.projectType - Определенный тип проекта
+ * @param {Function} params.resolveConfig - (projectType) => итоговый конфиг
+ * с учетом текущего .huskyrc.json (значения по умолчанию для вопросов)
+ * @param {NodeJS.ReadableStream} [params.input=process.stdin] - Поток ввода
+ * @param {NodeJS.WritableStream} [params.output=process.stdout] - Поток вывода
+ * @returns {Promise<Object>} Ответы в формате пользовательского конфига
+ *
+ * @example
+ * const answers = await runWizard({
+ *   projectType: 'vite',
+ *   resolveConfig: (type) => getConfig(type, userConfig),
+ * });
+ */
+async function runWizard({
+  projectType,
+  resolveConfig,
+  input = process.stdin,
+  output = process.stdout,
+}) {
+  const prompter = new Prompter(input, output);
+
+  try {
+    console.log("\n🧙 Настройка хуков (Enter - значение по умолчанию)\n");
+
+    const selectedType = await prompter.choose(
+      "🎯 Тип проекта",
+      PROJECT_TYPES,
+      PROJECT_TYPES.includes(projectType) ? projectType : "common"
+    );
+    const config = resolveConfig(selectedType);
+
+    const preCommitChecks = await askChecks(
+      prompter,
+      "pre-commit",
+      config.preCommit.checks || []
+    );
+    const prePushChecks = await askChecks(
+      prompter,
+      "pre-push",
+      config.prePush.checks || []
+    );
+
+    console.log("\n📝 Сообщения коммитов:");
+    const types = parseList(
+      await prompter.ask(
+        "   Типы коммитов через запятую",
+        (config.commitMsg.types || DEFAULT_COMMIT_TYPES).join(", ")
+      )
+    );
+    const scopesAnswer = await prompter.ask(
+      "   Области (scope) через запятую, '-' - любые",
+      (config.commitMsg.scopes || []).join(", ") || "-"
+    );
+    const scopes = scopesAnswer === "-" ? [] : parseList(scopesAnswer);
+    const requireScope = await prompter.confirm(
+      "   Требовать область (scope)?",
+      Boolean(config.commitMsg.requireScope)
+    );
+
+    console.log("\n⏱️  Таймауты:");
+    const preCommitTimeout = await prompter.number(
+      "   pre-commit, мс",
+      config.preCommit.timeout || 10000
+    );
+    const prePushTimeout = await prompter.number(
+      "   pre-push, мс",
+      config.prePush.timeout || 120000
+    );
+
+    return {
+      projectType: selectedType,
+      preCommit: { timeout: preCommitTimeout, checks: preCommitChecks },
+      prePush: { timeout: prePushTimeout, checks: prePushChecks },
+      // Списки из ответов заменяют унаследованные от пресетов и шаблона
+      // (обычные массивы объединились бы с ними, см. deepMerge)
+      commitMsg: {
+        types: { $replace: types },
+        scopes: { $replace: scopes },
+        requireScope,
+        pattern: buildCommitPattern(types),
+      },
+    };
+  } finally {
+    prompter.close();
+  }
+}
+
+module.exports = {
+  PROJECT_TYPES,
+  isInteractive,
+  buildCommitPattern,
+  mergeUserConfig,
+  runWizard,
+};
@@ -0,0 +1,114 @@
+/**
+ * @file branches.js
+ * @version 1.0.0
+ * @description Сопоставление веток с glob-паттернами и политики веток
+ * @module branches
+ *
+ * @overview
+ * Секция branches конфига сопоставляет glob-паттерны веток
+ * с переопределениями настроек хуков:
+ *
+ *   branches: {
+ *     "release/*": { prePush: { checks: [{ name: "test", enabled: true, critical: true }] } },
+ *     "feature/*": { prePush: { checks: [{ name: "build", critical: false }] } },
+ *     main: { prePush: { block: "Push в main только через pull request" } },
+ *   }
+ *
+ * В паттернах `*` - любые символы, кроме `/`, `**` - любые символы,
+ * `?` - один символ, кроме `/`. Если ветке соответствуют несколько
+ * паттернов, переопределения применяются в порядке объявления.
+ *
+ * @example
+ * const branches = require('./branches');
+ * branches.matchBranch('release/1.2', 'release/*'); // true
+ *
+ * @requires child_process
+ */
+
+const { execSync } = require("child_process");
+
+/**
+ * Преобразует glob-паттерн ветки в RegExp
+ * @param {string} pattern - Паттерн ("release/*", "hotfix/**", "main")
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split(/(\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "**") return ".*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Проверяет, соответствует ли ветка паттерну
+ * @param {string} branch - Имя ветки
+ * @param {string} pattern - Glob-паттерн
+ * @returns {boolean}
+ *
+ * @example
+ * matchBranch('release/1.2', 'release/*'); // true
+ * matchBranch('release/1.2/hotfix', 'release/*'); // false
+ */
+function matchBranch(branch, pattern) {
+  return Boolean(branch) && globToRegExp(pattern).test(branch);
+}
+
+/**
+ * Проверяет, соответствует ли ветка хотя бы одному паттерну
+ * @param {string} branch - Имя ветки
+ * @param {string[]} [patterns=[]] - Glob-паттерны
+ * @returns {boolean}
+ */
+function matchesAny(branch, patterns = []) {
+  return patterns.some((pattern) => matchBranch(branch, pattern));
+}
+
+/**
+ * Возвращает текущую ветку
+ * @param {string} [cwd=process.cwd()] - Директория репозитория
+ * @returns {string} Имя ветки или пустая строка (detached HEAD, нет git)
+ */
+function getCurrentBranch(cwd = process.cwd()) {
+  try {
+    return execSync("git branch --show-current", {
+      cwd,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    }).trim();
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Находит политики, которые применяются к ветке
+ * @param {Object<string, Object>} [policies={}] - Секция branches конфига
+ * @param {string} branch - Имя ветки
+ * @returns {Array<{pattern: string, overrides: Object}>} Политики
+ * в порядке объявления
+ *
+ * @example
+ * resolveBranchPolicies({ 'feature/*': { prePush: { enabled: false } } }, 'feature/login');
+ * // [{ pattern: 'feature/*', overrides: { prePush: { enabled: false } } }]
+ */
+function resolveBranchPolicies(policies = {}, branch) {
+  if (!branch) return [];
+
+  return Object.entries(policies)
+    .filter(([pattern]) => matchBranch(branch, pattern))
+    .map(([pattern, overrides]) => ({ pattern, overrides: overrides || {} }));
+}
+
+module.exports = {
+  globToRegExp,
+  matchBranch,
+  matchesAny,
+  getCurrentBranch,
+  resolveBranchPolicies,
+};
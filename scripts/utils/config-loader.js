@@ -16,11 +16,167 @@
  * @requires fs
  * @requires path
  * @requires ./logger
+ * @requires ./workspaces
+ * @requires ./config-schema
  */
 
 const fs = require("fs");
 const path = require("path");
 const logger = require("./logger");
+const workspaces = require("./workspaces");
+const branches = require("./branches");
+const environments = require("./environments");
+const yaml = require("./yaml");
+const { validateConfig, formatIssue } = require("./config-schema");
+
+/**
+ * Пользовательский конфиг проекта (создается мастером установки)
+ * @constant
+ * @type {string}
+ */
+const USER_CONFIG_FILE = ".huskyrc.json";
+
+/**
+ * Файлы пользовательского конфига в порядке поиска (используется первый
+ * найденный, затем ключ "husky" в package.json)
+ * @constant
+ * @type {string[]}
+ */
+const USER_CONFIG_FILES = [
+  "husky.config.js",
+  "husky.config.mjs",
+  "husky.config.cjs",
+  ".huskyrc",
+  USER_CONFIG_FILE,
+  ".huskyrc.yaml",
+  ".huskyrc.yml",
+];
+
+/**
+ * Ключ package.json с пользовательским конфигом
+ * @constant
+ * @type {string}
+ */
+const PACKAGE_JSON_FIELD = "husky";
+
+/**
+ * Находит пользовательский конфиг проекта
+ * @param {string} projectRoot - Корень проекта
+ * @param {Object} [fsApi] - Чтение файлов (установщик передает
+ * функции, учитывающие план --dry-run)
+ * @param {function(string): boolean} [fsApi.exists]
+ * @param {function(string): string} [fsApi.readFile]
+ * @returns {{file: string, path: string, field: (string|undefined)}|null}
+ * file - имя для сообщений (husky.config.js, package.json#husky)
+ *
+ * @description
+ * Ключ "husky" в package.json с одной секцией hooks - конфиг Husky v4,
+ * он не считается пользовательским конфигом.
+ *
+ * @example
+ * findUserConfig(process.cwd()); // { file: '.huskyrc.json', path: '/app/.huskyrc.json' }
+ */
+function findUserConfig(
+  projectRoot,
+  {
+    exists = fs.existsSync,
+    readFile = (file) => fs.readFileSync(file, "utf8"),
+  } = {}
+) {
+  const file = USER_CONFIG_FILES.find((name) =>
+    exists(path.join(projectRoot, name))
+  );
+  if (file) {
+    return { file, path: path.join(projectRoot, file) };
+  }
+
+  const pkgPath = path.join(projectRoot, "package.json");
+  if (!exists(pkgPath)) return null;
+
+  let value;
+  try {
+    value = JSON.parse(readFile(pkgPath))[PACKAGE_JSON_FIELD];
+  } catch {
+    return null;
+  }
+
+  const isLegacy = value && Object.keys(value).length === 1 && "hooks" in value;
+  if (!value || typeof value !== "object" || isLegacy) return null;
+
+  return {
+    file: `package.json#${PACKAGE_JSON_FIELD}`,
+    path: pkgPath,
+    field: PACKAGE_JSON_FIELD,
+  };
+}
+
+/**
+ * Определяет формат файла пользовательского конфига
+ * @param {string} file - Путь к файлу
+ * @param {string} [content] - Содержимое (для .huskyrc без расширения)
+ * @returns {('js'|'json'|'yaml')} Формат
+ */
+function getUserConfigFormat(file, content = "") {
+  if (/\.[cm]?js$/.test(file)) return "js";
+  if (/\.ya?ml$/.test(file)) return "yaml";
+  if (/\.json$/.test(file)) return "json";
+  // .huskyrc: JSON или YAML
+  return content.trim().startsWith("{") ? "json" : "yaml";
+}
+
+/**
+ * Читает найденный пользовательский конфиг
+ * @param {{path: string, field: (string|undefined)}} source - Результат findUserConfig
+ * @param {function(string): string} [readFile] - Чтение файла
+ * @returns {Object} Пользовательский конфиг
+ * @throws {Error} Если файл не читается или экспортирует не объект
+ *
+ * @description
+ * JS-конфиги могут экспортировать объект или функцию, возвращающую объект.
+ * husky.config.mjs загружается через require (Node.js 20.19+, без
+ * top-level await). .huskyrc может быть в JSON или YAML, паттерны
+ * в JSON и YAML задаются строками, { regex, flags } или списками glob
+ * (см. patterns.js).
+ */
+function readUserConfig(
+  source,
+  readFile = (file) => fs.readFileSync(file, "utf8")
+) {
+  let config;
+
+  if (source.field) {
+    config = JSON.parse(readFile(source.path))[source.field];
+  } else if (getUserConfigFormat(source.path) === "js") {
+    delete require.cache[require.resolve(source.path)];
+    try {
+      const loaded = require(source.path);
+      // ES-модуль (.mjs или "type": "module"): конфиг в export default
+      config =
+        loaded && loaded[Symbol.toStringTag] === "Module"
+          ? loaded.default
+          : loaded;
+    } catch (error) {
+      if (/^ERR_REQUIRE_(ESM|ASYNC_MODULE)$/.test(error.code)) {
+        throw new Error(
+          "ES-модуль не загружается синхронно (нужен Node.js 20.19+ и конфиг без top-level await)"
+        );
+      }
+      throw error;
+    }
+    if (typeof config === "function") config = config();
+  } else {
+    const content = readFile(source.path);
+    config =
+      getUserConfigFormat(source.path, content) === "yaml"
+        ? yaml.parse(content)
+        : JSON.parse(content);
+  }
+
+  if (!config || typeof config !== "object" || Array.isArray(config)) {
+    throw new Error("конфиг должен быть объектом");
+  }
+  return config;
+}
 
 /**
  * Класс для загрузки и управления конфигурацией Husky
@@ -35,71 +191,36 @@ class ConfigLoader {
     /** @private */
     this.config = null;
 
-    /** @private */
-    this.projectRoot = process.cwd();
+    /**
+     * Корень проекта: хуки передают директорию, в которой лежит .husky
+     * (может не совпадать с корнем git репозитория)
+     * @private
+     */
+    this.projectRoot = process.env.HUSKY_PROJECT_ROOT || process.cwd();
 
     /** @private */
     this.configPath = null;
 
     /** @private */
     this.isConfigLoaded = false;
+
+    /**
+     * Загруженный пользовательский конфиг (husky.config.js, .huskyrc.json,
+     * package.json#husky) или null
+     * @private
+     */
+    this.userConfigFile = null;
   }
 
   /**
    * Определяет тип проекта на основе конфигурационных файлов и зависимостей
    * @method
    * @private
-   * @returns {('nextjs'|'vite'|'common')} Тип проекта
+   * @returns {('nextjs'|'vite'|'react'|'common')} Тип проекта
+   * @see module:workspaces.detectProjectType
    */
   detectProjectType() {
-    const files = fs.readdirSync(this.projectRoot);
-
-    // Проверка конфигурационных файлов
-    if (files.some((f) => /^next\.config\.(js|ts|mjs|cjs)$/.test(f))) {
-      return "nextjs";
-    }
-    if (files.some((f) => /^vite\.config\.(js|ts|mjs|cjs)$/.test(f))) {
-      return "vite";
-    }
-    // if (files.some((f) => /^angular\.json$/.test(f))) {
-    //   return "angular";
-    // }
-    // if (files.some((f) => /^nuxt\.config\.(js|ts)$/.test(f))) {
-    //   return "nuxt";
-    // }
-
-    // Проверка зависимостей в package.json
-    try {
-      const pkgPath = path.join(this.projectRoot, "package.json");
-      if (fs.existsSync(pkgPath)) {
-        const pkg = JSON.parse(fs.readFileSync(pkgPath, "utf8"));
-        const allDeps = {
-          ...pkg.dependencies,
-          ...pkg.devDependencies,
-          ...pkg.peerDependencies,
-        };
-
-        if (allDeps.next || allDeps["nextjs"]) {
-          return "nextjs";
-        }
-        if (allDeps.vite) {
-          return "vite";
-        }
-        // if (allDeps["@angular/core"]) {
-        //   return "angular";
-        // }
-        // if (allDeps.nuxt || allDeps["nuxt3"]) {
-        //   return "nuxt";
-        // }
-        if (allDeps.react && !allDeps.next) {
-          return "react";
-        }
-      }
-    } catch (error) {
-      logger.debug(`Не удалось прочитать package.json: ${error.message}`);
-    }
-
-    return "common";
+    return workspaces.detectProjectType(this.projectRoot);
   }
 
   /**
@@ -134,14 +255,51 @@ class ConfigLoader {
     return null;
   }
 
+  /**
+   * Загружает пользовательский конфиг проекта
+   * @method
+   * @private
+   * @returns {Object} Пользовательский конфиг или пустой объект, если
+   * конфига нет
+   * @throws {Error} Если конфиг есть, но не читается - хук не должен
+   * молча работать без настроек проекта
+   * @see findUserConfig
+   */
+  loadUserConfig() {
+    const source = findUserConfig(this.projectRoot);
+    if (!source) {
+      return {};
+    }
+
+    let userConfig;
+    try {
+      userConfig = readUserConfig(source);
+    } catch (error) {
+      throw new Error(`Не удалось прочитать ${source.file}: ${error.message}`);
+    }
+
+    this.userConfigFile = source.file;
+    logger.info(`📄 Пользовательский конфиг: ${source.file}`);
+    return userConfig;
+  }
+
   /**
    * Загружает конфигурацию с fallback на дефолтные значения
    * @method
    * @private
    * @param {string} projectType - Тип проекта
+   * @param {Object} [userConfig={}] - Пользовательский конфиг проекта
+   * @param {Object} [options={}] - Опции getConfig (branch, ...)
    * @returns {Object} Конфигурация
+   * @throws {Error} Если конфигурация некорректна (пресеты, HUSKY_ENV,
+   * переменные HUSKY__*, HUSKY_SKIP) - дефолтные настройки в этом случае
+   * не используются, чтобы не потерять пользовательский конфиг
+   *
+   * @description
+   * Дефолтные настройки используются, только если сам hooks-config.js
+   * не найден или не загружается.
    */
-  loadConfigWithFallback(projectType) {
+  loadConfigWithFallback(projectType, userConfig = {}, options = {}) {
     const configPath = this.findConfigPath();
 
     if (!configPath) {
@@ -151,34 +309,35 @@ class ConfigLoader {
       return this.getDefaultConfig(projectType);
     }
 
+    let hooksConfig;
     try {
       // Очищаем кэш require для возможности горячей перезагрузки
       delete require.cache[require.resolve(configPath)];
 
-      const hooksConfig = require(configPath);
-
-      // Поддерживаем разные форматы экспорта
-      if (typeof hooksConfig === "function") {
-        return hooksConfig(projectType);
-      } else if (
-        hooksConfig.default &&
-        typeof hooksConfig.default === "function"
-      ) {
-        return hooksConfig.default(projectType);
-      } else if (
-        hooksConfig.getConfig &&
-        typeof hooksConfig.getConfig === "function"
-      ) {
-        return hooksConfig.getConfig(projectType);
-      } else {
-        logger.warn("⚠️  Неизвестный формат конфигурации, использую дефолт");
-        return this.getDefaultConfig(projectType);
-      }
+      hooksConfig = require(configPath);
     } catch (error) {
       logger.error(`❌ Ошибка загрузки конфигурации: ${error.message}`);
       logger.error(`🔍 Stack trace: ${error.stack}`);
       return this.getDefaultConfig(projectType);
     }
+
+    // Поддерживаем разные форматы экспорта
+    if (typeof hooksConfig === "function") {
+      return hooksConfig(projectType, userConfig, options);
+    } else if (
+      hooksConfig.default &&
+      typeof hooksConfig.default === "function"
+    ) {
+      return hooksConfig.default(projectType, userConfig, options);
+    } else if (
+      hooksConfig.getConfig &&
+      typeof hooksConfig.getConfig === "function"
+    ) {
+      return hooksConfig.getConfig(projectType, userConfig, options);
+    } else {
+      logger.warn("⚠️  Неизвестный формат конфигурации, использую дефолт");
+      return this.getDefaultConfig(projectType);
+    }
   }
 
   /**
@@ -192,7 +351,9 @@ class ConfigLoader {
     return {
       meta: {
         projectType,
-        environment: process.env.NODE_ENV || "development",
+        // Пользовательские окружения без hooks-config.js неизвестны,
+        // HUSKY_ENV принимается как есть
+        environment: process.env.HUSKY_ENV || environments.resolveEnvironment(),
         configVersion: "1.0.0",
         generatedAt: new Date().toISOString(),
         isDefault: true,
@@ -245,14 +406,30 @@ class ConfigLoader {
       return this.config;
     }
 
-    const projectType = this.detectProjectType();
+    // Тип проекта из пользовательского конфига важнее автоопределения
+    const userConfig = this.loadUserConfig();
+    const projectType = userConfig.projectType || this.detectProjectType();
 
     if (process.env.HUSKY_VERBOSE === "true") {
       logger.info(`🎯 Обнаружен проект: ${projectType.toUpperCase()}`);
     }
 
-    // Загружаем конфигурацию
-    this.config = this.loadConfigWithFallback(projectType);
+    // Загружаем конфигурацию с политиками текущей ветки
+    this.config = this.loadConfigWithFallback(projectType, userConfig, {
+      branch: branches.getCurrentBranch(this.projectRoot),
+    });
+
+    // Переопределения из переменных окружения действуют только на этот
+    // запуск, поэтому выводятся всегда
+    (this.config.meta?.envOverrides || []).forEach(
+      ({ variable, path: keyPath, value }) =>
+        logger.info(`🔧 ${variable}: ${keyPath} = ${JSON.stringify(value)}`)
+    );
+
+    // Проверяем конфигурацию по схеме до запуска проверок
+    if (!this.config.meta?.isDefault) {
+      this.validate(this.config);
+    }
 
     // Сохраняем информацию о конфигурации
     this.saveProjectConfig(projectType);
@@ -268,6 +445,26 @@ class ConfigLoader {
     return this.config;
   }
 
+  /**
+   * Проверяет конфигурацию по схеме (см. config-schema.js)
+   * @method
+   * @private
+   * @param {Object} config - Итоговая конфигурация
+   * @throws {Error} Если в конфигурации есть ошибки (предупреждения
+   * только выводятся)
+   */
+  validate(config) {
+    const { errors, warnings } = validateConfig(config);
+    const source = this.userConfigFile ? ` (${this.userConfigFile})` : "";
+
+    warnings.forEach((issue) => logger.warn(`⚠️  ${formatIssue(issue)}`));
+    errors.forEach((issue) => logger.error(`❌ ${formatIssue(issue)}`));
+
+    if (errors.length > 0) {
+      throw new Error(`Ошибки в конфигурации хуков${source}: ${errors.length}`);
+    }
+  }
+
   /**
    * Сохраняет информацию о конфигурации в проекте
    * @method
@@ -284,7 +481,7 @@ class ConfigLoader {
         configType: this.config.meta?.isDefault ? "default" : "custom",
         installed: new Date().toISOString(),
         source: "unified-husky-advanced",
-        environment: process.env.NODE_ENV || "development",
+        environment: this.config.meta?.environment || "development",
         hooks: {
           preCommit: this.config.preCommit?.enabled || false,
           prePush: this.config.prePush?.enabled || false,
@@ -322,6 +519,7 @@ class ConfigLoader {
   clearCache() {
     this.config = null;
     this.isConfigLoaded = false;
+    this.userConfigFile = null;
     logger.debug("🧹 Кэш конфигурации очищен");
   }
 
@@ -338,6 +536,7 @@ class ConfigLoader {
       environment: config.meta?.environment || "development",
       version: config.meta?.configVersion || "1.0.0",
       isDefault: config.meta?.isDefault || false,
+      userConfigFile: this.userConfigFile,
       hooks: {
         preCommit: config.preCommit?.enabled,
         prePush: config.prePush?.enabled,
@@ -353,6 +552,11 @@ const configLoader = new ConfigLoader();
 // Экспортируем singleton и класс для тестирования
 module.exports = configLoader;
 module.exports.ConfigLoader = ConfigLoader;
+module.exports.USER_CONFIG_FILE = USER_CONFIG_FILE;
+module.exports.USER_CONFIG_FILES = USER_CONFIG_FILES;
+module.exports.findUserConfig = findUserConfig;
+module.exports.readUserConfig = readUserConfig;
+module.exports.getUserConfigFormat = getUserConfigFormat;
 
 // Дополнительные утилиты
 module.exports.utils = {
@@ -363,8 +567,6 @@ module.exports.utils = {
    */
   getConfigForType: (projectType) => {
     const loader = new ConfigLoader();
-    // Временная замена projectRoot для определения типа
-    loader.projectRoot = process.cwd();
     return loader.loadConfigWithFallback(projectType);
   },
 
@@ -0,0 +1,385 @@
+/**
+ * @file config-schema.js
+ * @version 1.0.0
+ * @description Схема и валидация итоговой конфигурации хуков
+ * @module config-schema
+ *
+ * @overview
+ * Описывает объект, который возвращает getConfig из hooks-config.js,
+ * и проверяет его: типы значений, неизвестные ключи (с подсказкой
+ * "возможно, ...") и наличие модулей проверок в scripts/checks.
+ *
+ * Ошибки (неверный тип, нет модуля у включенной проверки, некорректный
+ * паттерн) ломают хуки и считаются критичными. Неизвестные ключи и
+ * проблемы отключенных проверок - предупреждения.
+ *
+ * @example
+ * const { validateConfig, formatIssue } = require('./config-schema');
+ * const { errors, warnings } = validateConfig(config);
+ * errors.forEach((issue) => logger.error(`❌ ${formatIssue(issue)}`));
+ *
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { checkPattern } = require("./patterns");
+
+/**
+ * Директория модулей проверок
+ * (scripts/utils → scripts/checks, .husky/scripts/utils → .husky/scripts/checks)
+ * @constant
+ * @type {string}
+ */
+const CHECKS_DIR = path.join(__dirname, "..", "checks");
+
+/**
+ * Описание объекта с известными ключами
+ * @param {Object<string, Object>} properties - Схемы ключей
+ * @param {Object} [options={}]
+ * @param {Array<string>} [options.required=[]] - Обязательные ключи
+ * @returns {Object} Схема
+ */
+function object(properties, { required = [] } = {}) {
+  return { type: "object", properties, required };
+}
+
+/**
+ * Описание словаря с произвольными ключами
+ * @param {Object} values - Схема значений
+ * @returns {Object} Схема
+ */
+function record(values) {
+  return { type: "object", values };
+}
+
+/**
+ * Описание массива
+ * @param {Object} items - Схема элементов
+ * @returns {Object} Схема
+ */
+function array(items) {
+  return { type: "array", items };
+}
+
+const BOOLEAN = { type: "boolean" };
+const STRING = { type: "string" };
+const DURATION = { type: "number", min: 1 };
+const LENGTH = { type: "number", min: 0 };
+// RegExp, "/re/flags", { regex, flags } или список glob (см. patterns.js)
+const PATTERN = {
+  type: ["regexp", "string", "object", "array"],
+  pattern: true,
+};
+const FREE_OBJECT = { type: "object" };
+const BLOCK = { type: ["boolean", "string"] };
+
+/**
+ * Проверка из списков preCommit.checks и prePush.checks
+ * @constant
+ * @type {Object}
+ */
+const CHECK_SCHEMA = object(
+  {
+    name: STRING,
+    enabled: BOOLEAN,
+    critical: BOOLEAN,
+    command: STRING,
+    perPackage: BOOLEAN,
+    options: FREE_OBJECT,
+  },
+  { required: ["name"] }
+);
+
+/**
+ * Схема результата getConfig
+ * @constant
+ * @type {Object}
+ */
+const CONFIG_SCHEMA = object({
+  meta: FREE_OBJECT,
+  general: object({
+    projectRoot: STRING,
+    projectType: STRING,
+    environment: STRING,
+    skipCI: BOOLEAN,
+    verbose: BOOLEAN,
+    autoFix: BOOLEAN,
+    parallelChecks: BOOLEAN,
+    cacheEnabled: BOOLEAN,
+    configPath: STRING,
+  }),
+  preCommit: object({
+    enabled: BOOLEAN,
+    checks: array(CHECK_SCHEMA),
+    timeout: DURATION,
+    skipPattern: PATTERN,
+    runInCI: BOOLEAN,
+    parallel: BOOLEAN,
+    failFast: BOOLEAN,
+    block: BLOCK,
+  }),
+  prePush: object({
+    enabled: BOOLEAN,
+    checks: array(CHECK_SCHEMA),
+    timeout: DURATION,
+    skipBranches: array(STRING),
+    block: BLOCK,
+  }),
+  commitMsg: object({
+    enabled: BOOLEAN,
+    pattern: PATTERN,
+    autoSkipPattern: PATTERN,
+    minLength: LENGTH,
+    maxLength: LENGTH,
+    types: array(STRING),
+    scopes: array(STRING),
+    requireScope: BOOLEAN,
+    allowMerge: BOOLEAN,
+    allowRevert: BOOLEAN,
+    allowSquash: BOOLEAN,
+    allowEmoji: BOOLEAN,
+    examples: array(STRING),
+  }),
+  branches: record(
+    object({
+      preCommit: FREE_OBJECT,
+      prePush: FREE_OBJECT,
+      commitMsg: FREE_OBJECT,
+    })
+  ),
+  dependencies: record(STRING),
+  eslintConfig: FREE_OBJECT,
+  prettierConfig: FREE_OBJECT,
+  prettierIgnore: array(STRING),
+  lintStaged: record({ type: ["string", "array", "function"] }),
+  advanced: FREE_OBJECT,
+});
+
+/**
+ * Возвращает тип значения в терминах схемы
+ * @param {any} value - Значение
+ * @returns {string} regexp, array, null, object, string, number, ...
+ */
+function typeOf(value) {
+  if (value instanceof RegExp) return "regexp";
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Расстояние Левенштейна между строками
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function distance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Находит похожее имя среди известных
+ * @param {string} name - Имя с опечаткой
+ * @param {string[]} candidates - Известные имена
+ * @returns {string|null} Ближайшее имя или null
+ *
+ * @example
+ * suggest('timout', ['enabled', 'timeout']); // 'timeout'
+ */
+function suggest(name, candidates) {
+  const limit = Math.max(1, Math.floor(name.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+
+  candidates.forEach((candidate) => {
+    const value = distance(name.toLowerCase(), candidate.toLowerCase());
+    if (value <= limit && value < bestDistance) {
+      best = candidate;
+      bestDistance = value;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Формирует подсказку "возможно, ..." для сообщения
+ * @param {string} name - Имя с опечаткой
+ * @param {string[]} candidates - Известные имена
+ * @returns {string} Подсказка или пустая строка
+ */
+function didYouMean(name, candidates) {
+  const match = suggest(name, candidates);
+  return match ? ` (возможно, ${match}?)` : "";
+}
+
+/**
+ * Проверяет значение по схеме
+ * @param {any} value - Значение
+ * @param {Object} schema - Схема
+ * @param {string} keyPath - Путь к значению (preCommit.checks[0].name)
+ * @param {{errors: Array, warnings: Array}} result - Накопитель проблем
+ */
+function validateValue(value, schema, keyPath, result) {
+  const expected = [].concat(schema.type);
+  const actual = typeOf(value);
+
+  if (!expected.includes(actual)) {
+    result.errors.push({
+      path: keyPath,
+      message: `ожидается ${expected.join(" или ")}, получено ${actual}`,
+    });
+    return;
+  }
+
+  if (schema.min !== undefined && value < schema.min) {
+    result.errors.push({
+      path: keyPath,
+      message: `ожидается число не меньше ${schema.min}, получено ${value}`,
+    });
+  }
+
+  if (schema.pattern) {
+    const error = checkPattern(value);
+    if (error) result.errors.push({ path: keyPath, message: error });
+  }
+
+  if (actual === "array" && schema.items) {
+    value.forEach((item, index) =>
+      validateValue(item, schema.items, `${keyPath}[${index}]`, result)
+    );
+  }
+
+  if (actual === "object" && schema.values) {
+    Object.entries(value).forEach(([key, item]) =>
+      validateValue(item, schema.values, `${keyPath}.${key}`, result)
+    );
+  }
+
+  if (actual === "object" && schema.properties) {
+    const known = Object.keys(schema.properties);
+
+    (schema.required || [])
+      .filter((key) => value[key] === undefined)
+      .forEach((key) =>
+        result.errors.push({
+          path: `${keyPath}.${key}`,
+          message: "обязательное поле не задано",
+        })
+      );
+
+    Object.entries(value).forEach(([key, item]) => {
+      const itemPath = keyPath ? `${keyPath}.${key}` : key;
+      if (!known.includes(key)) {
+        result.warnings.push({
+          path: itemPath,
+          message: `неизвестный ключ${didYouMean(key, known)}`,
+        });
+        return;
+      }
+      if (item !== undefined) {
+        validateValue(item, schema.properties[key], itemPath, result);
+      }
+    });
+  }
+}
+
+/**
+ * Проверяет, что у проверок есть модули в scripts/checks
+ * @param {Object} config - Итоговая конфигурация
+ * @param {string} checksDir - Директория модулей проверок
+ * @param {{errors: Array, warnings: Array}} result - Накопитель проблем
+ */
+function validateCheckModules(config, checksDir, result) {
+  if (!fs.existsSync(checksDir)) return;
+
+  const available = fs
+    .readdirSync(checksDir)
+    .filter((file) => file.endsWith(".js"))
+    .map((file) => path.basename(file, ".js"));
+
+  ["preCommit", "prePush"].forEach((hook) => {
+    const checks = config[hook]?.checks;
+    if (!Array.isArray(checks)) return;
+
+    checks.forEach((check, index) => {
+      if (!check || typeof check.name !== "string" || check.command) return;
+      if (available.includes(check.name)) return;
+
+      // Отключенная проверка не запускается и хук не ломает
+      const target = check.enabled ? result.errors : result.warnings;
+      target.push({
+        path: `${hook}.checks[${index}].name`,
+        message: `нет модуля проверки scripts/checks/${
+          check.name
+        }.js${didYouMean(check.name, available)}`,
+      });
+    });
+  });
+}
+
+/**
+ * Проверяет итоговую конфигурацию хуков
+ * @param {Object} config - Результат getConfig
+ * @param {Object} [options={}]
+ * @param {string} [options.checksDir] - Директория модулей проверок
+ * (по умолчанию scripts/checks рядом с этим модулем)
+ * @returns {{errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ *
+ * @example
+ * validateConfig({ preCommit: { timout: 5000 } }).warnings;
+ * // [{ path: 'preCommit.timout', message: 'неизвестный ключ (возможно, timeout?)' }]
+ */
+function validateConfig(config, { checksDir = CHECKS_DIR } = {}) {
+  const result = { errors: [], warnings: [] };
+
+  validateValue(config, CONFIG_SCHEMA, "", result);
+  validateCheckModules(config, checksDir, result);
+
+  const { minLength, maxLength } = config.commitMsg || {};
+  if (
+    typeof minLength === "number" &&
+    typeof maxLength === "number" &&
+    minLength > maxLength
+  ) {
+    result.errors.push({
+      path: "commitMsg.minLength",
+      message: `больше maxLength (${minLength} > ${maxLength})`,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Форматирует проблему для вывода
+ * @param {{path: string, message: string}} issue - Проблема
+ * @returns {string}
+ */
+function formatIssue(issue) {
+  return `${issue.path}: ${issue.message}`;
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  CHECK_SCHEMA,
+  validateConfig,
+  formatIssue,
+  suggest,
+};
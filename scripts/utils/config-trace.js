@@ -0,0 +1,205 @@
+/**
+ * @file config-trace.js
+ * @version 1.0.0
+ * @description Определение источника каждого значения итоговой конфигурации
+ * @module config-trace
+ *
+ * @overview
+ * getConfig объединяет несколько слоев: общий конфиг, настройки окружения,
+ * пресеты extends, пресет проекта, шаблон, пользовательский конфиг
+ * и политики текущей ветки (branches), а секции preCommitDefaults/prePushDefaults/commitMsgDefaults
+ * раскладываются в preCommit/prePush/commitMsg. Модуль проходит по слоям
+ * в порядке применения и для каждого значения итогового конфига запоминает
+ * последний слой, который задал это значение.
+ *
+ * Проверки в списках checks сопоставляются по имени (директивы $remove,
+ * $before и $after в итог не попадают и не отмечаются), списки строк
+ * (skipBranches, prettierIgnore) - по вхождению элементов. Значения,
+ * которых нет ни в одном слое (meta, general.projectRoot, ...),
+ * вычисляются в hooks-config.js.
+ *
+ * @example
+ * const { traceSources } = require('./config-trace');
+ * traceSources(config, layers, { layer: 'computed', file: 'configs/hooks-config.js' });
+ */
+
+/**
+ * Секции слоев, которые попадают в другие ключи итогового конфига
+ * @constant
+ * @type {Object<string, string>}
+ */
+const SECTION_ALIASES = {
+  preCommitDefaults: "preCommit",
+  prePushDefaults: "prePush",
+  commitMsgDefaults: "commitMsg",
+};
+
+/**
+ * Проверяет, является ли значение простым объектом (не массив, не RegExp)
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === "[object Object]";
+}
+
+/**
+ * Проверяет, является ли значение списком именованных объектов (checks)
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isNamedList(value) {
+  return (
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => isPlainObject(item) && typeof item.name === "string")
+  );
+}
+
+/**
+ * Сравнивает значения (регулярные выражения - по исходному тексту)
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) {
+    return false;
+  }
+
+  const serialize = (value) =>
+    JSON.stringify(value, (key, item) =>
+      item instanceof RegExp ? item.toString() : item
+    );
+  return serialize(a) === serialize(b);
+}
+
+/**
+ * Соединяет путь к значению
+ * @param {string} prefix - Путь родителя
+ * @param {string} key - Ключ
+ * @returns {string}
+ */
+function joinPath(prefix, key) {
+  return prefix ? `${prefix}.${key}` : key;
+}
+
+/**
+ * Раскладывает конфиг на значения по путям
+ * @param {any} value - Значение
+ * @param {string} prefix - Путь к значению
+ * @param {Array<Array>} entries - Накопитель пар [путь, значение]
+ * @returns {Array<Array>} Пары [путь, значение] в порядке обхода
+ *
+ * @example
+ * collectEntries({ prePush: { enabled: false } }, '');
+ * // [['prePush.enabled', false]]
+ */
+function collectEntries(value, prefix, entries = []) {
+  if (isPlainObject(value) && Object.keys(value).length > 0) {
+    Object.keys(value).forEach((key) =>
+      collectEntries(value[key], joinPath(prefix, key), entries)
+    );
+  } else if (isNamedList(value)) {
+    value.forEach((item, index) =>
+      collectEntries(item, `${prefix}[${index}]`, entries)
+    );
+  } else {
+    entries.push([prefix, value]);
+  }
+  return entries;
+}
+
+/**
+ * Отмечает значения итогового конфига, которые задает слой
+ * @param {any} layerValue - Значение в слое
+ * @param {any} finalValue - Значение в итоговом конфиге
+ * @param {string} prefix - Путь к значению
+ * @param {function(string, any): void} mark - Отметка пути и значения
+ */
+function walkLayer(layerValue, finalValue, prefix, mark) {
+  // Директива { $replace: значение } задает значение целиком
+  if (isPlainObject(layerValue) && "$replace" in layerValue) {
+    walkLayer(layerValue.$replace, finalValue, prefix, mark);
+    return;
+  }
+
+  if (isPlainObject(layerValue) && isPlainObject(finalValue)) {
+    Object.keys(layerValue).forEach((key) => {
+      if (key in finalValue) {
+        walkLayer(
+          layerValue[key],
+          finalValue[key],
+          joinPath(prefix, key),
+          mark
+        );
+      }
+    });
+    return;
+  }
+
+  if (isNamedList(layerValue) && Array.isArray(finalValue)) {
+    layerValue.forEach((item) => {
+      const index = finalValue.findIndex(
+        (finalItem) => finalItem && finalItem.name === item.name
+      );
+      if (index !== -1) {
+        walkLayer(item, finalValue[index], `${prefix}[${index}]`, mark);
+      }
+    });
+    return;
+  }
+
+  // Списки объединяются: слой участвует, если все его элементы остались
+  if (Array.isArray(layerValue) && Array.isArray(finalValue)) {
+    const included = layerValue.every((item) =>
+      finalValue.some((finalItem) => isEqual(finalItem, item))
+    );
+    if (layerValue.length > 0 && included) mark(prefix, finalValue);
+    return;
+  }
+
+  if (isEqual(layerValue, finalValue)) {
+    mark(prefix, finalValue);
+  }
+}
+
+/**
+ * Определяет источник каждого значения итогового конфига
+ * @param {Object} config - Итоговый конфиг
+ * @param {Array<{layer: string, file: string, config: Object}>} layers -
+ * Слои в порядке применения
+ * @param {{layer: string, file: string}} fallback - Источник значений,
+ * которых нет ни в одном слое
+ * @returns {Object<string, {layer: string, file: string}>} Источники
+ * по путям в порядке обхода итогового конфига
+ */
+function traceSources(config, layers, fallback) {
+  const found = new Map();
+
+  layers.forEach(({ layer, file, config: layerConfig }) => {
+    Object.keys(layerConfig || {}).forEach((key) => {
+      const target = SECTION_ALIASES[key] || key;
+      if (!(target in config)) return;
+
+      walkLayer(layerConfig[key], config[target], target, (prefix, value) =>
+        // Совпавшее значение может быть объектом: отмечаем все вложенные
+        collectEntries(value, prefix).forEach(([path]) =>
+          found.set(path, { layer, file })
+        )
+      );
+    });
+  });
+
+  const sources = {};
+  collectEntries(config, "").forEach(([path]) => {
+    sources[path] = found.get(path) || fallback;
+  });
+  return sources;
+}
+
+module.exports = {
+  traceSources,
+  collectEntries,
+};
@@ -0,0 +1,364 @@
+/**
+ * @file env-overrides.js
+ * @version 1.0.0
+ * @description Переопределение настроек хуков переменными окружения
+ * @module env-overrides
+ *
+ * @overview
+ * Любое значение итоговой конфигурации можно переопределить на один запуск
+ * переменной HUSKY__<СЕКЦИЯ>__<КЛЮЧ>: сегменты пути разделяются `__`,
+ * имена ключей пишутся в SCREAMING_SNAKE_CASE:
+ *
+ *   HUSKY__PRE_PUSH__TIMEOUT=300000           → prePush.timeout
+ *   HUSKY__COMMIT_MSG__REQUIRE_SCOPE=false    → commitMsg.requireScope
+ *   HUSKY__PRE_PUSH__CHECKS__BUILD__CRITICAL=false
+ *                                             → prePush.checks[build].critical
+ *
+ * Значение приводится к типу из схемы (config-schema.js): boolean
+ * (true/false), number, список строк через запятую, объекты - JSON.
+ * HUSKY_SKIP=typescript,build отключает проверки с этими именами
+ * в preCommit и prePush.
+ *
+ * Переменные HUSKY_VERBOSE, HUSKY_AUTO_FIX, HUSKY_PARALLEL, HUSKY_CACHE
+ * и HUSKY_ENV работают как раньше.
+ *
+ * @example
+ * const { applyEnvOverrides } = require('./env-overrides');
+ * const { config: result, applied } = applyEnvOverrides(config, process.env);
+ *
+ * @requires ./config-schema
+ */
+
+const { CONFIG_SCHEMA, suggest } = require("./config-schema");
+const { toRegExp } = require("./patterns");
+
+/**
+ * Префикс переменных с путем к настройке
+ * @constant
+ * @type {string}
+ */
+const ENV_PREFIX = "HUSKY__";
+
+/**
+ * Разделитель сегментов пути в имени переменной
+ * @constant
+ * @type {string}
+ */
+const SEGMENT_SEPARATOR = "__";
+
+/**
+ * Переменная со списком отключаемых проверок
+ * @constant
+ * @type {string}
+ */
+const SKIP_VARIABLE = "HUSKY_SKIP";
+
+/**
+ * Приводит имя к виду для сравнения (PRE_PUSH, prePush, pre-push → prepush)
+ * @param {string} name
+ * @returns {string}
+ */
+function normalize(name) {
+  return String(name).toLowerCase().replace(/[_-]/g, "");
+}
+
+/**
+ * Преобразует сегмент SCREAMING_SNAKE_CASE в camelCase
+ * @param {string} segment - Сегмент имени переменной (REQUIRE_SCOPE)
+ * @returns {string} requireScope
+ */
+function toCamelCase(segment) {
+  return segment
+    .toLowerCase()
+    .replace(/_([a-z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Проверяет, является ли схема списком проверок (элементы с name)
+ * @param {Object} schema
+ * @returns {boolean}
+ */
+function isNamedListSchema(schema) {
+  return schema.type === "array" && Boolean(schema.items?.properties?.name);
+}
+
+/**
+ * Форматирует путь для вывода (проверки - по имени)
+ * @param {Array<string|{index: number, name: string}>} keys - Путь
+ * @returns {string} prePush.checks[build].critical
+ */
+function formatPath(keys) {
+  return keys
+    .map((key, i) => {
+      if (typeof key === "object") return `[${key.name}]`;
+      return i === 0 ? key : `.${key}`;
+    })
+    .join("");
+}
+
+/**
+ * Находит путь к настройке по сегментам имени переменной
+ * @param {string[]} segments - Сегменты (PRE_PUSH, CHECKS, BUILD, CRITICAL)
+ * @param {Object} config - Итоговая конфигурация
+ * @returns {{keys: Array<string|{index: number, name: string}>, schema: Object}}
+ * Путь (проверки - индекс и имя) и схема значения
+ * @throws {Error} Если сегмент не соответствует ни одному ключу
+ */
+function resolvePath(segments, config) {
+  const keys = [];
+  let schema = CONFIG_SCHEMA;
+  let value = config;
+
+  segments.forEach((segment, i) => {
+    if (!schema) {
+      // Внутри объектов без схемы (advanced, eslintConfig) ключи произвольные
+      const key = toCamelCase(segment);
+      keys.push(key);
+      value = value?.[key];
+      return;
+    }
+
+    if (schema.properties) {
+      const known = Object.keys(schema.properties);
+      const key = known.find((name) => normalize(name) === normalize(segment));
+      if (!key) {
+        const match = suggest(toCamelCase(segment), known);
+        throw new Error(
+          `неизвестный ключ ${formatPath([...keys, toCamelCase(segment)])}${
+            match ? ` (возможно, ${match}?)` : ""
+          }`
+        );
+      }
+      keys.push(key);
+      schema = schema.properties[key];
+      value = value?.[key];
+      return;
+    }
+
+    if (isNamedListSchema(schema)) {
+      const items = Array.isArray(value) ? value : [];
+      const index = items.findIndex(
+        (item) => normalize(item?.name) === normalize(segment)
+      );
+      if (index === -1) {
+        const match = suggest(
+          segment.toLowerCase(),
+          items.map((item) => item.name)
+        );
+        throw new Error(
+          `нет проверки ${segment.toLowerCase()} в ${formatPath(keys)}${
+            match ? ` (возможно, ${match}?)` : ""
+          }`
+        );
+      }
+      if (i === segments.length - 1) {
+        throw new Error(
+          `укажите поле проверки: ${ENV_PREFIX}...${SEGMENT_SEPARATOR}${segment}${SEGMENT_SEPARATOR}ENABLED`
+        );
+      }
+      keys.push({ index, name: items[index].name });
+      schema = schema.items;
+      value = items[index];
+      return;
+    }
+
+    if (schema.values) {
+      // Словари (dependencies): ключ в нижнем регистре, _ → -
+      const key = segment.toLowerCase().replace(/_/g, "-");
+      keys.push(key);
+      schema = schema.values;
+      value = value?.[key];
+      return;
+    }
+
+    if (schema.type === "object") {
+      schema = null;
+      const key = toCamelCase(segment);
+      keys.push(key);
+      value = value?.[key];
+      return;
+    }
+
+    throw new Error(`${formatPath(keys)} не содержит вложенных ключей`);
+  });
+
+  return { keys, schema };
+}
+
+/**
+ * Приводит строковое значение переменной к типу из схемы
+ * @param {string} raw - Значение переменной
+ * @param {Object|null} schema - Схема значения (null - тип неизвестен)
+ * @returns {any} Значение
+ * @throws {Error} Если значение не приводится к ожидаемому типу
+ */
+function coerceValue(raw, schema) {
+  if (!schema) {
+    // Тип неизвестен: JSON (числа, true/false, объекты) или строка
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return raw;
+    }
+  }
+
+  const types = [].concat(schema.type);
+  const value = raw.trim();
+
+  if (types.includes("boolean") && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === "true";
+  }
+  if (types.includes("number") && value !== "" && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes("string")) {
+    return raw;
+  }
+  if (types.includes("array") && schema.items?.type === "string") {
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }
+  if (types.includes("regexp")) {
+    return toRegExp(value);
+  }
+  if (types.includes("array") || types.includes("object")) {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      parsed = undefined;
+    }
+    const expected = types.includes("array") ? "array" : "object";
+    if (
+      parsed &&
+      typeof parsed === "object" &&
+      Array.isArray(parsed) === (expected === "array")
+    ) {
+      return parsed;
+    }
+    throw new Error(`ожидается ${expected} в формате JSON, получено ${raw}`);
+  }
+
+  throw new Error(`ожидается ${types.join(" или ")}, получено ${raw}`);
+}
+
+/**
+ * Устанавливает значение по пути, не изменяя исходные объекты
+ * @param {Object|Array} target - Объект
+ * @param {Array<string|number>} path - Путь
+ * @param {any} value - Значение
+ * @returns {Object|Array} Копия с новым значением
+ */
+function setPath(target, path, value) {
+  const [head, ...rest] = path;
+  const copy = Array.isArray(target) ? [...target] : { ...target };
+  copy[head] = rest.length > 0 ? setPath(target?.[head], rest, value) : value;
+  return copy;
+}
+
+/**
+ * Собирает слой конфига с одним значением (для traceConfig)
+ * @param {Array<string|{index: number, name: string}>} keys - Путь
+ * @param {any} value - Значение
+ * @returns {Object} { prePush: { checks: [{ name: 'build', critical: false }] } }
+ */
+function toLayerConfig(keys, value) {
+  const [head, ...rest] = keys;
+  if (rest.length === 0) return { [head]: value };
+
+  const next = rest[0];
+  if (typeof next === "object") {
+    return {
+      [head]: [{ name: next.name, ...toLayerConfig(rest.slice(1), value) }],
+    };
+  }
+  return { [head]: toLayerConfig(rest, value) };
+}
+
+/**
+ * Применяет переопределения из переменных окружения
+ * @param {Object} config - Итоговая конфигурация (результат getConfig)
+ * @param {Object} [env=process.env] - Переменные окружения
+ * @returns {{config: Object, applied: Array<{variable: string, path: string, value: any, layer: Object}>}}
+ * config - копия конфигурации с переопределениями, applied - примененные
+ * переопределения в порядке применения (layer - слой для traceConfig)
+ * @throws {Error} Если переменная не соответствует настройке или значение
+ * не приводится к типу
+ *
+ * @example
+ * applyEnvOverrides(config, { HUSKY__PRE_PUSH__TIMEOUT: '300000' }).applied;
+ * // [{ variable: 'HUSKY__PRE_PUSH__TIMEOUT', path: 'prePush.timeout', value: 300000, ... }]
+ */
+function applyEnvOverrides(config, env = process.env) {
+  let result = config;
+  const applied = [];
+
+  const apply = (variable, keys, value) => {
+    const path = keys.map((key) => (typeof key === "object" ? key.index : key));
+    result = setPath(result, path, value);
+    applied.push({
+      variable,
+      path: formatPath(keys),
+      value,
+      layer: toLayerConfig(keys, value),
+    });
+  };
+
+  Object.keys(env)
+    .filter((name) => name.startsWith(ENV_PREFIX) && env[name] !== undefined)
+    .sort()
+    .forEach((variable) => {
+      const segments = variable
+        .slice(ENV_PREFIX.length)
+        .split(SEGMENT_SEPARATOR)
+        .filter(Boolean);
+
+      try {
+        if (segments.length === 0) throw new Error("не указан путь");
+        const { keys, schema } = resolvePath(segments, result);
+        apply(variable, keys, coerceValue(env[variable], schema));
+      } catch (error) {
+        throw new Error(`${variable}: ${error.message}`);
+      }
+    });
+
+  const skipped = (env[SKIP_VARIABLE] || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+
+  skipped.forEach((name) => {
+    let found = false;
+    ["preCommit", "prePush"].forEach((hook) => {
+      const checks = result[hook]?.checks || [];
+      const index = checks.findIndex((check) => check.name === name);
+      if (index === -1) return;
+
+      found = true;
+      apply(SKIP_VARIABLE, [hook, "checks", { index, name }, "enabled"], false);
+    });
+
+    if (!found) {
+      const names = ["preCommit", "prePush"].flatMap((hook) =>
+        (result[hook]?.checks || []).map((check) => check.name)
+      );
+      const match = suggest(name, names);
+      throw new Error(
+        `${SKIP_VARIABLE}: нет проверки ${name}${
+          match ? ` (возможно, ${match}?)` : ""
+        }`
+      );
+    }
+  });
+
+  return { config: result, applied };
+}
+
+module.exports = {
+  ENV_PREFIX,
+  SKIP_VARIABLE,
+  applyEnvOverrides,
+  coerceValue,
+};
@@ -0,0 +1,159 @@
+/**
+ * @file environments.js
+ * @version 1.0.0
+ * @description Определение окружения выполнения хуков
+ * @module environments
+ *
+ * @overview
+ * Окружение выбирает секцию environments конфига, которая переопределяет
+ * настройки хуков. Порядок определения:
+ * 1. явно заданное окружение (--env, переменная HUSKY_ENV);
+ * 2. пользовательские окружения с условием detect - в порядке объявления;
+ * 3. встроенные правила: ci (CI, GITHUB_ACTIONS), production и test
+ *    (NODE_ENV);
+ * 4. development.
+ *
+ * Окружения объявляются в common.config.js, пресетах, шаблонах
+ * и пользовательском конфиге:
+ *
+ *   environments: {
+ *     staging: {
+ *       detect: { DEPLOY_ENV: "staging" },
+ *       prePush: { enabled: true },
+ *     },
+ *     pairing: {
+ *       detect: (env) => Boolean(env.PAIRING),
+ *       preCommit: { timeout: 30000 },
+ *     },
+ *   }
+ *
+ * detect - функция от переменных окружения или объект "переменная →
+ * значение" (true - переменная задана и не пустая). Окружения без detect
+ * выбираются только явно.
+ *
+ * @example
+ * const environments = require('./environments');
+ * environments.resolveEnvironment(config.environments); // 'ci'
+ */
+
+/**
+ * Встроенные окружения и правила их определения (в порядке проверки)
+ * @constant
+ * @type {Array<{name: string, detect: function(Object): boolean}>}
+ */
+const BUILTIN_ENVIRONMENTS = [
+  {
+    name: "ci",
+    detect: (env) => env.CI === "true" || env.GITHUB_ACTIONS === "true",
+  },
+  { name: "production", detect: (env) => env.NODE_ENV === "production" },
+  { name: "test", detect: (env) => env.NODE_ENV === "test" },
+];
+
+/**
+ * Окружение по умолчанию
+ * @constant
+ * @type {string}
+ */
+const DEFAULT_ENVIRONMENT = "development";
+
+/**
+ * Проверяет условие detect окружения
+ * @param {function|Object} detect - Условие
+ * @param {Object} env - Переменные окружения
+ * @returns {boolean}
+ * @throws {Error} Если условие не функция и не объект
+ */
+function matchDetect(detect, env) {
+  if (typeof detect === "function") {
+    return Boolean(detect(env));
+  }
+  if (detect && typeof detect === "object" && !Array.isArray(detect)) {
+    return Object.entries(detect).every(([name, expected]) =>
+      expected === true ? Boolean(env[name]) : env[name] === String(expected)
+    );
+  }
+  throw new Error(
+    "detect должен быть функцией или объектом { ПЕРЕМЕННАЯ: значение }"
+  );
+}
+
+/**
+ * Возвращает имена доступных окружений
+ * @param {Object<string, Object>} [environments={}] - Секция environments
+ * @returns {string[]} Встроенные окружения, затем объявленные в конфиге
+ */
+function listEnvironments(environments = {}) {
+  return Array.from(
+    new Set([
+      DEFAULT_ENVIRONMENT,
+      ...BUILTIN_ENVIRONMENTS.map(({ name }) => name),
+      ...Object.keys(environments),
+    ])
+  );
+}
+
+/**
+ * Определяет текущее окружение
+ * @param {Object<string, Object>} [environments={}] - Секция environments
+ * (объединенная из всех слоев конфига)
+ * @param {Object} [options={}]
+ * @param {string} [options.explicit] - Явно заданное окружение (--env),
+ * по умолчанию - HUSKY_ENV
+ * @param {Object} [options.env=process.env] - Переменные окружения
+ * @returns {string} Имя окружения
+ * @throws {Error} Если явно задано неизвестное окружение или условие
+ * detect некорректно
+ *
+ * @example
+ * resolveEnvironment({ staging: { detect: { DEPLOY_ENV: 'staging' } } },
+ *   { env: { DEPLOY_ENV: 'staging', CI: 'true' } }); // 'staging'
+ */
+function resolveEnvironment(
+  environments = {},
+  { explicit, env = process.env } = {}
+) {
+  const selected = explicit || env.HUSKY_ENV;
+  if (selected) {
+    const available = listEnvironments(environments);
+    if (!available.includes(selected)) {
+      throw new Error(
+        `Неизвестное окружение: ${selected}. Доступные: ${available.join(", ")}`
+      );
+    }
+    return selected;
+  }
+
+  const custom = Object.entries(environments).find(([name, settings]) => {
+    if (!settings || settings.detect === undefined) return false;
+    try {
+      return matchDetect(settings.detect, env);
+    } catch (error) {
+      throw new Error(`Окружение ${name}: ${error.message}`);
+    }
+  });
+  if (custom) return custom[0];
+
+  const builtin = BUILTIN_ENVIRONMENTS.find(({ detect }) => detect(env));
+  return builtin ? builtin.name : DEFAULT_ENVIRONMENT;
+}
+
+/**
+ * Возвращает настройки окружения без служебного поля detect
+ * @param {Object<string, Object>} [environments={}] - Секция environments
+ * @param {string} name - Имя окружения
+ * @returns {Object} Переопределения настроек
+ */
+function getEnvironmentConfig(environments = {}, name) {
+  const settings = { ...environments[name] };
+  delete settings.detect;
+  return settings;
+}
+
+module.exports = {
+  BUILTIN_ENVIRONMENTS,
+  DEFAULT_ENVIRONMENT,
+  listEnvironments,
+  resolveEnvironment,
+  getEnvironmentConfig,
+};
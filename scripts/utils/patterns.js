@@ -0,0 +1,138 @@
+/**
+ * @file patterns.js
+ * @version 1.0.0
+ * @description Паттерны конфигурации (skipPattern, commitMsg.pattern, ...)
+ * @module patterns
+ *
+ * @overview
+ * Паттерн в конфиге можно задать в любом из видов, поэтому конфиг хуков
+ * целиком помещается в JSON или YAML:
+ *
+ *   /^wip:/i                          RegExp (только JS-конфиги)
+ *   "/^wip:/i"                        строка с флагами
+ *   "^wip:"                           строка без флагов (флаги по умолчанию,
+ *                                     как и для "/^wip:/")
+ *   { "regex": "^wip:", "flags": "i" }
+ *   ["wip*", "fixup! *", "draft:*"]   список glob-паттернов
+ *
+ * Все потребители конфига (хуки, схема, утилиты common.config.js)
+ * приводят паттерн к RegExp через toRegExp.
+ *
+ * @example
+ * const { toRegExp } = require('./patterns');
+ * toRegExp(config.preCommit.skipPattern).test(message);
+ */
+
+/**
+ * Строка паттерна с флагами: "/source/flags"
+ * @constant
+ * @type {RegExp}
+ */
+const SLASHED_PATTERN = /^\/(.*)\/([dgimsuvy]*)$/s;
+
+/**
+ * Проверяет, является ли значение паттерном вида { regex, flags }
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPatternObject(value) {
+  return (
+    Object.prototype.toString.call(value) === "[object Object]" &&
+    typeof value.regex === "string"
+  );
+}
+
+/**
+ * Преобразует glob-паттерн сообщения в исходный текст RegExp
+ * (`*` - любые символы, включая перевод строки, `?` - один символ)
+ * @param {string} glob - Паттерн ("wip*", "fixup! *")
+ * @returns {string}
+ */
+function globToSource(glob) {
+  return glob
+    .split(/(\*|\?)/)
+    .map((part) => {
+      if (part === "*") return "[\\s\\S]*";
+      if (part === "?") return "[\\s\\S]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+}
+
+/**
+ * Приводит паттерн из конфига к RegExp
+ * @param {RegExp|string|{regex: string, flags: string}|string[]} pattern -
+ * Паттерн в любом из поддерживаемых видов
+ * @param {Object} [options={}]
+ * @param {string} [options.flags=""] - Флаги для паттернов, в которых
+ * они не указаны (строки, { regex } без flags, glob-списки)
+ * @returns {RegExp}
+ * @throws {Error} Если паттерн не поддерживаемого вида или регулярное
+ * выражение некорректно
+ *
+ * @example
+ * toRegExp('/^wip:/i');                        // /^wip:/i
+ * toRegExp({ regex: '^wip:', flags: 'i' });    // /^wip:/i
+ * toRegExp(['wip*', 'fixup! *']).test('wip');  // true
+ */
+function toRegExp(pattern, { flags = "" } = {}) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  try {
+    if (typeof pattern === "string") {
+      const match = pattern.match(SLASHED_PATTERN);
+      return match
+        ? new RegExp(match[1], match[2] || flags)
+        : new RegExp(pattern, flags);
+    }
+
+    if (isPatternObject(pattern)) {
+      return new RegExp(pattern.regex, pattern.flags ?? flags);
+    }
+
+    if (
+      Array.isArray(pattern) &&
+      pattern.every((glob) => typeof glob === "string")
+    ) {
+      return new RegExp(`^(?:${pattern.map(globToSource).join("|")})$`, flags);
+    }
+  } catch (error) {
+    throw new Error(`некорректное регулярное выражение: ${error.message}`);
+  }
+
+  throw new Error(
+    'паттерн должен быть RegExp, строкой "/re/flags", объектом { regex, flags } или списком glob-паттернов'
+  );
+}
+
+/**
+ * Проверяет паттерн
+ * @param {any} pattern - Значение из конфига
+ * @returns {string|null} Текст ошибки или null
+ */
+function checkPattern(pattern) {
+  try {
+    toRegExp(pattern);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Преобразует паттерн в строку "/source/flags" (для JSON и вывода)
+ * @param {any} value - Паттерн или любое другое значение
+ * @returns {any} Строка для RegExp, иначе значение без изменений
+ */
+function serializePattern(value) {
+  return value instanceof RegExp ? value.toString() : value;
+}
+
+module.exports = {
+  isPatternObject,
+  toRegExp,
+  checkPattern,
+  serializePattern,
+};
@@ -0,0 +1,146 @@
+/**
+ * @file presets.js
+ * @version 1.0.0
+ * @description Разрешение общих пресетов конфигурации (поле extends)
+ * @module presets
+ *
+ * @overview
+ * Пользовательский конфиг может подключать общие пресеты команды:
+ *
+ *   { "extends": ["@our-org/husky-preset", "./shared/husky.base.js"] }
+ *
+ * Пресет - модуль, экспортирующий объект настроек (или функцию, которая
+ * его возвращает) в том же формате, что и пользовательский конфиг.
+ * Пресет может сам подключать другие пресеты через extends: пути
+ * разрешаются относительно файла пресета, пакеты - из его node_modules
+ * или проекта. Циклы (a → b → a) считаются ошибкой.
+ *
+ * @example
+ * const presets = require('./presets');
+ * presets.resolvePresets(userConfig.extends, { projectRoot })
+ *   .forEach(({ config }) => { merged = deepMerge(merged, config); });
+ *
+ * @requires path
+ */
+
+const path = require("path");
+
+/**
+ * Проверяет, что значение - путь, а не имя npm-пакета
+ * @param {string} value - Путь или имя пакета
+ * @returns {boolean}
+ */
+function isPath(value) {
+  return value.startsWith(".") || path.isAbsolute(value);
+}
+
+/**
+ * Приводит поле extends к списку
+ * @param {string|string[]|undefined} value - Значение extends
+ * @returns {string[]}
+ * @throws {Error} Если значение не строка и не список строк
+ */
+function toList(value) {
+  if (value === undefined) return [];
+
+  const list = [].concat(value);
+  if (list.some((item) => typeof item !== "string" || !item)) {
+    throw new Error("extends должен быть строкой или списком строк");
+  }
+  return list;
+}
+
+/**
+ * Находит модуль пресета
+ * @param {string} name - Путь или имя npm-пакета
+ * @param {string} baseDir - Директория, относительно которой разрешается
+ * путь (проект или файл подключающего пресета)
+ * @param {string} projectRoot - Корень проекта (пакеты ищутся и в нем)
+ * @returns {string} Абсолютный путь к модулю
+ * @throws {Error} Если пресет не найден
+ */
+function resolvePreset(name, baseDir, projectRoot) {
+  try {
+    return isPath(name)
+      ? require.resolve(path.resolve(baseDir, name))
+      : require.resolve(name, { paths: [baseDir, projectRoot] });
+  } catch {
+    throw new Error(`Пресет не найден: ${name}`);
+  }
+}
+
+/**
+ * Загружает модуль пресета
+ * @param {string} file - Путь к модулю
+ * @returns {Object} Настройки пресета
+ * @throws {Error} Если модуль не загружается или экспортирует не объект
+ */
+function loadPreset(file) {
+  delete require.cache[file];
+
+  let preset = require(file);
+  // ES-модуль: пресет в export default
+  if (preset && preset[Symbol.toStringTag] === "Module") {
+    preset = preset.default;
+  }
+  if (typeof preset === "function") {
+    preset = preset();
+  }
+
+  if (!preset || typeof preset !== "object" || Array.isArray(preset)) {
+    throw new Error("пресет должен экспортировать объект");
+  }
+  return preset;
+}
+
+/**
+ * Разрешает цепочку пресетов в порядке применения
+ * @param {string|string[]} [extendsList] - Поле extends пользовательского
+ * конфига
+ * @param {Object} [options={}]
+ * @param {string} [options.projectRoot=process.cwd()] - Корень проекта
+ * @returns {Array<{name: string, file: string, config: Object}>} Пресеты
+ * от базовых к частным: базы пресета идут перед ним самим, пресеты
+ * из списка - слева направо. config - настройки без поля extends
+ * @throws {Error} Если пресет не найден, не загружается или цепочка
+ * содержит цикл
+ *
+ * @example
+ * resolvePresets(['./shared/husky.base.js'], { projectRoot: '/repo' });
+ * // [{ name: './shared/husky.base.js', file: '/repo/shared/husky.base.js', config: {...} }]
+ */
+function resolvePresets(extendsList, { projectRoot = process.cwd() } = {}) {
+  const resolved = [];
+
+  const visit = (names, baseDir, chain) => {
+    toList(names).forEach((name) => {
+      const file = resolvePreset(name, baseDir, projectRoot);
+
+      if (chain.includes(file)) {
+        const cycle = [...chain, file]
+          .slice(chain.indexOf(file))
+          .map((item) => path.relative(projectRoot, item))
+          .join(" → ");
+        throw new Error(`Циклический extends: ${cycle}`);
+      }
+
+      let preset;
+      try {
+        preset = loadPreset(file);
+      } catch (error) {
+        throw new Error(`Пресет ${name} не загружается: ${error.message}`);
+      }
+
+      const { extends: parents, ...config } = preset;
+      visit(parents, path.dirname(file), [...chain, file]);
+      resolved.push({ name, file, config });
+    });
+  };
+
+  visit(extendsList, projectRoot, []);
+  return resolved;
+}
+
+module.exports = {
+  resolvePresets,
+};
@@ -0,0 +1,199 @@
+/**
+ * @file templates.js
+ * @version 1.0.0
+ * @description Поиск и загрузка шаблонов настроек хуков
+ * @module templates
+ *
+ * @overview
+ * Шаблон - именованный набор настроек (preCommit, prePush, commitMsg,
+ * lintStaged, ...), который накладывается поверх пресета типа проекта
+ * и под пользовательским конфигом. Шаблон может указать пресет, на
+ * котором он основан (поле preset), - установщик использует его как тип
+ * проекта, если тип не задан явно.
+ *
+ * Шаблон задается в .huskyrc.json полем template и ищется:
+ * 1. по пути (./team/strict.template.js, ./team/husky-template) -
+ *    относительно корня проекта;
+ * 2. по имени в директории templatesDir из .huskyrc.json
+ *    (<templatesDir>/<имя>.template.js);
+ * 3. по имени среди встроенных шаблонов (templates/ пакета,
+ *    в проекте - .husky/templates/);
+ * 4. как npm-пакет, установленный в проекте (@org/husky-template).
+ *
+ * @example
+ * const templates = require('./templates');
+ * const { config } = templates.loadTemplate('strict', { projectRoot });
+ *
+ * @requires fs
+ * @requires path
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Суффикс файлов шаблонов
+ * @constant
+ * @type {string}
+ */
+const TEMPLATE_SUFFIX = ".template.js";
+
+/**
+ * Служебные поля шаблона, которые не попадают в конфиг
+ * @constant
+ * @type {string[]}
+ */
+const META_FIELDS = ["name", "description", "preset"];
+
+/**
+ * Директория встроенных шаблонов
+ * (scripts/utils → templates/, .husky/scripts/utils → .husky/templates/)
+ * @constant
+ * @type {string}
+ */
+const BUILTIN_DIR = path.join(__dirname, "..", "..", "templates");
+
+/**
+ * Проверяет, что значение - путь, а не имя шаблона или пакета
+ * @param {string} value - Имя, путь или имя пакета
+ * @returns {boolean}
+ */
+function isPath(value) {
+  return value.startsWith(".") || path.isAbsolute(value);
+}
+
+/**
+ * Возвращает директории с шаблонами в порядке поиска
+ * @param {Object} [options={}]
+ * @param {string} [options.projectRoot] - Корень проекта
+ * @param {string} [options.templatesDir] - Директория шаблонов команды
+ * (относительно корня проекта)
+ * @returns {string[]}
+ */
+function getTemplateDirs({ projectRoot = process.cwd(), templatesDir } = {}) {
+  return [
+    templatesDir && path.resolve(projectRoot, templatesDir),
+    BUILTIN_DIR,
+  ].filter(Boolean);
+}
+
+/**
+ * Возвращает доступные по имени шаблоны
+ * @param {Object} [options={}] - См. getTemplateDirs
+ * @returns {Array<{name: string, description: string, file: string}>}
+ * Шаблоны из директории команды перекрывают встроенные с тем же именем
+ */
+function listTemplates(options = {}) {
+  const found = new Map();
+
+  getTemplateDirs(options)
+    .filter((dir) => fs.existsSync(dir))
+    .forEach((dir) => {
+      fs.readdirSync(dir)
+        .filter((file) => file.endsWith(TEMPLATE_SUFFIX))
+        .sort()
+        .forEach((file) => {
+          const name = file.slice(0, -TEMPLATE_SUFFIX.length);
+          if (found.has(name)) return;
+
+          const filePath = path.join(dir, file);
+          let description = "";
+          try {
+            description = readTemplate(filePath).description || "";
+          } catch {
+            // Описание необязательно, ошибка будет показана при загрузке
+          }
+          found.set(name, { name, description, file: filePath });
+        });
+    });
+
+  return Array.from(found.values());
+}
+
+/**
+ * Находит файл шаблона
+ * @param {string} name - Имя шаблона, путь или имя npm-пакета
+ * @param {Object} [options={}] - См. getTemplateDirs
+ * @returns {string} Абсолютный путь к модулю шаблона
+ * @throws {Error} Если шаблон не найден
+ */
+function resolveTemplate(name, options = {}) {
+  const projectRoot = options.projectRoot || process.cwd();
+
+  if (isPath(name)) {
+    try {
+      return require.resolve(path.resolve(projectRoot, name));
+    } catch {
+      throw new Error(`Шаблон не найден: ${name}`);
+    }
+  }
+
+  const local = getTemplateDirs(options)
+    .map((dir) => path.join(dir, `${name}${TEMPLATE_SUFFIX}`))
+    .find((file) => fs.existsSync(file));
+  if (local) return local;
+
+  try {
+    return require.resolve(name, { paths: [projectRoot] });
+  } catch {
+    const available = listTemplates(options).map((template) => template.name);
+    throw new Error(
+      `Шаблон не найден: ${name}${
+        available.length > 0 ? ` (доступные: ${available.join(", ")})` : ""
+      }`
+    );
+  }
+}
+
+/**
+ * Загружает модуль шаблона
+ * @param {string} file - Путь к модулю
+ * @returns {Object} Шаблон (если модуль экспортирует функцию, она вызывается)
+ */
+function readTemplate(file) {
+  delete require.cache[require.resolve(file)];
+  const loaded = require(file);
+  const template = typeof loaded === "function" ? loaded() : loaded;
+  return (template && template.default) || template || {};
+}
+
+/**
+ * Загружает шаблон по имени, пути или имени пакета
+ * @param {string} name - Значение поля template
+ * @param {Object} [options={}] - См. getTemplateDirs
+ * @returns {{name: string, file: string, description: string, preset: (string|null), config: Object}}
+ * config - настройки шаблона без служебных полей
+ * @throws {Error} Если шаблон не найден или не загружается
+ *
+ * @example
+ * loadTemplate('./shared/husky.template.js', { projectRoot });
+ */
+function loadTemplate(name, options = {}) {
+  const file = resolveTemplate(name, options);
+
+  let template;
+  try {
+    template = readTemplate(file);
+  } catch (error) {
+    throw new Error(`Шаблон ${name} не загружается: ${error.message}`);
+  }
+
+  const config = { ...template };
+  META_FIELDS.forEach((field) => delete config[field]);
+
+  return {
+    name: template.name || name,
+    file,
+    description: template.description || "",
+    preset: template.preset || null,
+    config,
+  };
+}
+
+module.exports = {
+  TEMPLATE_SUFFIX,
+  BUILTIN_DIR,
+  listTemplates,
+  resolveTemplate,
+  loadTemplate,
+};
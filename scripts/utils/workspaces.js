@@ -0,0 +1,460 @@
+/**
+ * @file workspaces.js
+ * @version 1.0.0
+ * @description Поддержка монорепозиториев и workspace пакетов
+ * @module workspaces
+ *
+ * @overview
+ * Определяет тип проекта для директории, находит пакеты npm/yarn/pnpm
+ * workspaces, распределяет измененные файлы по пакетам и формирует
+ * контексты запуска проверок ({ cwd, projectType, files }).
+ * Корень git и корень проекта (директория с .husky) могут не совпадать,
+ * поэтому пути файлов из git всегда приводятся к абсолютным.
+ *
+ * @example
+ * const workspaces = require('./workspaces');
+ * const packages = workspaces.discoverPackages(process.cwd());
+ * const targets = workspaces.getCheckTargets(process.cwd(), 'common', files);
+ *
+ * @requires fs
+ * @requires path
+ * @requires child_process
+ * @requires ./yaml
+ * @requires ./logger
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { execSync } = require("child_process");
+const yaml = require("./yaml");
+const logger = require("./logger");
+
+/**
+ * Проверки, которые выполняются отдельно в каждом затронутом пакете
+ * (переопределяется полем perPackage в описании проверки)
+ * @constant
+ * @type {string[]}
+ */
+const PACKAGE_CHECKS = ["typescript", "build", "test", "lint-staged"];
+
+/**
+ * Директории, которые не просматриваются при поиске пакетов
+ * @constant
+ * @type {string[]}
+ */
+const IGNORED_DIRS = ["node_modules", ".git", ".husky"];
+
+/**
+ * Читает package.json из директории
+ * @param {string} dir - Директория
+ * @returns {Object|null}
+ */
+function readPackageJson(dir) {
+  const pkgPath = path.join(dir, "package.json");
+  if (!fs.existsSync(pkgPath)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(pkgPath, "utf8"));
+  } catch (error) {
+    logger.debug(`Не удалось прочитать ${pkgPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Определяет тип проекта по конфигурационным файлам и зависимостям
+ * @param {string} dir - Директория проекта или пакета
+ * @returns {('nextjs'|'vite'|'react'|'common')} Тип проекта
+ *
+ * @example
+ * detectProjectType('/repo/apps/web'); // "nextjs"
+ */
+function detectProjectType(dir) {
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+
+  // Проверка конфигурационных файлов
+  if (files.some((f) => /^next\.config\.(js|ts|mjs|cjs)$/.test(f))) {
+    return "nextjs";
+  }
+  if (files.some((f) => /^vite\.config\.(js|ts|mjs|cjs)$/.test(f))) {
+    return "vite";
+  }
+  // if (files.some((f) => /^angular\.json$/.test(f))) {
+  //   return "angular";
+  // }
+  // if (files.some((f) => /^nuxt\.config\.(js|ts)$/.test(f))) {
+  //   return "nuxt";
+  // }
+
+  // Проверка зависимостей в package.json
+  const pkg = readPackageJson(dir);
+  if (pkg) {
+    const allDeps = {
+      ...pkg.dependencies,
+      ...pkg.devDependencies,
+      ...pkg.peerDependencies,
+    };
+
+    if (allDeps.next || allDeps["nextjs"]) {
+      return "nextjs";
+    }
+    if (allDeps.vite) {
+      return "vite";
+    }
+    // if (allDeps["@angular/core"]) {
+    //   return "angular";
+    // }
+    // if (allDeps.nuxt || allDeps["nuxt3"]) {
+    //   return "nuxt";
+    // }
+    if (allDeps.react) {
+      return "react";
+    }
+  }
+
+  return "common";
+}
+
+/**
+ * Находит корень git репозитория
+ * @param {string} cwd - Директория внутри репозитория
+ * @returns {string|null} Абсолютный путь или null вне репозитория
+ */
+function findGitRoot(cwd) {
+  try {
+    return path.resolve(
+      execSync("git rev-parse --show-toplevel", {
+        cwd,
+        encoding: "utf8",
+        stdio: ["ignore", "pipe", "ignore"],
+      }).trim()
+    );
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Читает паттерны workspaces из package.json и pnpm-workspace.yaml
+ * @param {string} root - Корень workspace
+ * @returns {string[]} Паттерны (в том числе исключения "!pattern")
+ */
+function getWorkspacePatterns(root) {
+  const patterns = [];
+
+  const pkg = readPackageJson(root);
+  if (pkg && pkg.workspaces) {
+    // npm/yarn: массив или { packages: [...] } (yarn classic)
+    const list = Array.isArray(pkg.workspaces)
+      ? pkg.workspaces
+      : pkg.workspaces.packages || [];
+    patterns.push(...list);
+  }
+
+  const pnpmPath = path.join(root, "pnpm-workspace.yaml");
+  if (fs.existsSync(pnpmPath)) {
+    try {
+      const data = yaml.parse(fs.readFileSync(pnpmPath, "utf8")) || {};
+      patterns.push(...(data.packages || []));
+    } catch (error) {
+      logger.warn(
+        `⚠️  Не удалось прочитать pnpm-workspace.yaml: ${error.message}`
+      );
+    }
+  }
+
+  return patterns.filter((pattern) => typeof pattern === "string");
+}
+
+/**
+ * Преобразует сегмент glob-паттерна в RegExp
+ * @param {string} segment - Сегмент пути ("*", "app-*")
+ * @returns {RegExp}
+ */
+function segmentToRegExp(segment) {
+  const source = segment
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join("[^/]*");
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Находит директории, соответствующие паттерну workspaces
+ * @param {string} root - Корень workspace
+ * @param {string} pattern - Паттерн ("packages/*", "apps/**")
+ * @returns {string[]} Абсолютные пути директорий
+ */
+function expandPattern(root, pattern) {
+  const segments = pattern
+    .replace(/^\.\//, "")
+    .replace(/\/+$/, "")
+    .split("/")
+    .filter(Boolean);
+
+  const subdirs = (dir) =>
+    fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter(
+        (entry) =>
+          entry.isDirectory() &&
+          !entry.name.startsWith(".") &&
+          !IGNORED_DIRS.includes(entry.name)
+      )
+      .map((entry) => entry.name);
+
+  const walk = (dir, index) => {
+    if (index === segments.length) return [dir];
+    if (!fs.existsSync(dir)) return [];
+
+    const segment = segments[index];
+
+    if (segment === "**") {
+      // ** - ноль или больше уровней вложенности
+      return [
+        ...walk(dir, index + 1),
+        ...subdirs(dir).flatMap((name) => walk(path.join(dir, name), index)),
+      ];
+    }
+
+    if (!segment.includes("*")) {
+      return walk(path.join(dir, segment), index + 1);
+    }
+
+    const regex = segmentToRegExp(segment);
+    return subdirs(dir)
+      .filter((name) => regex.test(name))
+      .flatMap((name) => walk(path.join(dir, name), index + 1));
+  };
+
+  return walk(root, 0);
+}
+
+/**
+ * Находит пакеты workspace
+ * @param {string} root - Корень workspace (корень проекта)
+ * @returns {Array<{name: string, dir: string, relativeDir: string, projectType: string}>}
+ * Пакеты, отсортированные по пути (пустой массив, если это не монорепозиторий)
+ *
+ * @example
+ * discoverPackages('/repo');
+ * // [{ name: 'web', dir: '/repo/apps/web', relativeDir: 'apps/web', projectType: 'nextjs' }]
+ */
+function discoverPackages(root) {
+  const patterns = getWorkspacePatterns(root);
+  const include = patterns.filter((pattern) => !pattern.startsWith("!"));
+  const exclude = patterns
+    .filter((pattern) => pattern.startsWith("!"))
+    .flatMap((pattern) => expandPattern(root, pattern.slice(1)));
+
+  const dirs = new Set(
+    include
+      .flatMap((pattern) => expandPattern(root, pattern))
+      .filter(
+        (dir) =>
+          dir !== root &&
+          !exclude.includes(dir) &&
+          fs.existsSync(path.join(dir, "package.json"))
+      )
+  );
+
+  return Array.from(dirs)
+    .sort()
+    .map((dir) => {
+      const pkg = readPackageJson(dir) || {};
+      const relativeDir = path.relative(root, dir).split(path.sep).join("/");
+      return {
+        name: pkg.name || relativeDir,
+        dir,
+        relativeDir,
+        projectType: detectProjectType(dir),
+      };
+    });
+}
+
+/**
+ * Выполняет git команду, возвращающую список файлов
+ * @param {string} command - Команда
+ * @param {string} gitRoot - Корень git репозитория
+ * @returns {string[]|null} Абсолютные пути или null при ошибке
+ */
+function listGitFiles(command, gitRoot) {
+  try {
+    // Пути в выводе git diff всегда относительно корня репозитория
+    return execSync(command, {
+      cwd: gitRoot,
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "ignore"],
+    })
+      .split("\n")
+      .filter(Boolean)
+      .map((file) => path.join(gitRoot, file));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Возвращает файлы, добавленные в индекс
+ * @param {string} gitRoot - Корень git репозитория
+ * @returns {string[]} Абсолютные пути
+ */
+function getStagedFiles(gitRoot) {
+  return (
+    listGitFiles("git diff --cached --name-only --diff-filter=ACMR", gitRoot) ||
+    []
+  );
+}
+
+/**
+ * Возвращает файлы, измененные в коммитах, которые еще не отправлены
+ * @param {string} gitRoot - Корень git репозитория
+ * @returns {string[]|null} Абсолютные пути или null, если у ветки нет upstream
+ */
+function getUnpushedFiles(gitRoot) {
+  return listGitFiles("git diff --name-only @{upstream}...HEAD", gitRoot);
+}
+
+/**
+ * Проверяет, находится ли файл внутри директории
+ * @param {string} dir - Директория
+ * @param {string} file - Абсолютный путь к файлу
+ * @returns {boolean}
+ */
+function isInside(dir, file) {
+  const relative = path.relative(dir, file);
+  return (
+    Boolean(relative) &&
+    !relative.startsWith("..") &&
+    !path.isAbsolute(relative)
+  );
+}
+
+/**
+ * Распределяет файлы по пакетам
+ * @param {string[]} files - Абсолютные пути
+ * @param {string} projectRoot - Корень проекта
+ * @param {Array<Object>} packages - Результат discoverPackages
+ * @returns {{packages: Map<Object, string[]>, root: string[]}}
+ * Файлы каждого пакета и файлы вне пакетов (файлы вне проекта отбрасываются)
+ */
+function groupFilesByPackage(files, projectRoot, packages) {
+  // Вложенные пакеты проверяются раньше родительских
+  const byDepth = [...packages].sort((a, b) => b.dir.length - a.dir.length);
+  const grouped = new Map();
+  const root = [];
+
+  files
+    .filter((file) => isInside(projectRoot, file))
+    .forEach((file) => {
+      const pkg = byDepth.find((candidate) => isInside(candidate.dir, file));
+      if (!pkg) {
+        root.push(file);
+        return;
+      }
+      if (!grouped.has(pkg)) grouped.set(pkg, []);
+      grouped.get(pkg).push(file);
+    });
+
+  return { packages: grouped, root };
+}
+
+/**
+ * Формирует контексты запуска проверок
+ * @param {string} projectRoot - Корень проекта
+ * @param {string} projectType - Тип корневого проекта
+ * @param {string[]|null} files - Измененные файлы (null - неизвестно, все пакеты)
+ * @returns {Array<{name: string, cwd: string, projectType: string, files: (string[]|null)}>}
+ *
+ * @description
+ * Для обычного проекта всегда возвращает один контекст - корень проекта.
+ * В монорепозитории возвращает затронутые пакеты и корень, если изменены
+ * файлы вне пакетов (с флагом isWorkspaceRoot).
+ */
+function getCheckTargets(projectRoot, projectType, files) {
+  const rootTarget = { name: ".", cwd: projectRoot, projectType, files };
+  const packages = discoverPackages(projectRoot);
+
+  if (packages.length === 0) {
+    return [rootTarget];
+  }
+
+  if (files === null) {
+    return packages.map((pkg) => ({
+      name: pkg.name,
+      cwd: pkg.dir,
+      projectType: pkg.projectType,
+      files: null,
+    }));
+  }
+
+  const grouped = groupFilesByPackage(files, projectRoot, packages);
+  const targets = Array.from(grouped.packages.entries()).map(
+    ([pkg, pkgFiles]) => ({
+      name: pkg.name,
+      cwd: pkg.dir,
+      projectType: pkg.projectType,
+      files: pkgFiles,
+    })
+  );
+
+  if (grouped.root.length > 0) {
+    targets.unshift({
+      ...rootTarget,
+      files: grouped.root,
+      isWorkspaceRoot: true,
+    });
+  }
+
+  return targets;
+}
+
+/**
+ * Проверяет, выполняется ли проверка отдельно для каждого пакета
+ * @param {Object} check - Описание проверки из конфига
+ * @returns {boolean}
+ */
+function isPackageCheck(check) {
+  return check.perPackage !== undefined
+    ? Boolean(check.perPackage)
+    : PACKAGE_CHECKS.includes(check.name);
+}
+
+/**
+ * Выбирает контексты, в которых запускается проверка
+ * @param {Object} check - Описание проверки из конфига
+ * @param {Array<Object>} targets - Результат getCheckTargets
+ * @param {Object} rootTarget - Контекст корня проекта со всеми файлами
+ * @returns {Array<Object>} Контексты (пустой массив - нет затронутых пакетов)
+ */
+function selectTargets(check, targets, rootTarget) {
+  if (!isPackageCheck(check)) {
+    return [rootTarget];
+  }
+
+  const workspaceRoot = targets.find((target) => target.isWorkspaceRoot);
+
+  if (check.name === "lint-staged") {
+    // lint-staged, запущенный из корня, сам передает файлы пакетов
+    // ближайшему конфигу, поэтому повторный запуск в пакетах не нужен
+    return workspaceRoot ? [workspaceRoot] : targets;
+  }
+
+  // Сборка и проверка типов выполняются только в пакетах
+  return targets.filter((target) => !target.isWorkspaceRoot);
+}
+
+module.exports = {
+  PACKAGE_CHECKS,
+  detectProjectType,
+  findGitRoot,
+  getWorkspacePatterns,
+  expandPattern,
+  discoverPackages,
+  getStagedFiles,
+  getUnpushedFiles,
+  groupFilesByPackage,
+  getCheckTargets,
+  isPackageCheck,
+  selectTargets,
+};
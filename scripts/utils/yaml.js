@@ -0,0 +1,320 @@
+/**
+ * @file yaml.js
+ * @version 1.0.0
+ * @description Минимальный парсер и сериализатор YAML
+ * @module yaml
+ *
+ * @overview
+ * Поддерживает подмножество YAML, которого достаточно для конфигов
+ * инструментов (.lintstagedrc, pnpm-workspace.yaml, .commitlintrc.yml):
+ * блочные словари и списки, скалярные значения, строки в кавычках,
+ * однострочные списки `[a, b]` и словари `{ a: 1 }`, комментарии.
+ * Якоря, многострочные строки и несколько документов не поддерживаются.
+ *
+ * @example
+ * const yaml = require('./yaml');
+ * const data = yaml.parse('packages:\n  - "apps/*"\n');
+ * const text = yaml.stringify({ "*.js": ["eslint --fix"] });
+ */
+
+/**
+ * Удаляет комментарий из строки, учитывая кавычки
+ * @param {string} line - Строка YAML
+ * @returns {string} Строка без комментария
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "#" && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+}
+
+/**
+ * Разбивает строку по разделителю верхнего уровня (вне кавычек и скобок)
+ * @param {string} text - Исходная строка
+ * @param {string} separator - Разделитель
+ * @returns {string[]} Части строки
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let current = "";
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === "[" || char === "{") {
+      depth++;
+    } else if (char === "]" || char === "}") {
+      depth--;
+    } else if (char === separator && depth === 0) {
+      parts.push(current);
+      current = "";
+      continue;
+    }
+    current += char;
+  }
+
+  if (current.trim()) parts.push(current);
+  return parts;
+}
+
+/**
+ * Находит двоеточие, отделяющее ключ от значения
+ * @param {string} text - Строка вида `key: value`
+ * @returns {number} Индекс двоеточия или -1
+ */
+function findKeySeparator(text) {
+  let quote = null;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ":" && (i === text.length - 1 || text[i + 1] === " ")) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Преобразует скалярное значение YAML в значение JavaScript
+ * @param {string} raw - Строковое представление
+ * @returns {*} Значение
+ */
+function parseScalar(raw) {
+  const value = raw.trim();
+
+  if (value === "" || value === "~" || value === "null") return null;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+
+  if (value.startsWith('"') && value.endsWith('"') && value.length > 1) {
+    return JSON.parse(value);
+  }
+  if (value.startsWith("'") && value.endsWith("'") && value.length > 1) {
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (value.startsWith("[") && value.endsWith("]")) {
+    return splitTopLevel(value.slice(1, -1), ",").map(parseScalar);
+  }
+  if (value.startsWith("{") && value.endsWith("}")) {
+    const result = {};
+    splitTopLevel(value.slice(1, -1), ",").forEach((pair) => {
+      const index = findKeySeparator(pair);
+      if (index === -1) return;
+      result[parseScalar(pair.slice(0, index))] = parseScalar(
+        pair.slice(index + 1)
+      );
+    });
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Разбирает текст YAML
+ * @param {string} text - Содержимое YAML файла
+ * @returns {*} Разобранные данные
+ * @throws {Error} Если встречена неподдерживаемая конструкция
+ */
+function parse(text) {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line) => stripComment(line).replace(/\s+$/, ""))
+    .filter((line) => line.trim() && line.trim() !== "---")
+    .map((line) => ({
+      indent: line.length - line.trimStart().length,
+      text: line.trim(),
+    }));
+
+  let index = 0;
+
+  /**
+   * Разбирает блок с заданным отступом
+   * @param {number} indent - Отступ блока
+   * @returns {*}
+   */
+  function parseBlock(indent) {
+    if (index >= lines.length) return null;
+
+    if (lines[index].text.startsWith("- ") || lines[index].text === "-") {
+      return parseSequence(indent);
+    }
+    return parseMapping(indent);
+  }
+
+  /**
+   * Разбирает блочный список
+   * @param {number} indent - Отступ списка
+   * @returns {Array}
+   */
+  function parseSequence(indent) {
+    const result = [];
+
+    while (index < lines.length && lines[index].indent === indent) {
+      const line = lines[index];
+      if (!line.text.startsWith("-")) break;
+
+      const rest = line.text.slice(1).trim();
+      index++;
+
+      if (!rest) {
+        result.push(
+          index < lines.length && lines[index].indent > indent
+            ? parseBlock(lines[index].indent)
+            : null
+        );
+      } else if (
+        rest.startsWith("- ") ||
+        (findKeySeparator(rest) !== -1 && !/^["'[{]/.test(rest))
+      ) {
+        // Вложенный блок в строке элемента: "- key: value" или "- - item"
+        const itemIndent = indent + line.text.indexOf(rest);
+        lines.splice(index, 0, { indent: itemIndent, text: rest });
+        result.push(parseBlock(itemIndent));
+      } else {
+        result.push(parseScalar(rest));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Разбирает блочный словарь
+   * @param {number} indent - Отступ словаря
+   * @returns {Object}
+   */
+  function parseMapping(indent) {
+    const result = {};
+
+    while (index < lines.length && lines[index].indent === indent) {
+      const line = lines[index];
+      const separator = findKeySeparator(line.text);
+
+      if (separator === -1) {
+        throw new Error(`Неподдерживаемая строка YAML: "${line.text}"`);
+      }
+
+      const key = parseScalar(line.text.slice(0, separator));
+      const rest = line.text.slice(separator + 1).trim();
+      index++;
+
+      if (rest) {
+        result[key] = parseScalar(rest);
+      } else if (index < lines.length && lines[index].indent > indent) {
+        result[key] = parseBlock(lines[index].indent);
+      } else if (
+        index < lines.length &&
+        lines[index].indent === indent &&
+        lines[index].text.startsWith("-")
+      ) {
+        // Список на том же уровне отступа, что и ключ
+        result[key] = parseSequence(indent);
+      } else {
+        result[key] = null;
+      }
+    }
+
+    return result;
+  }
+
+  if (lines.length === 0) return null;
+
+  const result = parseBlock(lines[0].indent);
+  if (index < lines.length) {
+    throw new Error(`Неожиданный отступ в YAML: "${lines[index].text}"`);
+  }
+  return result;
+}
+
+/**
+ * Сериализует скалярное значение
+ * @param {*} value - Значение
+ * @returns {string}
+ */
+function stringifyScalar(value) {
+  if (value === null || value === undefined) return "null";
+  if (typeof value === "boolean" || typeof value === "number") {
+    return String(value);
+  }
+
+  const text = String(value);
+  const needsQuotes =
+    text === "" ||
+    /^[\s\-?:,[\]{}#&*!|>'"%@`]/.test(text) ||
+    /[:#]\s|\s$|:$/.test(text) ||
+    /^(true|false|null|~|-?\d+(\.\d+)?)$/.test(text);
+
+  return needsQuotes ? JSON.stringify(text) : text;
+}
+
+/**
+ * Сериализует данные в YAML
+ * @param {*} data - Данные (объекты, массивы, скаляры)
+ * @param {number} [indent=0] - Начальный отступ
+ * @returns {string} Текст YAML
+ */
+function stringify(data, indent = 0) {
+  const pad = " ".repeat(indent);
+
+  if (Array.isArray(data)) {
+    if (data.length === 0) return `${pad}[]\n`;
+    return data
+      .map((item) => {
+        if (item && typeof item === "object") {
+          const nested = stringify(item, indent + 2);
+          return `${pad}- ${nested.trimStart()}`;
+        }
+        return `${pad}- ${stringifyScalar(item)}\n`;
+      })
+      .join("");
+  }
+
+  if (data && typeof data === "object") {
+    const keys = Object.keys(data);
+    if (keys.length === 0) return `${pad}{}\n`;
+    return keys
+      .map((key) => {
+        const value = data[key];
+        const name = stringifyScalar(key);
+        if (value && typeof value === "object") {
+          const isEmpty = Object.keys(value).length === 0;
+          if (isEmpty) {
+            return `${pad}${name}: ${Array.isArray(value) ? "[]" : "{}"}\n`;
+          }
+          return `${pad}${name}:\n${stringify(value, indent + 2)}`;
+        }
+        return `${pad}${name}: ${stringifyScalar(value)}\n`;
+      })
+      .join("");
+  }
+
+  return `${pad}${stringifyScalar(data)}\n`;
+}
+
+module.exports = {
+  parse,
+  stringify,
+};
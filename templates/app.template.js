@@ -0,0 +1,23 @@
+// \templates\app.template.js
+module.exports = {
+  description: "Приложение: проверки перед коммитом, сборка перед push",
+
+  preCommit: {
+    checks: [
+      { name: "lint-staged", enabled: true, critical: true },
+      { name: "typescript", enabled: true, critical: true },
+    ],
+  },
+
+  // Тесты перед push не блокируют его, сборка - блокирует
+  prePush: {
+    checks: [
+      { name: "build", enabled: true, critical: true },
+      { name: "test", enabled: true, critical: false },
+    ],
+  },
+
+  commitMsg: {
+    maxLength: 100,
+  },
+};
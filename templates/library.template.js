@@ -0,0 +1,31 @@
+// \templates\library.template.js
+module.exports = {
+  description: "Библиотека: проверка типов, тесты и сборка пакета перед push",
+
+  preCommit: {
+    checks: [
+      { name: "lint-staged", enabled: true, critical: true },
+      { name: "typescript", enabled: true, critical: true },
+    ],
+  },
+
+  // Публикуемый код должен собираться и проходить тесты
+  prePush: {
+    enabled: true,
+    checks: [
+      { name: "build", enabled: true, critical: true },
+      { name: "test", enabled: true, critical: true },
+    ],
+  },
+
+  // Сообщения коммитов попадают в changelog
+  commitMsg: {
+    maxLength: 72,
+    allowSquash: false,
+  },
+
+  // Форматирование конфигов CI и публикации
+  lintStaged: {
+    "**/*.{yml,yaml}": ["prettier --write"],
+  },
+};
@@ -0,0 +1,24 @@
+// \templates\relaxed.template.js
+module.exports = {
+  description: "Мягкие проверки: только форматирование и линтер, без push-хука",
+
+  // Ошибки проверок не блокируют коммит, проверка типов отключена
+  preCommit: {
+    failFast: false,
+    checks: [
+      { name: "lint-staged", enabled: true, critical: false },
+      { name: "typescript", enabled: false, critical: false },
+    ],
+  },
+
+  prePush: {
+    enabled: false,
+  },
+
+  // Формат сообщений проверяется, ограничения длины мягче
+  commitMsg: {
+    minLength: 5,
+    maxLength: 200,
+    allowSquash: true,
+  },
+};
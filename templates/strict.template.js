@@ -0,0 +1,35 @@
+// \templates\strict.template.js
+module.exports = {
+  description: "Строгие проверки: тесты и сборка перед push, scope в коммитах",
+
+  // Проверки перед коммитом: все критичные, до первой ошибки
+  preCommit: {
+    failFast: true,
+    checks: [
+      { name: "lint-staged", enabled: true, critical: true },
+      { name: "typescript", enabled: true, critical: true },
+    ],
+  },
+
+  // Проверки перед push включены во всех окружениях
+  prePush: {
+    enabled: true,
+    checks: [
+      { name: "build", enabled: true, critical: true },
+      { name: "test", enabled: true, critical: true },
+    ],
+  },
+
+  // Conventional Commits с обязательным scope и короткой первой строкой
+  commitMsg: {
+    requireScope: true,
+    minLength: 15,
+    maxLength: 72,
+    allowSquash: false,
+  },
+
+  // Форматирование конфигов CI и docker-compose
+  lintStaged: {
+    "**/*.{yml,yaml}": ["prettier --write"],
+  },
+};